@@ -0,0 +1,573 @@
+// Traccar de mentira para desenvolvimento e testes, sem rede (sem dependências).
+//
+//   npm run mock -- [porta] [--fail <regra>]... [--tick <ms>] [--token-ttl <s>] [--fixtures <arquivo.json>]
+//
+// No painel: VITE_API_BASE_URL=http://localhost:8082 (mesmo hostname do `vite`, para o cookie valer).
+// Login: operador@soucare.local / mock (scripts/fixtures/traccar.json).
+//
+// Responde os dois lados do ENDPOINTS de src/api/client.js: o proxy (/api/auth/*, /api/traccar/*, /api/patients,
+// /api/alerts/acks, /api/shifts) e o Traccar direto (/api/session por cookie, /api/devices, /api/reports/*
+// com XLSX quando falta `Accept: application/json`...), mais cercas, permissões, comandos e o WebSocket
+// (/api/socket e /api/traccar/socket). As posições andam a cada --tick ms e saem pelo socket.
+//
+// Falhas injetáveis: `caminho=efeito[,efeito][xN]`, pelo prefixo do caminho; xN = só as N próximas.
+//   --fail /api/traccar=404          sem proxy: o painel cai no Traccar direto
+//   --fail /api/auth/login=404       força o login por cookie (/api/session form-encoded)
+//   --fail /api/devices=500x2        duas respostas 500, depois volta ao normal
+//   --fail /api/traccar/positions=401  sessão "vencida" no meio do uso
+//   --fail /api/traccar/events=cors  resposta sem cabeçalhos CORS (o navegador bloqueia)
+//   --fail /api=slow:3000            3 s de atraso em tudo
+//   --fail /api/traccar/socket=drop  derruba a conexão (erro de rede)
+// Em execução: POST /__mock/failures { "rule": "..." }, DELETE /__mock/failures, POST /__mock/events
+// { deviceId, type, attributes } (evento novo pelo socket), POST /__mock/reset, GET /__mock/state.
+//
+// Nos testes: import { createMockTraccar } from "./mock-traccar.mjs" (tickMs: 0 = posições paradas).
+import { createServer } from "node:http";
+import { createHash, randomBytes } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+// sem `new URL(..., import.meta.url)`: o Vite (vitest) reescreve esse padrão como asset do navegador
+const DEFAULT_FIXTURES = join(dirname(fileURLToPath(import.meta.url)), "fixtures", "traccar.json");
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const XLSX_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// "caminho=500,slow:2000x3" => { path, status, delayMs, cors, drop, times }
+export function parseFailure(text) {
+  const m = /^([^=]+)=(.+?)(?:x(\d+))?$/.exec(String(text).trim());
+  if (!m) throw new Error(`regra de falha inválida: ${text}`);
+  const rule = { path: m[1], times: m[3] ? Number(m[3]) : Infinity };
+  for (const part of m[2].split(",")) {
+    if (/^\d{3}$/.test(part)) rule.status = Number(part);
+    else if (part === "cors") rule.cors = false;
+    else if (part === "drop") rule.drop = true;
+    else if (/^slow:\d+$/.test(part)) rule.delayMs = Number(part.slice(5));
+    else throw new Error(`efeito desconhecido "${part}" em ${text}`);
+  }
+  return rule;
+}
+
+// o que o Traccar devolve do usuário (sem a senha das fixtures)
+function publicUser({ password, ...user }) {
+  return user;
+}
+
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+// datas das fixtures são relativas (minutesAgo): o estado sempre parece "de agora"
+function loadState(fixtures, now = Date.now()) {
+  const f = structuredClone(fixtures);
+  const at = (minutesAgo = 0) => new Date(now - minutesAgo * 60000).toISOString();
+  return {
+    users: f.users,
+    devices: f.devices.map(({ minutesAgo, ...d }) => ({ ...d, lastUpdate: at(minutesAgo) })),
+    positions: f.positions.map(({ minutesAgo, ...p }) => ({
+      protocol: "watch",
+      ...p,
+      fixTime: at(minutesAgo),
+      deviceTime: at(minutesAgo),
+      serverTime: at(minutesAgo),
+    })),
+    events: f.events.map(({ minutesAgo, ...e }) => ({ ...e, eventTime: at(minutesAgo) })),
+    geofences: f.geofences,
+    permissions: f.permissions,
+    patients: f.patients,
+    alertAcks: [],
+    shifts: [],
+    commands: [],
+    nextId: 10000,
+    tick: 0,
+  };
+}
+
+// trajeto das últimas horas: volta em torno da posição atual, um ponto a cada 5 min
+function routeFor(state, deviceId, from, to) {
+  const last = state.positions.find((p) => p.deviceId === deviceId);
+  if (!last) return [];
+  const end = Math.min(to.getTime(), new Date(last.fixTime).getTime());
+  const points = [];
+  for (let t = from.getTime(), i = 0; t <= end; t += 5 * 60000, i++) {
+    const a = (t / 3600000) * Math.PI;
+    points.push({
+      ...last,
+      id: -(i + 1),
+      latitude: last.latitude + 0.002 * Math.sin(a),
+      longitude: last.longitude + 0.002 * Math.cos(a),
+      fixTime: new Date(t).toISOString(),
+      deviceTime: new Date(t).toISOString(),
+      attributes: {
+        ...last.attributes,
+        heartRate: (last.attributes.heartRate || 75) + Math.round(4 * Math.sin(a * 3)),
+      },
+    });
+  }
+  return points;
+}
+
+function range(url) {
+  const from = new Date(url.searchParams.get("from") || Date.now() - 24 * 3600000);
+  const to = new Date(url.searchParams.get("to") || Date.now());
+  return Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) ? null : { from, to };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("error", reject);
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      const type = req.headers["content-type"] || "";
+      try {
+        if (!text) resolve(null);
+        else if (type.includes("application/json")) resolve(JSON.parse(text));
+        else if (type.includes("application/x-www-form-urlencoded"))
+          resolve(Object.fromEntries(new URLSearchParams(text)));
+        else resolve(text);
+      } catch {
+        resolve(undefined);
+      }
+    });
+  });
+}
+
+function cookies(req) {
+  return Object.fromEntries(
+    String(req.headers.cookie || "")
+      .split(";")
+      .map((c) => c.trim().split("="))
+      .filter(([k]) => k)
+  );
+}
+
+function wsFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let head;
+  if (len < 126) head = Buffer.from([0x80 | opcode, len]);
+  else if (len < 65536) head = Buffer.from([0x80 | opcode, 126, len >> 8, len & 255]);
+  else {
+    head = Buffer.alloc(10);
+    head[0] = 0x80 | opcode;
+    head[1] = 127;
+    head.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([head, payload]);
+}
+
+/**
+ * Servidor mock do Traccar + proxy SouCare. Estado em memória (reset volta às fixtures).
+ * Devolve { server, state, url, listen(port), close(), addFailure(regra), clearFailures(), emitEvent(evt), reset() }.
+ */
+export function createMockTraccar({
+  fixtures = JSON.parse(readFileSync(DEFAULT_FIXTURES, "utf8")),
+  tickMs = 5000,
+  tokenTtlSec = 3600,
+  failures = [],
+  log = false,
+} = {}) {
+  let state = loadState(fixtures);
+  let rules = failures.map((r) => (typeof r === "string" ? parseFailure(r) : { times: Infinity, ...r }));
+  const tokens = new Map(); // token => { user, exp (s) }
+  const sessions = new Map(); // JSESSIONID => user
+  const sockets = new Set();
+
+  // `peek`: só consulta, sem gastar o xN (preflight do CORS não conta como tentativa)
+  function failureFor(pathname, { peek = false } = {}) {
+    const rule = rules.find((r) => pathname.startsWith(r.path));
+    if (!rule || peek) return rule || null;
+    rule.times -= 1;
+    if (rule.times <= 0) rules = rules.filter((r) => r !== rule);
+    return rule;
+  }
+
+  function issueToken(user) {
+    const exp = Math.floor(Date.now() / 1000) + tokenTtlSec;
+    const token = `${base64url({ alg: "HS256", typ: "JWT" })}.${base64url({
+      sub: user.email,
+      name: user.name,
+      exp,
+    })}.${randomBytes(16).toString("base64url")}`;
+    tokens.set(token, { user, exp });
+    return token;
+  }
+
+  // Bearer (proxy/JWT), ?token= (WebSocket) ou cookie JSESSIONID (Traccar direto)
+  function authenticate(req, url) {
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || "")?.[1] || url.searchParams.get("token");
+    if (bearer) {
+      const t = tokens.get(bearer);
+      return t && t.exp * 1000 > Date.now() ? t.user : null;
+    }
+    return sessions.get(cookies(req).JSESSIONID) || null;
+  }
+
+  function broadcast(msg) {
+    const frame = wsFrame(JSON.stringify(msg));
+    for (const s of sockets) s.write(frame);
+  }
+
+  function emitEvent(e) {
+    const event = { id: state.nextId++, eventTime: new Date().toISOString(), attributes: {}, ...e };
+    state.events.push(event);
+    broadcast({ events: [event] });
+    return event;
+  }
+
+  // movimento leve das posições online (+ vitais), como o Traccar empurraria pelo socket
+  function step() {
+    state.tick += 1;
+    const now = new Date().toISOString();
+    const online = new Set(state.devices.filter((d) => d.status === "online").map((d) => d.id));
+    const moved = [];
+    state.positions = state.positions.map((p) => {
+      if (!online.has(p.deviceId)) return p;
+      const a = state.tick / 6 + p.deviceId;
+      const next = {
+        ...p,
+        id: state.nextId++,
+        latitude: p.latitude + 0.00008 * Math.sin(a),
+        longitude: p.longitude + 0.00008 * Math.cos(a),
+        fixTime: now,
+        deviceTime: now,
+        serverTime: now,
+        attributes: { ...p.attributes, heartRate: (p.attributes.heartRate || 75) + (state.tick % 3) - 1 },
+      };
+      moved.push(next);
+      return next;
+    });
+    const devices = state.devices.filter((d) => online.has(d.id)).map((d) => ({ ...d, lastUpdate: now }));
+    state.devices = state.devices.map((d) => devices.find((x) => x.id === d.id) || d);
+    if (moved.length) broadcast({ devices, positions: moved });
+  }
+  const timer = tickMs > 0 ? setInterval(step, tickMs) : null;
+  timer?.unref();
+
+  function send(res, status, body, headers = {}) {
+    if (body === undefined || body === null) {
+      res.writeHead(status, headers).end();
+    } else if (typeof body === "string" || Buffer.isBuffer(body)) {
+      res.writeHead(status, { "Content-Type": "text/plain; charset=utf-8", ...headers }).end(body);
+    } else {
+      res.writeHead(status, { "Content-Type": "application/json", ...headers }).end(JSON.stringify(body));
+    }
+  }
+
+  // lista REST com id numérico: GET / POST / PUT :id / DELETE :id
+  function crud(key, method, id, body) {
+    const list = state[key];
+    if (method === "GET") return id ? list.find((x) => x.id === id) || [404, "Not found"] : list;
+    if (method === "POST") {
+      if (!body || typeof body !== "object") return [400, "JSON inválido"];
+      const created = { ...body, id: state.nextId++ };
+      state[key] = [...list, created];
+      return created;
+    }
+    if (!list.some((x) => x.id === id)) return [404, "Not found"];
+    if (method === "PUT") {
+      state[key] = list.map((x) => (x.id === id ? { ...body, id } : x));
+      return state[key].find((x) => x.id === id);
+    }
+    if (method === "DELETE") {
+      state[key] = list.filter((x) => x.id !== id);
+      return [204, null];
+    }
+    return [405, "Method not allowed"];
+  }
+
+  // Traccar direto manda XLSX nos relatórios, a não ser que peçam JSON
+  function report(req, rows, traccar) {
+    if (!traccar || String(req.headers.accept || "").includes("application/json")) return rows;
+    return [200, Buffer.from("PK\u0003\u0004 (mock xlsx)"), { "Content-Type": XLSX_TYPE }];
+  }
+
+  async function route(req, url, user) {
+    const method = req.method;
+    const proxy = url.pathname.startsWith("/api/traccar/");
+    const path = proxy ? url.pathname.replace("/api/traccar", "/api") : url.pathname;
+    const [, , resource, sub] = path.split("/");
+    const id = Number(sub) || null;
+    const body = ["POST", "PUT", "DELETE"].includes(method) ? await readBody(req) : null;
+
+    if (path === "/api/auth/login" && method === "POST" && !proxy) {
+      const u = state.users.find((x) => x.email === body?.email && x.password === body?.password);
+      return u ? { token: issueToken(u) } : [401, "Invalid credentials"];
+    }
+    if (path === "/api/session" && method === "POST" && !proxy) {
+      const u = state.users.find((x) => x.email === body?.email && x.password === body?.password);
+      if (!u) return [401, "Unauthorized"];
+      const sid = randomBytes(12).toString("hex");
+      sessions.set(sid, u);
+      return [200, publicUser(u), { "Set-Cookie": `JSESSIONID=${sid}; Path=/; HttpOnly; SameSite=Lax` }];
+    }
+    if (path === "/api/session" && method === "GET" && !proxy) {
+      // igual ao Traccar: sem sessão é 404, não 401
+      return user ? publicUser(user) : [404, "Not found"];
+    }
+    if (path === "/api/session" && method === "DELETE" && !proxy) {
+      sessions.delete(cookies(req).JSESSIONID);
+      return [204, null, { "Set-Cookie": "JSESSIONID=; Path=/; Max-Age=0" }];
+    }
+
+    if (!user) return [401, "Unauthorized"];
+
+    if (path === "/api/auth/refresh" && method === "POST" && !proxy) return { token: issueToken(user) };
+
+    switch (resource) {
+      case "devices":
+        return crud("devices", method, id, body);
+      case "positions": {
+        const ids = url.searchParams.getAll("deviceId").map(Number);
+        return ids.length ? state.positions.filter((p) => ids.includes(p.deviceId)) : state.positions;
+      }
+      case "geofences": {
+        const deviceId = Number(url.searchParams.get("deviceId"));
+        if (method === "GET" && !id && deviceId) {
+          const linked = new Set(state.permissions.filter((p) => p.deviceId === deviceId).map((p) => p.geofenceId));
+          return state.geofences.filter((g) => linked.has(g.id));
+        }
+        const result = crud("geofences", method, id, body);
+        if (method === "DELETE") state.permissions = state.permissions.filter((p) => p.geofenceId !== id);
+        return result;
+      }
+      case "permissions": {
+        const { deviceId, geofenceId } = body || {};
+        if (!deviceId || !geofenceId) return [400, "deviceId e geofenceId obrigatórios"];
+        state.permissions = state.permissions.filter((p) => !(p.deviceId === deviceId && p.geofenceId === geofenceId));
+        if (method === "POST") state.permissions.push({ deviceId, geofenceId });
+        else if (method !== "DELETE") return [405, "Method not allowed"];
+        return [204, null];
+      }
+      case "commands": {
+        const device = state.devices.find((d) => d.id === body?.deviceId);
+        if (sub !== "send" || method !== "POST") return [404, "Not found"];
+        if (!device) return [400, "Device not found"];
+        const command = { ...body, id: state.nextId++ };
+        state.commands.push(command);
+        // aparelho offline: Traccar enfileira e responde 202
+        return [device.status === "online" ? 200 : 202, command];
+      }
+      case "server":
+        if (sub !== "geocode") return [404, "Not found"];
+        return `Rua Mock, ${Math.abs(Math.round(Number(url.searchParams.get("latitude")) * 1e4) % 1000)} — São Paulo`;
+      case "events": {
+        // só existe no proxy: eventos do período, dos deviceId pedidos (sem deviceId = todos)
+        const r = range(url);
+        if (!proxy || !r) return [proxy ? 400 : 404, proxy ? "from/to inválidos" : "Not found"];
+        const ids = url.searchParams.getAll("deviceId").map(Number);
+        return state.events.filter(
+          (e) =>
+            (!ids.length || ids.includes(e.deviceId)) &&
+            new Date(e.eventTime) >= r.from &&
+            new Date(e.eventTime) <= r.to
+        );
+      }
+      case "reports": {
+        const r = range(url);
+        const ids = url.searchParams.getAll("deviceId").map(Number);
+        if (!r || !ids.length) return [400, "deviceId/from/to obrigatórios"];
+        if (sub === "route")
+          return report(
+            req,
+            ids.flatMap((d) => routeFor(state, d, r.from, r.to)),
+            !proxy
+          );
+        if (sub === "events" && !proxy) {
+          const rows = state.events.filter(
+            (e) => ids.includes(e.deviceId) && new Date(e.eventTime) >= r.from && new Date(e.eventTime) <= r.to
+          );
+          return report(req, rows, true);
+        }
+        return [404, "Not found"];
+      }
+      case "patients":
+        return proxy ? [404, "Not found"] : crud("patients", method, id, body);
+      case "alerts":
+        if (proxy || sub !== "acks") return [404, "Not found"];
+        if (method === "GET") return state.alertAcks;
+        state.alertAcks.push({ ...body, by: body?.by || user.email });
+        return [204, null];
+      case "shifts":
+        if (proxy) return [404, "Not found"];
+        if (method === "GET") return state.shifts;
+        state.shifts.push(body);
+        return [204, null];
+      default:
+        return [404, "Not found"];
+    }
+  }
+
+  // controle do mock (fora do /api): falhas, eventos e reset em tempo de execução
+  async function control(req, url) {
+    const body = req.method === "GET" || req.method === "DELETE" ? null : await readBody(req);
+    if (url.pathname === "/__mock/state") return state;
+    if (url.pathname === "/__mock/reset" && req.method === "POST") {
+      state = loadState(fixtures);
+      rules = [];
+      return [204, null];
+    }
+    if (url.pathname === "/__mock/failures") {
+      if (req.method === "DELETE") rules = [];
+      else if (req.method === "POST") {
+        try {
+          rules.push(typeof body?.rule === "string" ? parseFailure(body.rule) : { times: Infinity, ...body });
+        } catch (e) {
+          return [400, e.message];
+        }
+      }
+      return rules.map((r) => ({ ...r, times: Number.isFinite(r.times) ? r.times : null }));
+    }
+    if (url.pathname === "/__mock/events" && req.method === "POST") {
+      if (!body?.deviceId || !body?.type) return [400, "deviceId e type obrigatórios"];
+      return emitEvent(body);
+    }
+    return [404, "Not found"];
+  }
+
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const preflight = req.method === "OPTIONS";
+    const rule = url.pathname.startsWith("/__mock/") ? null : failureFor(url.pathname, { peek: preflight });
+
+    // o painel roda em outra origem (vite): CORS com cookie precisa ecoar a Origin
+    if (req.headers.origin && rule?.cors !== false) {
+      res.setHeader("Access-Control-Allow-Origin", req.headers.origin);
+      res.setHeader("Access-Control-Allow-Credentials", "true");
+      res.setHeader("Access-Control-Allow-Headers", "Authorization, Content-Type, Accept");
+      res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+      res.setHeader("Vary", "Origin");
+    }
+    if (preflight) {
+      res.writeHead(204).end();
+      if (log) console.log(`OPTIONS ${url.pathname}${url.search} → 204`);
+      return;
+    }
+    if (rule?.delayMs) await sleep(rule.delayMs);
+    if (rule?.drop) {
+      req.socket.destroy();
+      return;
+    }
+
+    let result;
+    try {
+      if (rule?.status)
+        result = [rule.status, rule.status === 401 ? "Unauthorized" : `Falha injetada (${rule.status})`];
+      else if (url.pathname.startsWith("/__mock/")) result = await control(req, url);
+      else result = await route(req, url, authenticate(req, url));
+    } catch (e) {
+      console.error(e);
+      result = [500, String(e?.message || e)];
+    }
+    const [status, body, headers] = Array.isArray(result) && typeof result[0] === "number" ? result : [200, result];
+    send(res, status, body, headers);
+    if (log) console.log(`${req.method} ${url.pathname}${url.search} → ${status}${rule ? " (falha injetada)" : ""}`);
+  });
+
+  // WebSocket mínimo (RFC 6455): o servidor só manda texto; do cliente só tratamos close/ping
+  server.on("upgrade", async (req, socket) => {
+    const url = new URL(req.url, "http://localhost");
+    const rule = failureFor(url.pathname);
+    const reject = (status, text) => {
+      if (log) console.log(`WS ${url.pathname} → ${status}${rule ? " (falha injetada)" : ""}`);
+      socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    };
+    if (rule?.delayMs) await sleep(rule.delayMs);
+    if (rule?.drop) return socket.destroy();
+    if (rule?.status) return reject(rule.status, "Falha injetada");
+    if (url.pathname !== "/api/socket" && url.pathname !== "/api/traccar/socket") return reject(404, "Not Found");
+    if (!authenticate(req, url)) return reject(401, "Unauthorized");
+
+    const accept = createHash("sha1")
+      .update(req.headers["sec-websocket-key"] + WS_GUID)
+      .digest("base64");
+    socket.write(
+      [
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${accept}`,
+        "",
+        "",
+      ].join("\r\n")
+    );
+    sockets.add(socket);
+    if (log) console.log(`WS ${url.pathname} → 101`);
+    socket.on("data", (buf) => {
+      const opcode = buf[0] & 0x0f;
+      if (opcode === 0x8) socket.end(wsFrame("", 0x8));
+      else if (opcode === 0x9) socket.write(wsFrame("", 0xa));
+    });
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => sockets.delete(socket));
+    // como o Traccar: ao conectar, já manda o estado atual
+    socket.write(wsFrame(JSON.stringify({ devices: state.devices, positions: state.positions })));
+  });
+
+  return {
+    server,
+    get state() {
+      return state;
+    },
+    url: null,
+    listen(port = 0) {
+      return new Promise((resolve) => {
+        server.listen(port, () => {
+          this.url = `http://localhost:${server.address().port}`;
+          resolve(this.url);
+        });
+      });
+    },
+    close() {
+      clearInterval(timer);
+      for (const s of sockets) s.destroy();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+    addFailure(rule) {
+      rules.push(typeof rule === "string" ? parseFailure(rule) : { times: Infinity, ...rule });
+    },
+    clearFailures() {
+      rules = [];
+    },
+    emitEvent,
+    reset() {
+      state = loadState(fixtures);
+      rules = [];
+    },
+  };
+}
+
+function parseArgs(argv) {
+  const opts = { port: 8082, failures: [], tickMs: 5000, tokenTtlSec: 3600, fixtures: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--fail") opts.failures.push(parseFailure(argv[++i]));
+    else if (a === "--tick") opts.tickMs = Number(argv[++i]);
+    else if (a === "--token-ttl") opts.tokenTtlSec = Number(argv[++i]);
+    else if (a === "--fixtures") opts.fixtures = JSON.parse(readFileSync(argv[++i], "utf8"));
+    else if (/^\d+$/.test(a)) opts.port = Number(a);
+    else throw new Error(`argumento desconhecido: ${a}`);
+  }
+  return opts;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(
+      "uso: npm run mock -- [porta] [--fail <caminho=efeito>]... [--tick <ms>] [--token-ttl <s>] [--fixtures <arquivo>]"
+    );
+    process.exit(1);
+  }
+  const mock = createMockTraccar({ ...opts, log: true });
+  const url = await mock.listen(opts.port);
+  console.log(`Traccar mock em ${url} — VITE_API_BASE_URL=${url} (login operador@soucare.local / mock)`);
+  for (const r of opts.failures) console.log(`falha injetada: ${JSON.stringify(r)}`);
+}
@@ -0,0 +1,85 @@
+// Servidor de tiles local para rede isolada (sem dependências).
+//
+//   npm run tiles -- <pasta | arquivo.mbtiles> [porta]
+//
+// Pasta: {z}/{x}/{y}.png (ou .jpg/.jpeg/.webp) — o layout que ferramentas de download de tiles geram.
+// MBTiles: lido direto do SQLite (node:sqlite, Node >= 22.5); o esquema TMS tem o y invertido.
+// No painel: VITE_MAP_TILE_URL=http://<host>:<porta>/{z}/{x}/{y}.png (ou tela Configurações).
+import { createServer } from "node:http";
+import { readFile, stat } from "node:fs/promises";
+import path from "node:path";
+
+const [source, portArg] = process.argv.slice(2);
+const port = Number(portArg) || 8081;
+
+if (!source) {
+  console.error("uso: npm run tiles -- <pasta | arquivo.mbtiles> [porta]");
+  process.exit(1);
+}
+
+const TYPES = { png: "image/png", jpg: "image/jpeg", jpeg: "image/jpeg", webp: "image/webp" };
+
+async function folderReader(dir) {
+  return async (z, x, y, ext) => {
+    // a extensão pedida na URL pode não ser a do arquivo (ex.: pasta baixada em .jpg)
+    for (const e of [ext, ...Object.keys(TYPES).filter((k) => k !== ext)]) {
+      try {
+        return { body: await readFile(path.join(dir, String(z), String(x), `${y}.${e}`)), type: TYPES[e] };
+      } catch {
+        // tenta a próxima extensão
+      }
+    }
+    return null;
+  };
+}
+
+async function mbtilesReader(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch {
+    console.error("MBTiles precisa do Node >= 22.5 (node:sqlite). Extraia para pasta ou atualize o Node.");
+    process.exit(1);
+  }
+  const db = new DatabaseSync(file, { readOnly: true });
+  const format = db.prepare("SELECT value FROM metadata WHERE name = 'format'").get()?.value || "png";
+  const query = db.prepare("SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?");
+  return async (z, x, y) => {
+    const row = query.get(z, x, 2 ** z - 1 - y);
+    return row ? { body: Buffer.from(row.tile_data), type: TYPES[format] || "application/octet-stream" } : null;
+  };
+}
+
+const info = await stat(source).catch(() => null);
+if (!info) {
+  console.error(`não encontrado: ${source}`);
+  process.exit(1);
+}
+const readTile = info.isDirectory() ? await folderReader(source) : await mbtilesReader(source);
+
+createServer(async (req, res) => {
+  // o painel roda em outra origem
+  res.setHeader("Access-Control-Allow-Origin", "*");
+
+  // só /z/x/y.ext numérico: nada de caminho arbitrário no disco
+  const m = /^\/(\d+)\/(\d+)\/(\d+)\.(\w+)$/.exec(new URL(req.url, "http://localhost").pathname);
+  if (req.method !== "GET" || !m) {
+    res.writeHead(404).end();
+    return;
+  }
+  const [z, x, y] = m.slice(1, 4).map(Number);
+  try {
+    const tile = await readTile(z, x, y, m[4]);
+    if (!tile) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": tile.type, "Cache-Control": "public, max-age=86400" });
+    res.end(tile.body);
+  } catch (e) {
+    console.error(e);
+    res.writeHead(500).end();
+  }
+}).listen(port, () => {
+  console.log(`tiles de ${source} em http://localhost:${port}/{z}/{x}/{y}.png`);
+});
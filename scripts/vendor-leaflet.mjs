@@ -0,0 +1,54 @@
+// Cópia local do Leaflet e do markercluster para rede isolada (sem dependências).
+//
+//   npm run vendor:leaflet [-- <pasta de destino>]      (padrão: public/vendor)
+//
+// Roda numa máquina com internet; o build leva public/vendor junto. No painel:
+//   VITE_LEAFLET_URL=/vendor/leaflet
+//   VITE_MARKERCLUSTER_URL=/vendor/markercluster
+// Mesmas versões dos padrões em src/map/leaflet.js.
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+const CDN = "https://unpkg.com";
+
+const PACKAGES = [
+  {
+    dir: "leaflet",
+    base: `${CDN}/leaflet@1.9.4/dist`,
+    // o CSS aponta para images/ (ícones padrão e controle de camadas)
+    files: [
+      "leaflet.js",
+      "leaflet.css",
+      "images/layers.png",
+      "images/layers-2x.png",
+      "images/marker-icon.png",
+      "images/marker-icon-2x.png",
+      "images/marker-shadow.png",
+    ],
+  },
+  {
+    dir: "markercluster",
+    base: `${CDN}/leaflet.markercluster@1.5.3/dist`,
+    files: ["leaflet.markercluster.js", "MarkerCluster.css", "MarkerCluster.Default.css"],
+  },
+];
+
+const target = path.resolve(process.argv[2] || "public/vendor");
+
+for (const pkg of PACKAGES) {
+  for (const file of pkg.files) {
+    const url = `${pkg.base}/${file}`;
+    const res = await fetch(url).catch((e) => {
+      console.error(`sem acesso a ${url}: ${e.cause?.code || e.message}`);
+      process.exit(1);
+    });
+    if (!res.ok) {
+      console.error(`falhou: ${url} (${res.status})`);
+      process.exit(1);
+    }
+    const dest = path.join(target, pkg.dir, file);
+    await mkdir(path.dirname(dest), { recursive: true });
+    await writeFile(dest, Buffer.from(await res.arrayBuffer()));
+    console.log(`${url} → ${path.relative(process.cwd(), dest)}`);
+  }
+}
@@ -0,0 +1,67 @@
+import { DEMO_TOKEN } from "./client.js";
+import { directBackend, proxyBackend } from "./traccar.js";
+import { safeGetJson, safeSetJson } from "../lib/storage.js";
+import { demoBackend } from "../demo/backend.js";
+
+// ----------------------
+// BACKEND (qual API atende o painel: proxy SouCare, Traccar direto ou DEMO)
+// ----------------------
+/**
+ * Adaptador de backend — `(token) => adaptador`, todos com a mesma interface:
+ * - id / label: "proxy" | "direct" | "demo" (label aparece no "Status API")
+ * - login(email, password) => token ("session" quando é o cookie do Traccar)
+ * - listDevices() / listPositions()
+ * - route(deviceId, from, to) / events(deviceIds, from, to)
+ * - address(lat, lng) => texto do geocode
+ * - devices: { create, update }
+ * - geofences: { list, listForDevice, create, update, remove, link, unlink }
+ * - sendCommand(device, command) => "sent" | "queued" (só o servidor aceitou; resposta vem em commandResult)
+ * - patients: { list, create, update, remove } do cadastro SouCare, ou null quando o backend não tem
+ *   (Traccar direto: cada dispositivo aparece como paciente "sem cadastro" e o cadastro fica desativado)
+ * - alertSteps: { list, add } das etapas dos alertas ({ eventId, status, by, at, note }), ou null
+ *   quando o backend não guarda (Traccar direto: as etapas ficam só no navegador)
+ * - socketPaths: caminhos do WebSocket, na ordem de tentativa
+ *
+ * O adaptador que funcionou no login fica gravado; daí em diante cada chamada vai
+ * direto nele, sem pagar um request falho no proxy a cada polling.
+ */
+const BACKENDS = { proxy: proxyBackend, direct: directBackend, demo: demoBackend };
+
+// .env (Vite): VITE_BACKEND=proxy | direct | demo. Sem setar (ou "auto"), o login testa proxy e depois direto.
+export const BACKEND_ENV = BACKENDS[import.meta?.env?.VITE_BACKEND] ? import.meta.env.VITE_BACKEND : "auto";
+
+const BACKEND_KEY = "soucare_backend";
+
+export function backendId(token) {
+  if (token === DEMO_TOKEN) return "demo";
+  if (BACKEND_ENV !== "auto") return BACKEND_ENV;
+  const saved = safeGetJson(BACKEND_KEY, null);
+  if (BACKENDS[saved]) return saved;
+  // sessão de antes do cache: cookie só sai do login direto
+  return token === "session" ? "direct" : "proxy";
+}
+
+export function backendFor(token) {
+  return BACKENDS[backendId(token)](token);
+}
+
+// Tenta o login em cada backend possível; o primeiro que aceitar fica gravado.
+// Se todos falharem, lança o erro do último (401 = credenciais inválidas).
+export async function detectBackend(email, password) {
+  const order = BACKEND_ENV === "auto" ? ["proxy", "direct"] : [BACKEND_ENV];
+  let lastError = null;
+  for (const id of order) {
+    try {
+      const token = await BACKENDS[id]("").login(email, password);
+      safeSetJson(BACKEND_KEY, id);
+      return { id, token };
+    } catch (e) {
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+export function forgetBackend() {
+  safeSetJson(BACKEND_KEY, null);
+}
@@ -0,0 +1,64 @@
+import { describe, expect, it } from "vitest";
+import { backendFor, backendId, detectBackend, forgetBackend } from "./backend.js";
+import { jsonResponse, stubFetch, textResponse } from "../test/fetch.js";
+
+describe("backend", () => {
+  it("proxy aceitou o login: fica gravado e as chamadas vão para /api/traccar", async () => {
+    const fetchMock = stubFetch({
+      "POST /api/auth/login": () => jsonResponse({ token: "jwt-1" }),
+      "GET /api/traccar/devices": () => jsonResponse([{ id: 1 }]),
+    });
+    await expect(detectBackend("op@soucare.local", "segredo")).resolves.toEqual({ id: "proxy", token: "jwt-1" });
+    expect(backendId("jwt-1")).toBe("proxy");
+
+    await expect(backendFor("jwt-1").listDevices()).resolves.toEqual([{ id: 1 }]);
+    expect(fetchMock.mock.calls[1][0]).toBe("https://api.test/api/traccar/devices");
+  });
+
+  it("sem proxy, detecta o Traccar direto e não tenta mais o proxy", async () => {
+    const fetchMock = stubFetch({
+      "POST /api/session": () => jsonResponse({ id: 1 }),
+      "GET /api/positions": () => jsonResponse([{ deviceId: 1 }]),
+    });
+    await expect(detectBackend("op@soucare.local", "segredo")).resolves.toEqual({ id: "direct", token: "session" });
+    expect(backendId("session")).toBe("direct");
+
+    fetchMock.mockClear();
+    await backendFor("session").listPositions();
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toBe("https://api.test/api/positions");
+  });
+
+  it("credenciais recusadas pelos dois lançam o 401 do último", async () => {
+    stubFetch({
+      "POST /api/auth/login": () => textResponse("Unauthorized", 401),
+      "POST /api/session": () => textResponse("Unauthorized", 401),
+    });
+    await expect(detectBackend("op@soucare.local", "errada")).rejects.toMatchObject({ kind: "auth", status: 401 });
+    expect(backendId("jwt-1")).toBe("proxy");
+  });
+
+  it("eventos no direto usam o relatório em JSON e pulam a chamada sem dispositivos", async () => {
+    const fetchMock = stubFetch({ "GET /api/reports/events": () => jsonResponse([{ id: 9 }]) });
+    const direct = backendFor("session");
+    const from = new Date("2026-01-01T00:00:00Z");
+    const to = new Date("2026-01-02T00:00:00Z");
+
+    await expect(direct.events([], from, to)).resolves.toEqual([]);
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    await expect(direct.events([1, 2], from, to)).resolves.toEqual([{ id: 9 }]);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(new URL(url).searchParams.getAll("deviceId")).toEqual(["1", "2"]);
+    expect(init.headers.Accept).toBe("application/json");
+  });
+
+  it("DEMO e sessões antigas sem backend gravado", async () => {
+    expect(backendId("demo")).toBe("demo");
+    await expect(backendFor("demo").login()).resolves.toBe("demo");
+
+    forgetBackend();
+    expect(backendId("session")).toBe("direct");
+    expect(backendId("jwt-antigo")).toBe("proxy");
+  });
+});
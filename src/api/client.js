@@ -0,0 +1,149 @@
+// ----------------------
+// API (fetch tipado; qual backend atende — proxy, Traccar direto ou DEMO — fica em backend.js)
+// ----------------------
+// .env (Vite): VITE_API_BASE_URL=https://app.tracefleet.com.br
+// Se você não setar a env, usa o TraceFleet por padrão (evita chamar a própria página estática e dar 405).
+const API_BASE_URL = (import.meta?.env?.VITE_API_BASE_URL || "https://app.tracefleet.com.br").replace(/\/$/, "");
+
+// Ajuste conforme seu backend (adapter do Traccar)
+export const ENDPOINTS = {
+  // ✅ Padrão do seu painel (backend/proxy)
+  login: "/api/auth/login", // POST { email, password } => { token | access_token | jwt }
+  refresh: "/api/auth/refresh", // POST (Bearer atual) => { token | access_token | jwt } — opcional
+  devices: "/api/traccar/devices", // GET
+  positions: "/api/traccar/positions", // GET
+  route24h: "/api/traccar/reports/route", // GET ?deviceId&from&to
+  geocode: "/api/traccar/server/geocode", // GET ?latitude&longitude => texto
+  events: "/api/traccar/events", // GET ?deviceId&deviceId&from&to
+  geofences: "/api/traccar/geofences", // GET / POST / PUT :id / DELETE :id
+  permissions: "/api/traccar/permissions", // POST { deviceId, geofenceId }
+  commands: "/api/traccar/commands/send", // POST { deviceId, type, attributes }
+  socket: "/api/traccar/socket", // WebSocket (proxy)
+  alertAcks: "/api/alerts/acks", // GET todas / POST { eventId, status, by, at, note } — etapas do fluxo do alerta
+  shifts: "/api/shifts", // POST relatório de passagem de plantão
+  patients: "/api/patients", // GET / POST / PUT :id / DELETE :id (cadastro SouCare, fora do Traccar)
+
+  // ✅ Fallback direto Traccar (se você não tiver o proxy)
+  traccarSession: "/api/session", // POST form email/password => cookie; GET valida o cookie
+  devicesDirect: "/api/devices",
+  positionsDirect: "/api/positions",
+  route24hDirect: "/api/reports/route",
+  geocodeDirect: "/api/server/geocode",
+  eventsDirect: "/api/reports/events", // GET ?deviceId&deviceId&from&to
+  geofencesDirect: "/api/geofences",
+  permissionsDirect: "/api/permissions",
+  commandsDirect: "/api/commands/send", // 200 = enviado; 202 = aparelho offline, na fila
+  socketDirect: "/api/socket", // WebSocket Traccar
+};
+
+// Modo DEMO (igual ao padrão do painel de veículos):
+// - entra sem backend
+// - gera dispositivos/posições falsas para você testar UI e mapa
+export const DEMO_TOKEN = "demo";
+
+export function buildUrl(path) {
+  return API_BASE_URL ? `${API_BASE_URL}${path}` : path;
+}
+
+/**
+ * Erro de API tipado. `kind`:
+ * - "auth": 401 (token vencido/inválido, sessão caiu)
+ * - "forbidden": 403 (sessão válida, operador sem permissão para aquilo)
+ * - "server": 5xx
+ * - "http": demais respostas não-OK (4xx)
+ * - "cors": o navegador bloqueou (API em outro domínio sem CORS)
+ * - "network": sem conexão / DNS / servidor fora
+ */
+export class ApiError extends Error {
+  constructor(kind, message, { status = 0, cause } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.kind = kind;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+export function isAuthError(e) {
+  return e instanceof ApiError && e.kind === "auth";
+}
+
+export async function errorFromResponse(res) {
+  const text = await res.text().catch(() => "");
+  const msg = `${res.status} ${res.statusText}${text ? ` — ${text}` : ""}`;
+  const kind = res.status === 401 ? "auth" : res.status === 403 ? "forbidden" : res.status >= 500 ? "server" : "http";
+  return new ApiError(kind, msg, { status: res.status });
+}
+
+// fetch só devolve TypeError, sem dizer se foi CORS. Se a API é de outro domínio e o
+// navegador diz que está online, CORS é o culpado mais provável.
+export function errorFromFetchFailure(url, cause) {
+  const online = typeof navigator === "undefined" || navigator.onLine !== false;
+  let crossOrigin = false;
+  try {
+    crossOrigin = new URL(url, window.location.href).origin !== window.location.origin;
+  } catch {
+    // ignore
+  }
+  if (online && crossOrigin) {
+    return new ApiError("cors", `Falha de rede ou CORS ao acessar ${url} (verifique o proxy/CORS do backend)`, {
+      cause,
+    });
+  }
+  return new ApiError("network", online ? `Sem resposta de ${url}` : "Sem conexão com a internet", { cause });
+}
+
+// Quem quiser reagir a 401 de chamadas autenticadas (ex.: forçar novo login).
+// 403 não entra: a sessão continua valendo, só aquela ação foi negada.
+const authErrorListeners = new Set();
+
+export function onAuthError(fn) {
+  authErrorListeners.add(fn);
+  return () => authErrorListeners.delete(fn);
+}
+
+export async function apiFetch(path, { token, method = "GET", body, headers, asText = false, withStatus = false } = {}) {
+  const url = buildUrl(path);
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      // Se o backend usar cookie/sessão, isso permite enviar/receber cookies.
+      // (Se der CORS, use um proxy via Cloudflare Worker no MESMO domínio do front.)
+      credentials: "include",
+      headers: {
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        ...(token && token !== DEMO_TOKEN && token !== "session" ? { Authorization: `Bearer ${token}` } : {}),
+        ...(headers || {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (e) {
+    throw errorFromFetchFailure(url, e);
+  }
+
+  if (!res.ok) {
+    const err = await errorFromResponse(res);
+    if (err.kind === "auth" && token && token !== DEMO_TOKEN) authErrorListeners.forEach((fn) => fn(err));
+    throw err;
+  }
+
+  // respostas texto puro (ex.: /api/server/geocode do Traccar)
+  const ct = res.headers.get("content-type") || "";
+  const data = asText ? await res.text() : ct.includes("application/json") ? await res.json() : null;
+
+  // withStatus: quando o status OK importa (ex.: 202 do /api/commands/send)
+  return withStatus ? { status: res.status, data } : data;
+}
+
+// Mensagem curta pra UI a partir de um ApiError (ou Error comum)
+export function apiErrorMessage(e, fallback) {
+  if (!(e instanceof ApiError)) return e?.message || fallback;
+  if (e.kind === "auth") return "Sessão expirada. Entre novamente.";
+  if (e.kind === "forbidden") return "Sem permissão para esta ação. Fale com o administrador do Traccar.";
+  if (e.kind === "cors") return "A API bloqueou o acesso deste domínio (CORS). Use o proxy no mesmo domínio.";
+  if (e.kind === "network") return e.message;
+  if (e.kind === "server") return `Erro no servidor (${e.status}). Tente de novo em instantes.`;
+  return e.message || fallback;
+}
@@ -0,0 +1,109 @@
+import { describe, expect, it, vi } from "vitest";
+import { ApiError, apiErrorMessage, apiFetch, buildUrl, onAuthError } from "./client.js";
+import { jsonResponse, stubFetch, textResponse } from "../test/fetch.js";
+
+describe("buildUrl", () => {
+  it("prefixa VITE_API_BASE_URL", () => {
+    expect(buildUrl("/api/traccar/devices")).toBe("https://api.test/api/traccar/devices");
+  });
+});
+
+describe("apiFetch", () => {
+  it("manda Bearer e devolve o JSON", async () => {
+    const fetchMock = stubFetch({ "GET /api/traccar/devices": () => jsonResponse([{ id: 1 }]) });
+    await expect(apiFetch("/api/traccar/devices", { token: "abc" })).resolves.toEqual([{ id: 1 }]);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.test/api/traccar/devices");
+    expect(init.headers.Authorization).toBe("Bearer abc");
+    expect(init.credentials).toBe("include");
+  });
+
+  it("não manda Authorization com cookie de sessão", async () => {
+    const fetchMock = stubFetch({ "GET /api/devices": () => jsonResponse([]) });
+    await apiFetch("/api/devices", { token: "session" });
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBeUndefined();
+  });
+
+  it("envia corpo JSON e devolve status com withStatus", async () => {
+    const fetchMock = stubFetch({ "POST /api/commands/send": () => jsonResponse({ id: 9 }, 202) });
+    const res = await apiFetch("/api/commands/send", {
+      token: "abc",
+      method: "POST",
+      body: { deviceId: 1 },
+      withStatus: true,
+    });
+    expect(res).toEqual({ status: 202, data: { id: 9 } });
+    const init = fetchMock.mock.calls[0][1];
+    expect(init.headers["Content-Type"]).toBe("application/json");
+    expect(JSON.parse(init.body)).toEqual({ deviceId: 1 });
+  });
+
+  it("lê texto com asText e ignora corpo não-JSON sem asText", async () => {
+    stubFetch({ "GET /api/server/geocode": () => textResponse("Rua A, 1") });
+    await expect(apiFetch("/api/server/geocode", { asText: true })).resolves.toBe("Rua A, 1");
+    await expect(apiFetch("/api/server/geocode")).resolves.toBeNull();
+  });
+
+  it("401 vira ApiError auth e avisa os ouvintes", async () => {
+    stubFetch({ "GET /api/traccar/devices": () => textResponse("Unauthorized", 401) });
+    const listener = vi.fn();
+    const off = onAuthError(listener);
+    try {
+      const err = await apiFetch("/api/traccar/devices", { token: "abc" }).catch((e) => e);
+      expect(err).toBeInstanceOf(ApiError);
+      expect(err.kind).toBe("auth");
+      expect(err.status).toBe(401);
+      expect(listener).toHaveBeenCalledWith(err);
+    } finally {
+      off();
+    }
+  });
+
+  it("401 sem token (login) não avisa os ouvintes", async () => {
+    stubFetch({ "POST /api/auth/login": () => textResponse("Unauthorized", 401) });
+    const listener = vi.fn();
+    const off = onAuthError(listener);
+    try {
+      await expect(apiFetch("/api/auth/login", { method: "POST", body: {} })).rejects.toMatchObject({ kind: "auth" });
+      expect(listener).not.toHaveBeenCalled();
+    } finally {
+      off();
+    }
+  });
+
+  it("403 é falta de permissão: não derruba a sessão", async () => {
+    stubFetch({ "POST /api/traccar/devices": () => textResponse("Forbidden", 403) });
+    const listener = vi.fn();
+    const off = onAuthError(listener);
+    try {
+      const err = await apiFetch("/api/traccar/devices", { token: "abc", method: "POST", body: {} }).catch((e) => e);
+      expect(err).toMatchObject({ kind: "forbidden", status: 403 });
+      expect(apiErrorMessage(err, "")).toMatch(/^Sem permissão/);
+      expect(listener).not.toHaveBeenCalled();
+    } finally {
+      off();
+    }
+  });
+
+  it("classifica 5xx como server e 4xx como http", async () => {
+    stubFetch({
+      "GET /api/a": () => textResponse("boom", 503),
+      "GET /api/b": () => textResponse("nope", 404),
+    });
+    await expect(apiFetch("/api/a")).rejects.toMatchObject({ kind: "server", status: 503 });
+    await expect(apiFetch("/api/b")).rejects.toMatchObject({ kind: "http", status: 404 });
+  });
+
+  it("falha de fetch em outro domínio vira cors; offline vira network", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async () => {
+        throw new TypeError("Failed to fetch");
+      })
+    );
+    await expect(apiFetch("/api/a")).rejects.toMatchObject({ kind: "cors" });
+
+    vi.spyOn(window.navigator, "onLine", "get").mockReturnValue(false);
+    await expect(apiFetch("/api/a")).rejects.toMatchObject({ kind: "network", message: "Sem conexão com a internet" });
+  });
+});
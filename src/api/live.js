@@ -0,0 +1,77 @@
+import { buildUrl } from "./client.js";
+
+// ----------------------
+// TEMPO REAL (WebSocket do Traccar com reconexão)
+// ----------------------
+/**
+ * Abre um socket (real ou simulado) com reconexão por backoff exponencial.
+ * `open(attempt)` deve devolver algo com a interface do WebSocket
+ * (onopen / onmessage / onclose / close). Retorna a função de dispose.
+ */
+export function connectLive({ open, onMessage, onUp, onDown }) {
+  let disposed = false;
+  let ws = null;
+  let attempt = 0;
+  let everUp = false;
+  let retry = null;
+
+  function schedule() {
+    const delay = Math.min(30000, 1000 * 2 ** attempt);
+    attempt++;
+    retry = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    if (disposed) return;
+    try {
+      ws = open(attempt);
+    } catch {
+      ws = null;
+      onDown();
+      schedule();
+      return;
+    }
+
+    ws.onopen = () => {
+      attempt = 0;
+      onUp(everUp);
+      everUp = true;
+    };
+    ws.onmessage = (m) => {
+      try {
+        onMessage(JSON.parse(m.data));
+      } catch {
+        // keepalive / lixo — ignora
+      }
+    };
+    ws.onclose = () => {
+      ws = null;
+      if (disposed) return;
+      onDown();
+      schedule();
+    };
+  }
+
+  connect();
+
+  return () => {
+    disposed = true;
+    clearTimeout(retry);
+    if (ws) {
+      ws.onclose = null;
+      try {
+        ws.close();
+      } catch {
+        // ignore
+      }
+    }
+  };
+}
+
+export function socketUrl(path, token) {
+  const base = buildUrl(path);
+  const abs = /^https?:/.test(base) ? base : `${window.location.origin}${base}`;
+  const url = abs.replace(/^http/, "ws");
+  // WebSocket não manda header Authorization: token vai na query (cookie de sessão vai sozinho)
+  return token && token !== "session" ? `${url}?token=${encodeURIComponent(token)}` : url;
+}
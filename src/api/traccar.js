@@ -0,0 +1,158 @@
+import { ApiError, apiFetch, buildUrl, ENDPOINTS, errorFromFetchFailure, errorFromResponse } from "./client.js";
+
+// ----------------------
+// ADAPTADORES TRACCAR (proxy SouCare e Traccar direto; interface em backend.js)
+// ----------------------
+export function tokenFromLogin(data) {
+  return data?.token || data?.access_token || data?.jwt || "";
+}
+
+function rangeQuery(from, to) {
+  return `from=${encodeURIComponent(from.toISOString())}&to=${encodeURIComponent(to.toISOString())}`;
+}
+
+function deviceQuery(deviceIds) {
+  return deviceIds.map((id) => `deviceId=${encodeURIComponent(id)}`).join("&");
+}
+
+// O proxy espelha a API do Traccar: o que muda entre os dois é o caminho
+function traccarApi(paths, token) {
+  const opts = { token };
+  // Traccar pode devolver XLSX nos relatórios se não tiver Accept. Força JSON.
+  const json = { ...opts, headers: { Accept: "application/json" } };
+
+  return {
+    listDevices: () => apiFetch(paths.devices, opts),
+    listPositions: () => apiFetch(paths.positions, opts),
+    route: (deviceId, from, to) => apiFetch(`${paths.route}?${deviceQuery([deviceId])}&${rangeQuery(from, to)}`, json),
+    address: (lat, lng) =>
+      apiFetch(`${paths.geocode}?latitude=${encodeURIComponent(lat)}&longitude=${encodeURIComponent(lng)}`, {
+        ...opts,
+        asText: true,
+      }),
+    devices: {
+      create: (d) => apiFetch(paths.devices, { ...opts, method: "POST", body: d }),
+      // Traccar espera o objeto completo no PUT
+      update: (d) => apiFetch(`${paths.devices}/${d.id}`, { ...opts, method: "PUT", body: d }),
+    },
+    // O vínculo com o paciente é a permissão device↔geofence do Traccar
+    // (e o deviceId também vai em attributes, para a tabela saber de quem é).
+    geofences: {
+      list: () => apiFetch(paths.geofences, opts),
+      // Traccar filtra pelas permissões device↔geofence
+      listForDevice: (deviceId) => apiFetch(`${paths.geofences}?deviceId=${encodeURIComponent(deviceId)}`, opts),
+      create: (g) => apiFetch(paths.geofences, { ...opts, method: "POST", body: g }),
+      update: (g) => apiFetch(`${paths.geofences}/${g.id}`, { ...opts, method: "PUT", body: g }),
+      remove: (id) => apiFetch(`${paths.geofences}/${id}`, { ...opts, method: "DELETE" }),
+      link: (deviceId, geofenceId) =>
+        apiFetch(paths.permissions, { ...opts, method: "POST", body: { deviceId, geofenceId } }),
+      unlink: (deviceId, geofenceId) =>
+        apiFetch(paths.permissions, { ...opts, method: "DELETE", body: { deviceId, geofenceId } }),
+    },
+    // "sent" = aceito pelo servidor, "queued" = na fila (aparelho offline); a entrega chega depois
+    // como evento commandResult. Lança ApiError se falhar.
+    sendCommand: async (device, command) => {
+      const { status } = await apiFetch(paths.commands, {
+        ...opts,
+        method: "POST",
+        body: { deviceId: device.id, ...command },
+        withStatus: true,
+      });
+      return status === 202 ? "queued" : "sent";
+    },
+  };
+}
+
+// Proxy SouCare (/api/auth/*, /api/traccar/*): login por token bearer
+export function proxyBackend(token) {
+  return {
+    id: "proxy",
+    label: "Proxy SouCare",
+    login: async (email, password) => {
+      const t = tokenFromLogin(await apiFetch(ENDPOINTS.login, { method: "POST", body: { email, password } }));
+      if (!t) throw new ApiError("http", "Login sem token (esperado token/access_token/jwt)");
+      return t;
+    },
+    ...traccarApi(
+      {
+        devices: ENDPOINTS.devices,
+        positions: ENDPOINTS.positions,
+        route: ENDPOINTS.route24h,
+        geocode: ENDPOINTS.geocode,
+        geofences: ENDPOINTS.geofences,
+        permissions: ENDPOINTS.permissions,
+        commands: ENDPOINTS.commands,
+      },
+      token
+    ),
+    // só os aparelhos pedidos (o detalhe do dispositivo busca 7 dias de um só)
+    events: async (deviceIds, from, to) =>
+      deviceIds.length
+        ? apiFetch(`${ENDPOINTS.events}?${deviceQuery(deviceIds)}&${rangeQuery(from, to)}`, { token })
+        : [],
+    // cadastro de pacientes é do backend SouCare (fora do Traccar)
+    patients: {
+      list: () => apiFetch(ENDPOINTS.patients, { token }),
+      create: (pt) => apiFetch(ENDPOINTS.patients, { token, method: "POST", body: pt }),
+      update: (pt) => apiFetch(`${ENDPOINTS.patients}/${pt.id}`, { token, method: "PUT", body: pt }),
+      remove: (id) => apiFetch(`${ENDPOINTS.patients}/${id}`, { token, method: "DELETE" }),
+    },
+    // trilha de atendimento dos alertas, compartilhada entre operadores e plantões
+    alertSteps: {
+      list: () => apiFetch(ENDPOINTS.alertAcks, { token }),
+      add: (step) => apiFetch(ENDPOINTS.alertAcks, { token, method: "POST", body: step }),
+    },
+    // proxy sem socket: o Traccar costuma estar no mesmo domínio, então alterna com o direto
+    socketPaths: [ENDPOINTS.socket, ENDPOINTS.socketDirect],
+  };
+}
+
+// Traccar direto (/api/*): sessão por cookie
+export function directBackend(token) {
+  return {
+    id: "direct",
+    label: "Traccar direto",
+    login: async (email, password) => {
+      // Traccar espera form-encoded, não JSON
+      const url = buildUrl(ENDPOINTS.traccarSession);
+      let res;
+      try {
+        res = await fetch(url, {
+          method: "POST",
+          credentials: "include",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({ email, password }).toString(),
+        });
+      } catch (e) {
+        throw errorFromFetchFailure(url, e);
+      }
+      if (!res.ok) throw await errorFromResponse(res);
+      // se chegou aqui, o cookie foi setado
+      return "session";
+    },
+    ...traccarApi(
+      {
+        devices: ENDPOINTS.devicesDirect,
+        positions: ENDPOINTS.positionsDirect,
+        route: ENDPOINTS.route24hDirect,
+        geocode: ENDPOINTS.geocodeDirect,
+        geofences: ENDPOINTS.geofencesDirect,
+        permissions: ENDPOINTS.permissionsDirect,
+        commands: ENDPOINTS.commandsDirect,
+      },
+      token
+    ),
+    // relatório de eventos exige deviceId
+    events: async (deviceIds, from, to) =>
+      deviceIds.length
+        ? apiFetch(`${ENDPOINTS.eventsDirect}?${deviceQuery(deviceIds)}&${rangeQuery(from, to)}`, {
+            token,
+            headers: { Accept: "application/json" },
+          })
+        : [],
+    // o Traccar não tem cadastro de pacientes nem guarda o fluxo dos alertas
+    patients: null,
+    alertSteps: null,
+    socketPaths: [ENDPOINTS.socketDirect],
+  };
+}
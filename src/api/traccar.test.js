@@ -0,0 +1,86 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { createMockTraccar } from "../../scripts/mock-traccar.mjs";
+import { backendFor, detectBackend } from "./backend.js";
+import { directBackend, proxyBackend } from "./traccar.js";
+
+// adaptadores contra o Traccar mock de verdade (HTTP local, porta livre)
+describe("adaptadores contra o Traccar mock", () => {
+  const mock = createMockTraccar({ tickMs: 0 });
+  const realFetch = globalThis.fetch;
+
+  beforeAll(() => mock.listen(0));
+  afterAll(() => mock.close());
+
+  beforeEach(() => {
+    mock.reset();
+    mock.clearFailures();
+    // buildUrl aponta para VITE_API_BASE_URL (https://api.test nos testes): redireciona para o mock
+    vi.stubGlobal("fetch", (url, init) => realFetch(String(url).replace("https://api.test", mock.url), init));
+  });
+
+  it("login no proxy e depois devices/positions com o token", async () => {
+    const token = await proxyBackend("").login("operador@soucare.local", "mock");
+    expect(token.split(".")).toHaveLength(3);
+
+    const api = proxyBackend(token);
+    const devices = await api.listDevices();
+    const positions = await api.listPositions();
+    expect(devices.map((d) => d.id)).toEqual([101, 102, 103]);
+    expect(devices[0]).not.toHaveProperty("password");
+    expect(positions.map((p) => p.deviceId).sort()).toEqual([101, 102, 103]);
+  });
+
+  it("eventos no proxy vêm só dos aparelhos pedidos", async () => {
+    const token = await proxyBackend("").login("operador@soucare.local", "mock");
+    const api = proxyBackend(token);
+    const from = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const to = new Date();
+
+    expect((await api.events([101, 102, 103], from, to)).map((e) => e.deviceId).sort()).toEqual([101, 102, 103]);
+    expect((await api.events([102], from, to)).map((e) => e.deviceId)).toEqual([102]);
+    await expect(api.events([], from, to)).resolves.toEqual([]);
+  });
+
+  it("cadastro de pacientes só existe no proxy", async () => {
+    const token = await proxyBackend("").login("operador@soucare.local", "mock");
+    const list = await proxyBackend(token).patients.list();
+    expect(list.length).toBeGreaterThan(0);
+    expect(directBackend(token).patients).toBeNull();
+  });
+
+  it("login direto no Traccar é form-encoded e devolve sessão por cookie", async () => {
+    await expect(directBackend("").login("operador@soucare.local", "mock")).resolves.toBe("session");
+    await expect(directBackend("").login("operador@soucare.local", "errada")).rejects.toMatchObject({
+      kind: "auth",
+      status: 401,
+    });
+  });
+
+  it("detectBackend cai no direto quando o proxy não existe, e não volta ao proxy", async () => {
+    mock.addFailure("/api/auth=404");
+    await expect(detectBackend("operador@soucare.local", "mock")).resolves.toEqual({ id: "direct", token: "session" });
+    expect(backendFor("session").id).toBe("direct");
+
+    await expect(detectBackend("operador@soucare.local", "errada")).rejects.toMatchObject({ kind: "auth" });
+  });
+
+  it("relatórios do Traccar direto vêm em XLSX sem Accept; o adaptador pede JSON", async () => {
+    const token = await proxyBackend("").login("operador@soucare.local", "mock");
+    const from = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const to = new Date();
+    const qs = `deviceId=101&from=${encodeURIComponent(from.toISOString())}&to=${encodeURIComponent(to.toISOString())}`;
+
+    for (const report of ["route", "events"]) {
+      const raw = await realFetch(`${mock.url}/api/reports/${report}?${qs}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      expect(raw.status).toBe(200);
+      expect(raw.headers.get("content-type")).toContain("spreadsheetml");
+    }
+
+    // Traccar direto aceita o mesmo bearer
+    const direct = directBackend(token);
+    expect(Array.isArray(await direct.route(101, from, to))).toBe(true);
+    expect(Array.isArray(await direct.events([101], from, to))).toBe(true);
+  });
+});
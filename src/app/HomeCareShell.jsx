@@ -0,0 +1,414 @@
+import { lazy, Suspense, useMemo, useState } from "react";
+import { APP_NAME } from "../config.js";
+import { BACKEND_ENV } from "../api/backend.js";
+import { useGeofences } from "../data/geofences.js";
+import { safeGetUser } from "../lib/storage.js";
+import { VITALS_MAP_ERROR } from "../lib/vitals.js";
+import { filterRows } from "../lib/search.js";
+import { useNow } from "../hooks/useNow.js";
+import { useTraccarLive } from "../data/live.js";
+import { patientPath, RISK_LEVELS, usePatients } from "../data/patients.js";
+import { buildPatientRows } from "../data/patientRows.js";
+import { connectivityByDevice, useConnectivityLog } from "../data/connectivity.js";
+import { useRuleEpisodes } from "../data/rules.js";
+import { ALERT_FILTERS, buildAlerts, readAlertSettings, useAlertWorkflow } from "../data/alerts.js";
+import { isSilenced, SNOOZE_MINUTES, useCriticalAlerting, useNotifyPrefs } from "../data/notify.js";
+import { useShift } from "../data/shift.js";
+import { DEMO_SPEEDS } from "../demo/scenarios.js";
+import { Button, FilterButton, Placeholder } from "../ui/kit.jsx";
+import { Dashboard } from "../features/dashboard/Dashboard.jsx";
+import { ShiftReport } from "../features/shift/ShiftReport.jsx";
+import { useRoute } from "./routes.js";
+import { useUrlFilters } from "./filters.js";
+import { TopBar } from "./TopBar.jsx";
+
+// telas pesadas (mapa, formulários, relatórios) só baixam quando abertas; o painel inicial fica leve
+function lazyScreen(load, name) {
+  return lazy(() => load().then((m) => ({ default: m[name] })));
+}
+
+const Patients = lazyScreen(() => import("../features/patients/Patients.jsx"), "Patients");
+const PatientDetail = lazyScreen(() => import("../features/patients/PatientDetail.jsx"), "PatientDetail");
+const Devices = lazyScreen(() => import("../features/devices/Devices.jsx"), "Devices");
+const MapView = lazyScreen(() => import("../features/map/MapView.jsx"), "MapView");
+const Alerts = lazyScreen(() => import("../features/alerts/Alerts.jsx"), "Alerts");
+const Geofences = lazyScreen(() => import("../features/geofences/Geofences.jsx"), "Geofences");
+const ShiftView = lazyScreen(() => import("../features/shift/ShiftView.jsx"), "ShiftView");
+const Settings = lazyScreen(() => import("../features/settings/Settings.jsx"), "Settings");
+
+export function HomeCareShell({ token, onLogout }) {
+  // tela atual vem da URL (/patients/:id/:aba, /devices/:id, /map?device=...)
+  const [route, go] = useRoute();
+  const {
+    devices,
+    positions,
+    events,
+    history,
+    byDeviceId,
+    loading,
+    error,
+    live,
+    backend,
+    refresh,
+    upsertDevice,
+    demo,
+  } = useTraccarLive(token);
+
+  const {
+    patients,
+    error: patientsError,
+    unavailable: patientsUnavailable,
+    save: savePatient,
+    remove: removePatient,
+    linkDevice,
+  } = usePatients(token);
+  const geofences = useGeofences(token);
+  const { workflow, acks, advance, sync: alertSync } = useAlertWorkflow(token);
+  const [alertSettings, setAlertSettings] = useState(readAlertSettings);
+
+  const now = useNow(30 * 1000);
+  const connectivity = useMemo(() => connectivityByDevice(devices, byDeviceId, now), [devices, byDeviceId, now]);
+  const connectivityLog = useConnectivityLog(connectivity);
+
+  const patientRows = useMemo(
+    () =>
+      buildPatientRows(patients, devices, byDeviceId, { fences: geofences.fences, events, acks, connectivity, now }),
+    [patients, devices, byDeviceId, geofences.fences, events, acks, connectivity, now]
+  );
+  const episodes = useRuleEpisodes(patientRows);
+
+  const alerts = useMemo(
+    () =>
+      buildAlerts({
+        rows: patientRows,
+        episodes,
+        connectivityLog,
+        events,
+        devices,
+        patients,
+        workflow,
+        escalationMinutes: alertSettings.escalationMinutes,
+        now,
+      }),
+    [patientRows, episodes, connectivityLog, events, devices, patients, workflow, alertSettings, now]
+  );
+  // crítico ainda sem ninguém ter reconhecido: é o que faz barulho
+  const criticalOpen = useMemo(() => alerts.filter((a) => a.sev === "red" && a.status === "open"), [alerts]);
+  const [notifyPrefs, setNotifyPrefs] = useNotifyPrefs();
+  const silenced = isSilenced(notifyPrefs, now);
+  useCriticalAlerting(criticalOpen, silenced);
+
+  const shift = useShift(token);
+  // quem chega vê primeiro o relatório do plantão anterior (até dar ciência)
+  const [handoverLater, setHandoverLater] = useState(false);
+  const operator = safeGetUser() || "operador";
+  const lastReport = shift.reports[0];
+  const showHandover =
+    !handoverLater &&
+    !shift.current &&
+    lastReport &&
+    lastReport.operator !== operator &&
+    !lastReport.readBy.some((r) => r.by === operator);
+
+  const [filters, setFilters] = useUrlFilters();
+  const visibleRows = useMemo(() => filterRows(patientRows, filters), [patientRows, filters]);
+  const visibleDeviceIds = useMemo(() => new Set(visibleRows.flatMap((r) => r.deviceIds)), [visibleRows]);
+  const teams = useMemo(() => Array.from(new Set(patients.map((pt) => pt.team).filter(Boolean))).sort(), [patients]);
+  const risks = useMemo(() => RISK_LEVELS.filter((r) => patients.some((pt) => pt.risk === r.id)), [patients]);
+
+  function openPatient(id, tab = "summary") {
+    go(patientPath(id, tab));
+  }
+
+  function navigate(id) {
+    go(`/${id}`);
+  }
+
+  const active = route.screen;
+  const navActive = active === "patient" ? "patients" : active;
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-100">
+      <div className="mx-auto flex max-w-7xl gap-4 p-4">
+        <aside className="w-64 shrink-0 rounded-2xl border border-slate-800 bg-slate-900/40 p-3">
+          <div className="mb-3 rounded-xl border border-slate-800 bg-slate-950/40 p-3">
+            <div className="text-xs text-slate-400">SouCorp</div>
+            <div className="text-lg font-semibold">{APP_NAME}</div>
+            <div className="mt-2 flex gap-2">
+              <Button onClick={refresh}>Atualizar</Button>
+              <Button onClick={onLogout}>Sair</Button>
+            </div>
+          </div>
+
+          <NavItem label="Dashboard" id="dashboard" active={navActive} onClick={navigate} />
+          <NavItem label="Pacientes" id="patients" active={navActive} onClick={navigate} />
+          <NavItem label="Dispositivos" id="devices" active={navActive} onClick={navigate} />
+          <NavItem label="Mapa (Monitoramento)" id="map" active={navActive} onClick={navigate} />
+          <NavItem label="Alertas" id="alerts" active={navActive} onClick={navigate} />
+          <NavItem label="Cercas (Casa)" id="geofences" active={navActive} onClick={navigate} />
+          <NavItem label="Plantão" id="shift" active={navActive} onClick={navigate} />
+          <NavItem label="Configurações" id="settings" active={navActive} onClick={navigate} />
+
+          <div className="mt-4 border-t border-slate-800 pt-3 text-xs text-slate-400">
+            <div className="font-medium text-slate-300">Status API</div>
+            <div className="mt-1">
+              Backend: {backend.label}
+              {BACKEND_ENV !== "auto" ? " (VITE_BACKEND)" : ""}
+            </div>
+            <div className="mt-1">
+              {loading
+                ? "Carregando Traccar..."
+                : error
+                ? `Erro: ${error}`
+                : `OK • devices: ${devices.length} • pos: ${positions.length}`}
+            </div>
+            <div className="mt-1 text-slate-500">
+              {live === "socket"
+                ? "Ao vivo (WebSocket)"
+                : live === "polling"
+                ? "Polling (15s)"
+                : "Conectando socket..."}
+            </div>
+            {VITALS_MAP_ERROR ? <div className="mt-1 text-amber-300">{VITALS_MAP_ERROR}</div> : null}
+          </div>
+
+          <AlarmPanel count={criticalOpen.length} prefs={notifyPrefs} onPrefs={setNotifyPrefs} now={now} />
+          {demo ? <DemoScenarioPanel demo={demo} /> : null}
+        </aside>
+
+        <main className="flex-1">
+          <TopBar
+            filters={filters}
+            onChange={setFilters}
+            teams={teams}
+            risks={risks}
+            shown={visibleRows.length}
+            total={patientRows.length}
+            shift={shift.current}
+            onStartShift={shift.start}
+            onOpenShift={() => navigate("shift")}
+          />
+
+          <div className="mt-4">
+            <Suspense fallback={<div className="p-4 text-sm text-slate-400">Carregando tela...</div>}>
+              {active === "dashboard" && <Dashboard rows={visibleRows} onOpen={openPatient} />}
+              {active === "patients" && (
+                <Patients
+                  rows={visibleRows}
+                  onOpen={openPatient}
+                  patients={patients}
+                  devices={devices}
+                  error={patientsError}
+                  unavailable={patientsUnavailable}
+                  onSave={savePatient}
+                  onRemove={removePatient}
+                />
+              )}
+              {active === "devices" && (
+                <Devices
+                  devices={devices}
+                  visibleIds={visibleDeviceIds}
+                  byDeviceId={byDeviceId}
+                  patients={patients}
+                  events={events}
+                  token={token}
+                  onLink={linkDevice}
+                  onDeviceSaved={upsertDevice}
+                  connectivity={connectivity}
+                  selectedId={route.id}
+                  onSelect={(id) => go(id ? `/devices/${encodeURIComponent(id)}` : "/devices")}
+                />
+              )}
+              {active === "map" && (
+                <MapView
+                  rows={visibleRows}
+                  token={token}
+                  geofences={geofences}
+                  deviceId={Number(route.params.device) || null}
+                  onSelectDevice={(id) => go("/map", { device: id }, { replace: true })}
+                />
+              )}
+              {active === "alerts" && (
+                <Alerts
+                  status={ALERT_FILTERS.some((f) => f.id === route.params.status) ? route.params.status : "open"}
+                  onStatus={(status) => go("/alerts", { status }, { replace: true })}
+                  alerts={alerts}
+                  settings={alertSettings}
+                  onAdvance={advance}
+                  sync={alertSync}
+                />
+              )}
+              {active === "patient" && (
+                <PatientDetail
+                  patient={patients.find((pt) => String(pt.id) === String(route.id))}
+                  row={patientRows.find((r) => String(r.patientId) === String(route.id))}
+                  devices={devices}
+                  byDeviceId={byDeviceId}
+                  events={events}
+                  history={history}
+                  patients={patients}
+                  workflow={workflow}
+                  token={token}
+                  tab={route.tab}
+                  onTab={(tab) => openPatient(route.id, tab)}
+                  onBack={() => navigate("patients")}
+                  onSave={savePatient}
+                />
+              )}
+              {active === "geofences" && (
+                <Geofences
+                  devices={devices}
+                  byDeviceId={byDeviceId}
+                  patients={patients}
+                  geofences={geofences}
+                  editingId={route.id}
+                  onEdit={(id) => go(id ? `/geofences/${encodeURIComponent(id)}` : "/geofences")}
+                />
+              )}
+              {active === "shift" && (
+                <ShiftView
+                  shift={shift}
+                  alerts={alerts}
+                  rows={patientRows}
+                  devices={devices}
+                  patients={patients}
+                  connectivity={connectivity}
+                  now={now}
+                />
+              )}
+              {active === "settings" && <Settings alertSettings={alertSettings} onAlertSettings={setAlertSettings} />}
+              {!active && (
+                <Placeholder
+                  title="Página não encontrada"
+                  hint="Use o menu ao lado para voltar a uma tela do painel."
+                />
+              )}
+            </Suspense>
+          </div>
+        </main>
+      </div>
+
+      {showHandover ? (
+        <div className="fixed inset-0 z-[2000] overflow-auto bg-slate-950/90 p-4">
+          <div className="mx-auto max-w-3xl space-y-3">
+            <div className="rounded-2xl border border-emerald-500/30 bg-emerald-500/10 p-4">
+              <div className="text-lg font-semibold">Passagem de plantão</div>
+              <div className="mt-1 text-sm text-slate-300">
+                Leia o relatório de {lastReport.operator} antes de assumir.
+              </div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                <Button
+                  className="border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20"
+                  onClick={() => {
+                    shift.markRead(lastReport.id);
+                    shift.start();
+                  }}
+                >
+                  Ciente — iniciar meu plantão
+                </Button>
+                <Button onClick={() => shift.markRead(lastReport.id)}>Ciente</Button>
+                <Button onClick={() => setHandoverLater(true)}>Ler depois</Button>
+              </div>
+            </div>
+            <ShiftReport report={lastReport} />
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function NavItem({ label, id, active, onClick }) {
+  const isActive = active === id;
+  return (
+    <button
+      onClick={() => onClick(id)}
+      className={
+        "mb-1 flex w-full items-center justify-between rounded-xl px-3 py-2 text-left text-sm transition " +
+        (isActive
+          ? "bg-emerald-500/15 text-emerald-200 ring-1 ring-emerald-500/30"
+          : "text-slate-200 hover:bg-slate-800/60")
+      }
+    >
+      <span>{label}</span>
+      <span className={"text-xs " + (isActive ? "text-emerald-200" : "text-slate-500")}>›</span>
+    </button>
+  );
+}
+
+function DemoScenarioPanel({ demo }) {
+  return (
+    <div className="mt-4 border-t border-slate-800 pt-3 text-xs text-slate-400">
+      <div className="font-medium text-slate-300">Cenário DEMO</div>
+      <div className="mt-1">
+        {demo.scenario.label} • minuto {Math.floor(demo.minute)}
+      </div>
+      <div className="mt-2 flex flex-wrap gap-1">
+        {DEMO_SPEEDS.map((sp) => (
+          <FilterButton
+            key={sp}
+            active={demo.speed === sp}
+            className="px-2 py-1 text-xs"
+            onClick={() => demo.setSpeed(sp)}
+          >
+            {sp}×
+          </FilterButton>
+        ))}
+        <Button className="px-2 py-1 text-xs" onClick={() => demo.skip(10)}>
+          +10 min
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function AlarmPanel({ count, prefs, onPrefs, now }) {
+  const [permission, setPermission] = useState(() =>
+    typeof Notification === "undefined" ? "unsupported" : Notification.permission
+  );
+  const snoozed = prefs.snoozeUntil != null && new Date(prefs.snoozeUntil).getTime() > now;
+
+  return (
+    <div className="mt-4 border-t border-slate-800 pt-3 text-xs text-slate-400">
+      <div className="font-medium text-slate-300">Alarme</div>
+      <div className={`mt-1 ${count ? "text-red-300" : ""}`}>
+        {count ? `${count} crítico(s) sem reconhecimento` : "Nenhum crítico pendente"}
+      </div>
+      <div className="mt-2 flex flex-wrap gap-1">
+        <FilterButton
+          active={prefs.muted}
+          className="px-2 py-1 text-xs"
+          onClick={() => onPrefs({ muted: !prefs.muted })}
+        >
+          {prefs.muted ? "Som desligado" : "Silenciar"}
+        </FilterButton>
+        {snoozed ? (
+          <Button className="px-2 py-1 text-xs" onClick={() => onPrefs({ snoozeUntil: null })}>
+            Soneca até {new Date(prefs.snoozeUntil).toLocaleTimeString("pt-BR", { hour: "2-digit", minute: "2-digit" })}{" "}
+            ✕
+          </Button>
+        ) : (
+          SNOOZE_MINUTES.map((m) => (
+            <Button
+              key={m}
+              className="px-2 py-1 text-xs"
+              onClick={() => onPrefs({ snoozeUntil: new Date(now + m * 60000).toISOString() })}
+            >
+              Soneca {m}′
+            </Button>
+          ))
+        )}
+      </div>
+      {permission === "default" ? (
+        <Button
+          className="mt-2 w-full px-2 py-1 text-xs"
+          onClick={() => Notification.requestPermission().then(setPermission)}
+        >
+          Ativar notificações da área de trabalho
+        </Button>
+      ) : permission === "denied" ? (
+        <div className="mt-2 text-slate-500">Notificações bloqueadas no navegador.</div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { HomeCareShell } from "./HomeCareShell.jsx";
+
+describe("HomeCareShell", () => {
+  it("navega pelas telas e atualiza a URL", async () => {
+    render(<HomeCareShell token="demo" onLogout={() => {}} />);
+    expect(await screen.findByText("Central de monitoramento")).toBeTruthy();
+    expect(screen.getByText(/Backend: DEMO \(local\)/)).toBeTruthy();
+
+    fireEvent.click(screen.getByRole("button", { name: /^Pacientes/ }));
+    expect(window.location.pathname).toBe("/patients");
+    expect(await screen.findByText("João Pereira")).toBeTruthy();
+
+    fireEvent.click(screen.getByRole("button", { name: /^Dispositivos/ }));
+    expect(window.location.pathname).toBe("/devices");
+
+    fireEvent.click(screen.getByRole("button", { name: /^Configurações/ }));
+    expect(window.location.pathname).toBe("/settings");
+
+    window.history.back();
+    await waitFor(() => expect(window.location.pathname).toBe("/devices"));
+  });
+
+  it("logado, /login segue para o painel", async () => {
+    window.history.replaceState(null, "", "/login");
+    render(<HomeCareShell token="demo" onLogout={() => {}} />);
+    expect(await screen.findByText("Central de monitoramento")).toBeTruthy();
+    expect(window.location.pathname).toBe("/dashboard");
+  });
+
+  it("Sair chama onLogout", () => {
+    const onLogout = vi.fn();
+    render(<HomeCareShell token="demo" onLogout={onLogout} />);
+    fireEvent.click(screen.getByRole("button", { name: "Sair" }));
+    expect(onLogout).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+import { APP_NAME } from "../config.js";
+import { formatDateTime } from "../lib/format.js";
+import { Button } from "../ui/kit.jsx";
+import { FILTER_KEYS } from "./filters.js";
+
+export function TopBar({ filters, onChange, teams, risks, shown, total, shift, onStartShift, onOpenShift }) {
+  const active = FILTER_KEYS.some((k) => filters[k]);
+  return (
+    <div className="flex flex-col gap-3 rounded-2xl border border-slate-800 bg-slate-900/40 p-4 md:flex-row md:items-center md:justify-between">
+      <div>
+        <div className="text-sm text-slate-300">Central de monitoramento</div>
+        <div className="text-xl font-semibold">{APP_NAME} — Plantão</div>
+        <div className="mt-1 flex items-center gap-2 text-xs text-slate-400">
+          {shift ? (
+            <>
+              <span>
+                {shift.operator} desde {formatDateTime(shift.startedAt)}
+              </span>
+              <button className="text-emerald-300 hover:underline" onClick={onOpenShift}>
+                Encerrar plantão
+              </button>
+            </>
+          ) : (
+            <>
+              <span>Nenhum plantão iniciado</span>
+              <button className="text-emerald-300 hover:underline" onClick={onStartShift}>
+                Iniciar plantão
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-col gap-2 md:flex-row md:items-center">
+        <input
+          className="w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none placeholder:text-slate-600 md:w-72"
+          placeholder="Buscar paciente / dispositivo..."
+          value={filters.q}
+          onChange={(e) => onChange({ q: e.target.value })}
+        />
+        <select
+          className="rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+          value={filters.team}
+          onChange={(e) => onChange({ team: e.target.value })}
+        >
+          <option value="">Filtro: Equipe</option>
+          {teams.map((t) => (
+            <option key={t} value={t}>
+              {t}
+            </option>
+          ))}
+        </select>
+        <select
+          className="rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+          value={filters.risk}
+          onChange={(e) => onChange({ risk: e.target.value })}
+        >
+          <option value="">Risco: Todos</option>
+          {risks.map((r) => (
+            <option key={r.id} value={r.id}>
+              {r.label}
+            </option>
+          ))}
+        </select>
+        {active ? (
+          <Button onClick={() => onChange({ q: "", team: "", risk: "" })} title={`${shown} de ${total}`}>
+            Limpar ({shown}/{total})
+          </Button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { useEffect, useState } from "react";
+
+// ----------------------
+// FILTROS (TopBar) — estado único, espelhado na query string (?q=&team=&risk=)
+// ----------------------
+export const FILTER_KEYS = ["q", "team", "risk"];
+
+function readUrlFilters() {
+  const params = new URLSearchParams(typeof window === "undefined" ? "" : window.location.search);
+  return Object.fromEntries(FILTER_KEYS.map((k) => [k, params.get(k) || ""]));
+}
+
+export function useUrlFilters() {
+  const [filters, setFilters] = useState(() => readUrlFilters());
+
+  useEffect(() => {
+    const onPop = () => setFilters(readUrlFilters());
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  function update(patch) {
+    const next = { ...filters, ...patch };
+    setFilters(next);
+
+    // replaceState: digitar na busca não deve encher o histórico do navegador
+    const params = new URLSearchParams(window.location.search);
+    for (const k of FILTER_KEYS) {
+      if (next[k]) params.set(k, next[k]);
+      else params.delete(k);
+    }
+    const qs = params.toString();
+    window.history.replaceState(
+      window.history.state,
+      "",
+      `${window.location.pathname}${qs ? `?${qs}` : ""}${window.location.hash}`
+    );
+  }
+
+  return [filters, update];
+}
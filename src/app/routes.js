@@ -0,0 +1,96 @@
+import { useEffect, useState } from "react";
+import { PATIENT_TABS } from "../data/patients.js";
+import { FILTER_KEYS } from "./filters.js";
+
+// ----------------------
+// ROTAS (History API; o servidor estático precisa devolver index.html em qualquer caminho)
+// ----------------------
+const SCREENS = ["dashboard", "patients", "devices", "map", "alerts", "geofences", "shift", "settings"];
+
+// "/patients/12/vitals" -> { screen: "patient", id: "12", tab: "vitals", params }
+// screen null = caminho desconhecido
+function parseRoute(pathname, search) {
+  const params = Object.fromEntries(new URLSearchParams(search));
+  const [first = "dashboard", id = null, tab = null] = pathname
+    .split("/")
+    .filter(Boolean)
+    .map((part) => decodeURIComponent(part));
+
+  if (first === "patients" && id) {
+    return { screen: "patient", id, tab: PATIENT_TABS.some((t) => t.id === tab) ? tab : "summary", params };
+  }
+  if (!SCREENS.includes(first)) return { screen: null, id: null, tab: null, params };
+  return { screen: first, id: first === "devices" || first === "geofences" ? id : null, tab: null, params };
+}
+
+function readRoute() {
+  return parseRoute(window.location.pathname, window.location.search);
+}
+
+// links antigos (#/patients/:id/:aba) viram caminho de verdade
+function migrateHashLink() {
+  const m = window.location.hash.match(/^#(\/patients\/[^/]+(?:\/\w+)?)$/);
+  if (m) window.history.replaceState(null, "", `${m[1]}${window.location.search}`);
+}
+
+// query da rota substitui a anterior; filtros do TopBar (q/team/risk) acompanham a navegação
+function routeUrl(path, query = {}) {
+  const params = new URLSearchParams(window.location.search);
+  for (const k of Array.from(params.keys())) {
+    if (!FILTER_KEYS.includes(k)) params.delete(k);
+  }
+  for (const [k, v] of Object.entries(query)) {
+    if (v != null && v !== "") params.set(k, v);
+  }
+  const qs = params.toString();
+  return `${path}${qs ? `?${qs}` : ""}`;
+}
+
+export function useRoute() {
+  const [route, setRoute] = useState(() => {
+    migrateHashLink();
+    // o shell só monta logado: /login (favorito, botão voltar) segue para o destino
+    if (window.location.pathname === "/login") finishLoginRedirect();
+    return readRoute();
+  });
+
+  useEffect(() => {
+    const onPop = () => setRoute(readRoute());
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  // replace: trocas "finas" (aba de filtro, device selecionado) não enchem o histórico
+  function go(path, query, { replace = false } = {}) {
+    const url = routeUrl(path, query);
+    if (replace) window.history.replaceState(null, "", url);
+    else window.history.pushState(null, "", url);
+    setRoute(readRoute());
+  }
+
+  return [route, go];
+}
+
+// Sem login: guarda a URL pedida em /login?next=...; depois do login volta pra ela
+export function rememberLoginRedirect() {
+  if (window.location.pathname === "/login") return;
+  const next = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+  const qs = next === "/" ? "" : `?next=${encodeURIComponent(next)}`;
+  window.history.replaceState(null, "", `/login${qs}`);
+}
+
+export function finishLoginRedirect() {
+  const next = new URLSearchParams(window.location.search).get("next") || "";
+  // só caminhos deste domínio (evita redirect aberto): o navegador normaliza "/\evil.com" para
+  // "//evil.com", então vale a origem depois do parse, não o texto
+  let safe = "/dashboard";
+  try {
+    const url = new URL(next, window.location.origin);
+    if (next && url.origin === window.location.origin && !url.pathname.startsWith("/login")) {
+      safe = `${url.pathname}${url.search}${url.hash}`;
+    }
+  } catch {
+    // next malformado: vai para o painel
+  }
+  window.history.replaceState(null, "", safe);
+}
@@ -0,0 +1,21 @@
+import { describe, expect, it } from "vitest";
+import { finishLoginRedirect } from "./routes.js";
+
+describe("finishLoginRedirect", () => {
+  const after = (search) => {
+    window.history.replaceState(null, "", `/login${search}`);
+    finishLoginRedirect();
+    return `${window.location.pathname}${window.location.search}`;
+  };
+
+  it("volta para o caminho pedido", () => {
+    expect(after(`?next=${encodeURIComponent("/patients/12/vitals?q=ana")}`)).toBe("/patients/12/vitals?q=ana");
+    expect(after("")).toBe("/dashboard");
+  });
+
+  it("não sai do domínio nem volta para o login", () => {
+    for (const next of ["//evil.com", "/\\evil.com", "https://evil.com/x", "javascript:alert(1)", "/login?next=/map"]) {
+      expect(after(`?next=${encodeURIComponent(next)}`)).toBe("/dashboard");
+    }
+  });
+});
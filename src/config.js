@@ -0,0 +1,2 @@
+// Nome sugerido dentro da SouCorp
+export const APP_NAME = "SouCare";
@@ -0,0 +1,245 @@
+import { useEffect, useMemo, useState } from "react";
+import { apiErrorMessage } from "../api/client.js";
+import { backendFor } from "../api/backend.js";
+import { safeGetJson, safeGetUser, safeSetJson } from "../lib/storage.js";
+import { formatDateTime } from "../lib/format.js";
+import { normalizeEvents } from "./events.js";
+import { connectivityAlerts, inLoggedOutage } from "./connectivity.js";
+import { inOutsideHomeEpisode, ruleAlerts } from "./rules.js";
+
+// ----------------------
+// ALERTAS (etapas de atendimento, escalonamento e lista unificada)
+// ----------------------
+// Fluxo de atendimento: aberto → reconhecido → em atendimento → resolvido.
+// Cada etapa registra operador, hora e nota (obrigatória) — é a trilha de auditoria do alerta.
+const ALERT_STEPS = [
+  { id: "open", label: "Aberto" },
+  { id: "acknowledged", label: "Reconhecido", action: "Reconhecer" },
+  { id: "attending", label: "Em atendimento", action: "Iniciar atendimento" },
+  { id: "resolved", label: "Resolvido", action: "Resolver" },
+];
+
+const ALERT_WORKFLOW_KEY = "soucare_alert_workflow";
+
+// papel do posto e prazo de escalonamento (tela Configurações; padrão via env)
+export const ALERT_SETTINGS_KEY = "soucare_alert_settings";
+
+export const OPERATOR_ROLES = [
+  { id: "operator", label: "Operador" },
+  { id: "supervisor", label: "Supervisor" },
+];
+
+const DEFAULT_ALERT_SETTINGS = {
+  role: "operator",
+  escalationMinutes: Number(import.meta?.env?.VITE_ALERT_ESCALATION_MIN) || 10,
+};
+
+export function readAlertSettings() {
+  return { ...DEFAULT_ALERT_SETTINGS, ...(safeGetJson(ALERT_SETTINGS_KEY, null) || {}) };
+}
+
+function alertStatus(steps) {
+  return steps?.length ? steps[steps.length - 1].status : "open";
+}
+
+export function nextAlertStep(status) {
+  const i = ALERT_STEPS.findIndex((s) => s.id === status);
+  return ALERT_STEPS[i + 1] || null;
+}
+
+export function alertStepLabel(status) {
+  if (status === "escalated") return "Escalado para supervisor";
+  return ALERT_STEPS.find((s) => s.id === status)?.label || status;
+}
+
+export function alertStepText(steps) {
+  const last = steps?.[steps.length - 1];
+  return last ? `${alertStepLabel(last.status)} por ${last.by} • ${formatDateTime(last.at)}` : "Aberto";
+}
+
+/**
+ * Crítico (vermelho) sem reconhecimento por N minutos sobe para o supervisor.
+ * Derivado da hora do alerta e da 1ª etapa — não depende de alguém estar com a tela aberta na hora.
+ */
+function escalationOf(alert, steps, minutes, now) {
+  if (alert.sev !== "red") return null;
+  const at = new Date(alert.eventTime).getTime() + minutes * 60000;
+  if (!Number.isFinite(at) || at > now) return null;
+  const ackAt = steps?.length ? new Date(steps[0].at).getTime() : Infinity;
+  return ackAt > at ? new Date(at).toISOString() : null;
+}
+
+// abertura + etapas + escalonamento, em ordem de tempo
+export function alertTimeline(alert) {
+  const entries = [
+    { status: "open", by: "sistema", at: alert.eventTime, note: alert.type },
+    ...alert.steps,
+    ...(alert.escalatedAt
+      ? [
+          {
+            status: "escalated",
+            by: "sistema",
+            at: alert.escalatedAt,
+            note: "Crítico sem reconhecimento dentro do prazo",
+          },
+        ]
+      : []),
+  ];
+  return entries.sort((a, b) => new Date(a.at || 0).getTime() - new Date(b.at || 0).getTime());
+}
+
+function readAlertWorkflow() {
+  const saved = safeGetJson(ALERT_WORKFLOW_KEY, null);
+  if (saved) return saved;
+  // migra o "Resolver" antigo (soucare_alert_acks: { [id]: { by, at } })
+  const old = safeGetJson("soucare_alert_acks", {});
+  return Object.fromEntries(
+    Object.entries(old).map(([id, a]) => [
+      id,
+      [{ status: "resolved", by: a.by, at: a.at, note: "Resolvido antes do fluxo de atendimento" }],
+    ])
+  );
+}
+
+// mesma etapa = mesmo status na mesma hora (cada clique grava o próprio instante)
+function sameStep(a, b) {
+  return a.status === b.status && a.at === b.at;
+}
+
+/**
+ * Junta as etapas do backend (de todos os operadores) com as deste navegador.
+ * Etapa local que o backend já tem deixa de ser pendente; a que não tem continua como está.
+ */
+export function mergeWorkflow(local, remote) {
+  const next = { ...local };
+  for (const r of Array.isArray(remote) ? remote : []) {
+    const id = String(r.eventId);
+    const step = { status: r.status, by: r.by, at: r.at, note: r.note };
+    const steps = next[id] || [];
+    next[id] = steps.some((s) => sameStep(s, step))
+      ? steps.map((s) => (sameStep(s, step) ? step : s))
+      : [...steps, step].sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+  }
+  return next;
+}
+
+function pendingSteps(workflow) {
+  return Object.entries(workflow).flatMap(([id, steps]) =>
+    steps.filter((s) => s.pending).map((s) => ({ id, step: s }))
+  );
+}
+
+/**
+ * Etapas dos alertas: o backend (alertSteps do adaptador) é a trilha compartilhada entre
+ * operadores e plantões; o localStorage guarda a cópia deste navegador e as etapas ainda
+ * não enviadas (`pending`), que voltam a ser enviadas ao abrir e no "Tentar de novo".
+ * `acks` (só os resolvidos, { by, at }) é o que as regras e a ficha do paciente consultam.
+ */
+export function useAlertWorkflow(token) {
+  const api = useMemo(() => backendFor(token).alertSteps, [token]);
+  const [workflow, setWorkflow] = useState(readAlertWorkflow);
+  const [syncError, setSyncError] = useState("");
+
+  function update(fn) {
+    setWorkflow((prev) => {
+      const next = fn(prev);
+      safeSetJson(ALERT_WORKFLOW_KEY, next);
+      return next;
+    });
+  }
+
+  async function push(alertId, step) {
+    const body = { status: step.status, by: step.by, at: step.at, note: step.note };
+    try {
+      await api.add({ eventId: alertId, ...body });
+      update((prev) => ({ ...prev, [alertId]: (prev[alertId] || []).map((s) => (sameStep(s, step) ? body : s)) }));
+    } catch (e) {
+      setSyncError(apiErrorMessage(e, "Erro ao enviar a etapa"));
+    }
+  }
+
+  async function retry(list) {
+    setSyncError("");
+    for (const { id, step } of list) await push(id, step);
+  }
+
+  // ao abrir: traz a trilha do backend e reenvia o que ficou pendente
+  useEffect(() => {
+    if (!api) return;
+    let cancelled = false;
+    api
+      .list()
+      .then((remote) => {
+        if (cancelled) return;
+        const merged = mergeWorkflow(readAlertWorkflow(), remote);
+        safeSetJson(ALERT_WORKFLOW_KEY, merged);
+        setWorkflow(merged);
+        retry(pendingSteps(merged));
+      })
+      .catch((e) => {
+        if (!cancelled) setSyncError(apiErrorMessage(e, "Erro ao carregar as etapas dos alertas"));
+      });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api]);
+
+  function advance(alertId, status, note) {
+    const step = { status, by: safeGetUser() || "operador", at: new Date().toISOString(), note };
+    // sem backend compartilhado não há o que sincronizar
+    if (api) step.pending = true;
+    update((prev) => ({ ...prev, [alertId]: [...(prev[alertId] || []), step] }));
+    if (api) push(alertId, step);
+  }
+
+  const acks = useMemo(() => {
+    const out = {};
+    for (const [id, steps] of Object.entries(workflow)) {
+      const resolved = steps.find((s) => s.status === "resolved");
+      if (resolved) out[id] = { by: resolved.by, at: resolved.at };
+    }
+    return out;
+  }, [workflow]);
+
+  const pending = pendingSteps(workflow);
+  const sync = {
+    shared: Boolean(api),
+    pending: pending.length,
+    error: syncError,
+    retry: () => retry(pending),
+  };
+
+  return { workflow, acks, advance, sync };
+}
+
+export const ALERT_FILTERS = [
+  { id: "open", label: "Em aberto" },
+  { id: "escalated", label: "Escalados" },
+  { id: "resolved", label: "Resolvidos" },
+];
+
+// regras + conectividade + eventos do Traccar, já com a etapa do fluxo e o escalonamento
+export function buildAlerts({ rows, episodes, connectivityLog, events, devices, patients, workflow, escalationMinutes, now }) {
+  return [
+    ...ruleAlerts(rows, episodes),
+    ...connectivityAlerts(connectivityLog, devices, patients),
+    // mesma queda: fica o alerta do log (tem o tempo sem monitoramento), não o deviceOffline;
+    // mesma saída de casa: fica o alerta da regra outsideHome, não o geofenceExit
+    ...normalizeEvents(events, devices, patients).filter(
+      (a) =>
+        !(a.kind === "deviceOffline" && inLoggedOutage(connectivityLog, a.deviceId, a.eventTime)) &&
+        !(a.kind === "geofenceExit" && inOutsideHomeEpisode(rows, episodes, events, a.deviceId, a.eventTime))
+    ),
+  ]
+    .map((a) => {
+      const steps = workflow[a.id] || [];
+      return {
+        ...a,
+        steps,
+        status: alertStatus(steps),
+        escalatedAt: escalationOf(a, steps, escalationMinutes, now),
+      };
+    })
+    .sort((a, b) => new Date(b.eventTime || 0).getTime() - new Date(a.eventTime || 0).getTime());
+}
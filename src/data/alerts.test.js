@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { act, renderHook, waitFor } from "@testing-library/react";
+import { buildAlerts, useAlertWorkflow } from "./alerts.js";
+import { jsonResponse, stubFetch, textResponse } from "../test/fetch.js";
+
+describe("buildAlerts", () => {
+  const devices = [{ id: 1, name: "Relógio 1" }];
+  const base = { rows: [], episodes: {}, devices, patients: [], workflow: {}, escalationMinutes: 10, now: Date.now() };
+  const outage = {
+    id: "conn:1:offline:2026-03-01T12:30:00Z",
+    deviceId: 1,
+    state: "offline",
+    since: "2026-03-01T12:30:00Z",
+    lastSeen: "2026-03-01T12:00:00Z",
+    until: "2026-03-01T14:00:00Z",
+  };
+  const offlineAt = (id, eventTime) => ({ id, type: "deviceOffline", deviceId: 1, eventTime });
+
+  it("queda já no log de conectividade não gera um segundo alerta pelo deviceOffline", () => {
+    const alerts = buildAlerts({ ...base, connectivityLog: [outage], events: [offlineAt(7, "2026-03-01T12:10:00Z")] });
+    expect(alerts.map((a) => a.id)).toEqual([outage.id]);
+  });
+
+  it("deviceOffline de outra queda continua", () => {
+    const alerts = buildAlerts({ ...base, connectivityLog: [outage], events: [offlineAt(8, "2026-03-01T15:00:00Z")] });
+    expect(alerts.map((a) => a.id)).toEqual([8, outage.id]);
+  });
+
+  it("saída de casa: um alerta só, o da regra, com a mesma severidade do marcador", () => {
+    const reason = { code: "outsideHome", sev: "yellow", label: "Fora de casa (300 m)", since: "2026-03-01T12:05:00Z" };
+    const row = { key: "p1", deviceId: 1, deviceIds: [1], patient: "Maria", reasons: [reason] };
+    const episodes = { "p1|outsideHome": { since: reason.since } };
+    const exit = { id: 20, type: "geofenceExit", deviceId: 1, eventTime: "2026-03-01T12:05:00Z" };
+
+    const alerts = buildAlerts({ ...base, rows: [row], episodes, connectivityLog: [], events: [exit] });
+    expect(alerts.map((a) => [a.kind, a.sev])).toEqual([["outsideHome", "yellow"]]);
+
+    // saída antiga, já com volta registrada: é outra excursão
+    const back = { id: 21, type: "geofenceEnter", deviceId: 1, eventTime: "2026-03-01T11:00:00Z" };
+    const older = { ...exit, id: 19, eventTime: "2026-03-01T10:00:00Z" };
+    const again = buildAlerts({ ...base, rows: [row], episodes, connectivityLog: [], events: [older, back, exit] });
+    expect(again.filter((a) => a.kind === "geofenceExit").map((a) => [a.id, a.sev])).toEqual([[19, "yellow"]]);
+  });
+});
+
+describe("useAlertWorkflow", () => {
+  const remote = { eventId: 7, status: "acknowledged", by: "ana", at: "2026-03-01T12:00:00Z", note: "liguei" };
+
+  it("traz a trilha dos outros operadores e mantém pendente a etapa que não foi enviada", async () => {
+    let up = false;
+    const posted = [];
+    stubFetch({
+      "GET /api/alerts/acks": () => jsonResponse([remote]),
+      "POST /api/alerts/acks": (init) => {
+        if (!up) return textResponse("boom", 503);
+        posted.push(JSON.parse(init.body));
+        return new Response(null, { status: 204 });
+      },
+    });
+    const { result } = renderHook(() => useAlertWorkflow("jwt-1"));
+    await waitFor(() => expect(result.current.workflow["7"]).toEqual([{ ...remote, eventId: undefined }]));
+
+    await act(() => result.current.advance("7", "attending", "a caminho"));
+    expect(result.current.sync.pending).toBe(1);
+    expect(result.current.sync.error).toMatch(/503/);
+    expect(result.current.workflow["7"][1]).toMatchObject({ status: "attending", pending: true });
+
+    up = true;
+    await act(() => result.current.sync.retry());
+    expect(result.current.sync).toMatchObject({ pending: 0, error: "" });
+    expect(posted).toEqual([expect.objectContaining({ eventId: "7", status: "attending", note: "a caminho" })]);
+    expect(posted[0]).not.toHaveProperty("pending");
+  });
+});
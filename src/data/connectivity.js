@@ -0,0 +1,172 @@
+import { useEffect, useState } from "react";
+import { safeGetJson, safeSetJson } from "../lib/storage.js";
+import { formatDuration, timeAgo } from "../lib/format.js";
+import { cleanThresholds } from "./thresholds.js";
+import { deviceLabel, patientByDeviceId } from "./devices.js";
+
+// ----------------------
+// CONECTIVIDADE (heartbeat esperado por dispositivo)
+// ----------------------
+// device.attributes.heartbeatMinutes = de quanto em quanto tempo o aparelho reporta;
+// atrasado após DELAYED_FACTOR× e offline após offlineFactor× esse intervalo
+export const DEFAULT_HEARTBEAT = { heartbeatMinutes: 5, offlineFactor: 6 };
+
+export const DELAYED_FACTOR = 2;
+
+const CONNECTIVITY_RANK = { online: 0, delayed: 1, offline: 2, disabled: 3 };
+
+export const CONNECTIVITY_STATES = {
+  online: { label: "Online", tone: "green" },
+  delayed: { label: "Atrasado", tone: "yellow" },
+  offline: { label: "Offline", tone: "gray" },
+  disabled: { label: "Desativado", tone: "gray" },
+};
+
+export function heartbeatOf(device) {
+  const custom = cleanThresholds({
+    heartbeatMinutes: device?.attributes?.heartbeatMinutes,
+    offlineFactor: device?.attributes?.offlineFactor,
+  });
+  const hb = { ...DEFAULT_HEARTBEAT, ...custom };
+  if (!(hb.heartbeatMinutes > 0)) hb.heartbeatMinutes = DEFAULT_HEARTBEAT.heartbeatMinutes;
+  if (!(hb.offlineFactor > DELAYED_FACTOR)) hb.offlineFactor = DEFAULT_HEARTBEAT.offlineFactor;
+  return hb;
+}
+
+/**
+ * { state, since, lastSeen } de um dispositivo.
+ * lastSeen = a comunicação mais recente (posição ou device.lastUpdate do Traccar);
+ * since = quando entrou no estado atual (para alerta/tempo sem monitoramento).
+ * device.status do Traccar manda quando é pior: "offline" derruba, "unknown" é no mínimo atraso.
+ */
+export function deviceConnectivity(device, position, now = Date.now()) {
+  if (device?.disabled) return { state: "disabled", since: null, lastSeen: null };
+
+  const times = [position?.fixTime || position?.deviceTime, device?.lastUpdate]
+    .map((x) => new Date(x || 0).getTime())
+    .filter((t) => t > 0);
+  const last = times.length ? Math.max(...times) : null;
+  const hb = heartbeatOf(device);
+  const interval = hb.heartbeatMinutes * 60000;
+  const lastSeen = last != null ? new Date(last).toISOString() : null;
+  const at = (factor) => new Date(last + factor * interval).toISOString();
+
+  if (last == null) return { state: "offline", since: null, lastSeen };
+  if (device?.status === "offline" || now - last > hb.offlineFactor * interval) {
+    return {
+      state: "offline",
+      since: now - last > hb.offlineFactor * interval ? at(hb.offlineFactor) : lastSeen,
+      lastSeen,
+    };
+  }
+  if (device?.status === "unknown" || now - last > DELAYED_FACTOR * interval) {
+    return {
+      state: "delayed",
+      since: now - last > DELAYED_FACTOR * interval ? at(DELAYED_FACTOR) : lastSeen,
+      lastSeen,
+    };
+  }
+  return { state: "online", since: lastSeen, lastSeen };
+}
+
+export function connectivityByDevice(devices, byDeviceId, now) {
+  const out = {};
+  for (const d of devices) out[d.id] = deviceConnectivity(d, byDeviceId[d.id], now);
+  return out;
+}
+
+export function bestConnectivity(list) {
+  return list.reduce(
+    (best, c) => (!best || CONNECTIVITY_RANK[c.state] < CONNECTIVITY_RANK[best.state] ? c : best),
+    null
+  );
+}
+
+export function connectivityLabel(conn) {
+  const base = CONNECTIVITY_STATES[conn.state].label;
+  if (conn.state === "online" || conn.state === "disabled") return base;
+  return conn.lastSeen ? `${base} (último sinal ${timeAgo(conn.lastSeen)})` : `${base} (nunca comunicou)`;
+}
+
+/**
+ * Log de transições de conectividade por dispositivo (persistido): cada atraso/queda
+ * abre uma entrada { id, deviceId, state, since, lastSeen } e a volta do sinal fecha
+ * com `until` — until - lastSeen = quanto tempo o paciente ficou sem monitoramento.
+ */
+const CONNECTIVITY_LOG_KEY = "soucare_connectivity_log";
+
+const CONNECTIVITY_LOG_MAX = 200;
+
+export function useConnectivityLog(connectivity) {
+  const [state, setState] = useState(() => ({ conn: null, log: safeGetJson(CONNECTIVITY_LOG_KEY, []) }));
+
+  // ajuste de estado durante o render (mesmo padrão do useRuleEpisodes)
+  if (state.conn !== connectivity) {
+    setState({ conn: connectivity, log: updateConnectivityLog(state.log, connectivity) });
+  }
+
+  useEffect(() => {
+    safeSetJson(CONNECTIVITY_LOG_KEY, state.log);
+  }, [state.log]);
+
+  return state.log;
+}
+
+function updateConnectivityLog(prev, connectivity, now = new Date().toISOString()) {
+  let next = prev;
+  for (const [key, c] of Object.entries(connectivity)) {
+    const deviceId = Number(key);
+    const open = next.find((e) => e.deviceId === deviceId && !e.until);
+    if (open && open.state === c.state) continue;
+    const bad = c.state === "delayed" || c.state === "offline";
+    if (!open && !bad) continue;
+
+    next = next.map((e) =>
+      e === open ? { ...e, until: c.state === "online" ? c.lastSeen || now : c.since || now } : e
+    );
+    if (bad) {
+      const since = c.since || now;
+      next = [
+        ...next,
+        { id: `conn:${deviceId}:${c.state}:${since}`, deviceId, state: c.state, since, lastSeen: c.lastSeen },
+      ];
+    }
+  }
+  return next.length > CONNECTIVITY_LOG_MAX ? next.slice(next.length - CONNECTIVITY_LOG_MAX) : next;
+}
+
+/**
+ * O Traccar também gera deviceOffline para a queda que o log já registrou: true se `time`
+ * cai numa queda do aparelho no log (do último sinal até a volta, ou em andamento).
+ */
+export function inLoggedOutage(log, deviceId, time) {
+  const t = new Date(time || 0).getTime();
+  return log.some(
+    (e) =>
+      e.deviceId === deviceId &&
+      e.state === "offline" &&
+      new Date(e.lastSeen || e.since || 0).getTime() <= t &&
+      (!e.until || t <= new Date(e.until).getTime())
+  );
+}
+
+export function connectivityAlerts(log, devices, patients) {
+  const byId = {};
+  for (const d of devices) byId[d.id] = d;
+  const owners = patientByDeviceId(patients);
+
+  return log.map((e) => {
+    const d = byId[e.deviceId];
+    const gap =
+      e.until && e.lastSeen ? ` — ${formatDuration(new Date(e.until) - new Date(e.lastSeen))} sem monitoramento` : "";
+    return {
+      id: e.id,
+      kind: e.state,
+      type: `${e.state === "offline" ? "Dispositivo offline" : "Sinal atrasado"}${e.until ? gap : " (em andamento)"}`,
+      sev: e.state === "offline" ? "red" : "yellow",
+      deviceId: e.deviceId,
+      patient: owners[e.deviceId]?.name || (d ? deviceLabel(d) : `Device ${e.deviceId}`),
+      eventTime: e.since,
+    };
+  });
+}
@@ -0,0 +1,99 @@
+// ----------------------
+// DISPOSITIVOS (validação do cadastro, comandos)
+// ----------------------
+export function deviceLabel(d) {
+  return d.name || d.uniqueId || `Device ${d.id}`;
+}
+
+export function patientByDeviceId(patients) {
+  const m = {};
+  for (const pt of patients) for (const id of pt.deviceIds || []) m[id] = pt;
+  return m;
+}
+
+// categorias do Traccar que fazem sentido para vestíveis
+export const DEVICE_CATEGORIES = [
+  { id: "person", label: "Pessoa" },
+  { id: "default", label: "Padrão" },
+];
+
+// IMEI = 15 dígitos com dígito verificador Luhn
+function isValidImei(v) {
+  if (!/^\d{15}$/.test(v)) return false;
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    let n = Number(v[i]);
+    if (i % 2 === 1) {
+      n *= 2;
+      if (n > 9) n -= 9;
+    }
+    sum += n;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * uniqueId do Traccar: IMEI (validado) ou identificador do protocolo
+ * (ex.: relógios "watch" usam 10 dígitos). Retorna a mensagem de erro ou "".
+ */
+export function validateUniqueId(value, devices, selfId) {
+  const v = value.trim();
+  if (!v) return "Informe o IMEI / identificador.";
+  if (!/^[A-Za-z0-9_-]+$/.test(v)) return "Use só letras, números, - e _ (sem espaços).";
+  if (/^\d{14,17}$/.test(v) && !isValidImei(v)) {
+    return v.length === 15 ? "IMEI inválido (dígito verificador não confere)." : "IMEI deve ter 15 dígitos.";
+  }
+  const dup = devices.find((d) => d.id !== selfId && String(d.uniqueId || "").toLowerCase() === v.toLowerCase());
+  return dup ? `Já cadastrado em "${deviceLabel(dup)}" (id ${dup.id}).` : "";
+}
+
+// "ring": relógios do protocolo watch tocam com o comando de texto FIND
+export const DEVICE_COMMANDS = [
+  { id: "positionSingle", label: "Pedir posição", build: () => ({ type: "positionSingle" }) },
+  { id: "ring", label: "Tocar relógio", build: () => ({ type: "custom", attributes: { data: "FIND" } }) },
+  {
+    id: "sms",
+    label: "Enviar SMS",
+    needsText: true,
+    build: (text) => ({ type: "custom", textChannel: true, attributes: { data: text } }),
+  },
+];
+
+// o 200 do POST só diz que o servidor aceitou; entrega é a resposta do aparelho
+export const COMMAND_STATES = {
+  sending: { label: "Enviando...", tone: "gray" },
+  sent: { label: "Enviado ao servidor", tone: "yellow" },
+  queued: { label: "Na fila do servidor (aparelho offline)", tone: "yellow" },
+  answered: { label: "Aparelho respondeu", tone: "green" },
+  failed: { label: "Falhou", tone: "red" },
+};
+
+// relógio do servidor/aparelho pode estar um pouco atrás do navegador
+const COMMAND_RESULT_SKEW_MS = 30 * 1000;
+
+/**
+ * Marca como respondidos os comandos com evento commandResult do aparelho.
+ * Cada resposta fecha o comando mais antigo ainda aberto, enviado antes dela.
+ * `sent` vem do mais novo para o mais antigo (como na tela).
+ */
+export function withCommandResults(sent, events) {
+  const results = events
+    .filter((e) => e.type === "commandResult")
+    .map((e) => ({ e, t: new Date(e.eventTime || e.serverTime || 0).getTime() }))
+    .sort((a, b) => a.t - b.t);
+  const used = new Set();
+  const answers = {};
+  for (const c of [...sent].reverse()) {
+    if (c.state !== "sent" && c.state !== "queued") continue;
+    const at = new Date(c.at).getTime() - COMMAND_RESULT_SKEW_MS;
+    const r = results.find((x) => !used.has(x) && x.t >= at);
+    if (!r) continue;
+    used.add(r);
+    answers[c.id] = r.e;
+  }
+  return sent.map((c) =>
+    answers[c.id] ? { ...c, state: "answered", result: answers[c.id].attributes?.result || "" } : c
+  );
+}
+
+export const EVENTS_PAGE_SIZE = 10;
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { withCommandResults } from "./devices.js";
+
+describe("withCommandResults", () => {
+  const sent = [
+    { id: 2, label: "Tocar relógio", at: "2026-03-01T12:01:00Z", state: "sent" },
+    { id: 1, label: "Pedir posição", at: "2026-03-01T12:00:00Z", state: "queued" },
+  ];
+  const result = (id, eventTime, text) => ({
+    id,
+    type: "commandResult",
+    deviceId: 5,
+    eventTime,
+    attributes: { result: text },
+  });
+
+  it("sem resposta do aparelho, continua só enviado ao servidor", () => {
+    const old = result(9, "2026-03-01T11:00:00Z", "antigo");
+    expect(withCommandResults(sent, [old])).toEqual(sent);
+  });
+
+  it("cada resposta fecha o comando aberto mais antigo", () => {
+    const [ring, pos] = withCommandResults(sent, [result(10, "2026-03-01T12:02:00Z", "OK")]);
+    expect(pos).toMatchObject({ state: "answered", result: "OK" });
+    expect(ring.state).toBe("sent");
+  });
+});
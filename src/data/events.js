@@ -0,0 +1,68 @@
+import { deviceLabel, patientByDeviceId } from "./devices.js";
+
+// ----------------------
+// EVENTOS DO TRACCAR (tipo → alerta e rótulo)
+// ----------------------
+const DEVICE_EVENT_LABELS = {
+  deviceOnline: "Online",
+  deviceUnknown: "Status desconhecido",
+  deviceMoving: "Em movimento",
+  deviceStopped: "Parado",
+  commandResult: "Resposta de comando",
+  alarm: "Alarme",
+};
+
+export function eventLabel(e) {
+  const kind = alertKind(e);
+  if (kind) return ALERT_TYPES[kind].label;
+  return DEVICE_EVENT_LABELS[e.type] || e.type;
+}
+
+// Tipos de evento do Traccar que viram alerta no SouCare
+// (alarm é desdobrado pelo attributes.alarm: sos / fallDown / lowBattery)
+export const ALERT_TYPES = {
+  // mesma severidade da regra outsideHome (o marcador e o alerta não podem discordar)
+  geofenceExit: { label: "Fora de Casa", sev: "yellow" },
+  geofenceEnter: { label: "Voltou para Casa", sev: "green" },
+  deviceOffline: { label: "Offline", sev: "yellow" },
+  sos: { label: "SOS", sev: "red" },
+  fallDown: { label: "Queda", sev: "red" },
+  lowBattery: { label: "Bateria baixa", sev: "yellow" },
+};
+
+export function alertKind(e) {
+  if (e?.type === "alarm") {
+    const alarm = e.attributes?.alarm;
+    if (alarm === "lowBattery" || alarm === "lowPower") return "lowBattery";
+    if (alarm === "fallDown") return "fallDown";
+    if (alarm === "sos") return "sos";
+    return null;
+  }
+  return ALERT_TYPES[e?.type] ? e.type : null;
+}
+
+export function normalizeEvents(events, devices, patients) {
+  const byId = {};
+  for (const d of devices) byId[d.id] = d;
+  const owners = patientByDeviceId(patients);
+
+  const out = [];
+  for (const e of events) {
+    const kind = alertKind(e);
+    if (!kind) continue;
+    const d = byId[e.deviceId];
+    out.push({
+      id: e.id,
+      kind,
+      type: ALERT_TYPES[kind].label,
+      sev: ALERT_TYPES[kind].sev,
+      deviceId: e.deviceId,
+      patient: owners[e.deviceId]?.name || (d ? deviceLabel(d) : `Device ${e.deviceId}`),
+      eventTime: e.eventTime || e.serverTime || null,
+    });
+  }
+
+  // mais recentes primeiro
+  out.sort((a, b) => new Date(b.eventTime || 0).getTime() - new Date(a.eventTime || 0).getTime());
+  return out;
+}
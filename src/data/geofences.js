@@ -0,0 +1,31 @@
+import { useEffect, useMemo, useState } from "react";
+import { backendFor } from "../api/backend.js";
+
+// ----------------------
+// CERCAS (geofences do Traccar; o vínculo com o paciente é a permissão device↔geofence)
+// ----------------------
+export function useGeofences(token) {
+  const api = useMemo(() => backendFor(token).geofences, [token]);
+  const [fences, setFences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  async function load() {
+    try {
+      const data = await api.list();
+      setFences(Array.isArray(data) ? data : []);
+      setError("");
+    } catch (e) {
+      setError(e?.message || "Erro ao carregar cercas");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api]);
+
+  return { fences, loading, error, api, reload: load };
+}
@@ -0,0 +1,228 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { apiErrorMessage, DEMO_TOKEN } from "../api/client.js";
+import { backendFor } from "../api/backend.js";
+import { connectLive, socketUrl } from "../api/live.js";
+import { safeSetJson } from "../lib/storage.js";
+import { mergeBy } from "../lib/collections.js";
+import { DEMO_LIVE_MODE, DEMO_SCENARIO_KEY, DEMO_TICK_MS, readDemoScenario } from "../demo/scenarios.js";
+import { createDemoSocket, createDemoWorld, stepDemoWorld } from "../demo/world.js";
+
+// ----------------------
+// DADOS AO VIVO (snapshot + socket/polling; no DEMO, o mundo simulado)
+// ----------------------
+export function useTraccarLive(token) {
+  // adaptador gravado no login: proxy, Traccar direto ou DEMO
+  const backend = useMemo(() => backendFor(token), [token]);
+  const [devices, setDevices] = useState([]);
+  const [positions, setPositions] = useState([]);
+  const [events, setEvents] = useState([]);
+  // amostras por deviceId (o que chegou nesta sessão) — base das séries de vitais
+  const [history, setHistory] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  // "connecting" | "socket" | "polling"
+  const [live, setLive] = useState("connecting");
+  // DEMO: mundo do cenário (para mudar velocidade/avançar) e o relógio dele para a UI
+  const demoWorldRef = useRef(null);
+  const [demoClock, setDemoClock] = useState(null);
+
+  // mensagens do /api/socket: { devices?, positions?, events? } (parciais)
+  function applyLiveMessage(msg) {
+    if (Array.isArray(msg?.devices) && msg.devices.length) {
+      setDevices((prev) => mergeBy(prev, msg.devices, "id"));
+    }
+    if (Array.isArray(msg?.positions) && msg.positions.length) {
+      setPositions((prev) => mergeBy(prev, msg.positions, "deviceId"));
+      setHistory((prev) => appendHistory(prev, msg.positions));
+    }
+    if (Array.isArray(msg?.events) && msg.events.length) {
+      setEvents((prev) => mergeBy(prev, msg.events, "id"));
+    }
+  }
+
+  // DEMO: mundo fake com movimento
+  useEffect(() => {
+    if (token !== DEMO_TOKEN) return;
+
+    setError("");
+    setLoading(true);
+
+    const world = createDemoWorld();
+    demoWorldRef.current = world;
+    world.onStep = (w) => setDemoClock({ scenario: w.scenario, minute: (w.simMs + w.skipMs) / 60000, speed: w.speed });
+    world.onStep(world);
+    setDevices(world.devices);
+    setPositions(world.positions);
+    setHistory((prev) => appendHistory(prev, world.positions));
+    setEvents(world.events);
+    setLoading(false);
+
+    let t = null;
+    const startPolling = () => {
+      setLive("polling");
+      if (t) return;
+      t = setInterval(() => {
+        const next = stepDemoWorld(world);
+        setDevices((prev) => mergeBy(prev, next.devices, "id"));
+        setPositions(next.positions);
+        setHistory((prev) => appendHistory(prev, next.positions));
+        setEvents(next.events);
+      }, DEMO_TICK_MS);
+    };
+    const stopPolling = () => {
+      clearInterval(t);
+      t = null;
+    };
+
+    if (DEMO_LIVE_MODE === "polling") {
+      startPolling();
+      return stopPolling;
+    }
+
+    // simulação do socket (mesmo caminho de merge/reconexão do modo real)
+    const dispose = connectLive({
+      open: () => createDemoSocket(world, { dropEveryMs: DEMO_LIVE_MODE === "socket-flaky" ? 45000 : 0 }),
+      onMessage: applyLiveMessage,
+      onUp: () => {
+        stopPolling();
+        setLive("socket");
+      },
+      onDown: startPolling,
+    });
+
+    return () => {
+      dispose();
+      stopPolling();
+    };
+  }, [token]);
+
+  async function loadReal() {
+    setError("");
+    try {
+      setLoading(true);
+      const [dev, pos] = await Promise.all([backend.listDevices(), backend.listPositions()]);
+
+      const devList = Array.isArray(dev) ? dev : [];
+      setDevices(devList);
+      const posList = Array.isArray(pos) ? pos : [];
+      setPositions(posList);
+      setHistory((prev) => appendHistory(prev, posList));
+
+      // eventos (24h) — se falhar, mantém a última lista
+      try {
+        const ev = await backend.events(
+          devList.map((d) => d.id),
+          new Date(Date.now() - HISTORY_WINDOW_MS),
+          new Date()
+        );
+        setEvents(Array.isArray(ev) ? ev : []);
+      } catch {
+        // ignore
+      }
+    } catch (e) {
+      setError(apiErrorMessage(e, "Erro ao carregar Traccar"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    if (!token) return;
+    if (token === DEMO_TOKEN) return;
+
+    // snapshot inicial; depois o socket empurra só o que mudou
+    loadReal();
+
+    let t = null;
+    const startPolling = () => {
+      setLive("polling");
+      if (t) return;
+      t = setInterval(loadReal, 15000);
+    };
+    const stopPolling = () => {
+      clearInterval(t);
+      t = null;
+    };
+
+    if (typeof window === "undefined" || typeof window.WebSocket !== "function") {
+      startPolling();
+      return stopPolling;
+    }
+
+    const dispose = connectLive({
+      // com mais de um caminho (proxy), alterna a cada tentativa
+      open: (attempt) =>
+        new window.WebSocket(socketUrl(backend.socketPaths[attempt % backend.socketPaths.length], token)),
+      onMessage: applyLiveMessage,
+      onUp: (reconnected) => {
+        stopPolling();
+        setLive("socket");
+        // o que chegou enquanto estava caído não vem pelo socket
+        if (reconnected) loadReal();
+      },
+      onDown: startPolling,
+    });
+
+    return () => {
+      dispose();
+      stopPolling();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
+  const byDeviceId = useMemo(() => {
+    const m = {};
+    for (const p of positions) m[p.deviceId] = p;
+    return m;
+  }, [positions]);
+
+  return {
+    devices,
+    positions,
+    events,
+    history,
+    byDeviceId,
+    loading,
+    error,
+    live,
+    backend,
+    refresh: token === DEMO_TOKEN ? () => {} : loadReal,
+    demo:
+      token === DEMO_TOKEN && demoClock
+        ? {
+            ...demoClock,
+            setSpeed: (speed) => {
+              const w = demoWorldRef.current;
+              w.speed = speed;
+              safeSetJson(DEMO_SCENARIO_KEY, { ...readDemoScenario(), speed });
+              w.onStep(w);
+            },
+            // avanço rápido: o próximo passo já acontece no minuto novo
+            skip: (minutes) => {
+              const w = demoWorldRef.current;
+              w.skipMs += minutes * 60000;
+              w.onStep(w);
+            },
+          }
+        : null,
+    // cadastro/edição feitos aqui entram na lista sem esperar o próximo snapshot
+    upsertDevice: (d) => applyLiveMessage({ devices: [d] }),
+  };
+}
+
+const HISTORY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Guarda { id, t, attributes } por device (24h), sem repetir a mesma posição (mesmo fixTime)
+function appendHistory(prev, list) {
+  const next = { ...prev };
+  const cutoff = Date.now() - HISTORY_WINDOW_MS;
+  for (const p of list) {
+    const t = new Date(p.fixTime || p.deviceTime).getTime();
+    if (!Number.isFinite(t)) continue;
+    const arr = next[p.deviceId] || [];
+    const last = arr[arr.length - 1];
+    if (last && last.t >= t) continue;
+    next[p.deviceId] = [...arr.filter((x) => x.t >= cutoff), { id: p.id, t, attributes: p.attributes || {} }];
+  }
+  return next;
+}
@@ -0,0 +1,154 @@
+import { useEffect, useRef, useState } from "react";
+import { APP_NAME } from "../config.js";
+import { safeGetJson, safeGetUser, safeSetJson } from "../lib/storage.js";
+import { formatDateTime } from "../lib/format.js";
+
+// ----------------------
+// AVISOS: som repetido, popup do sistema e título/favicon piscando enquanto houver crítico sem reconhecer
+// ----------------------
+const ALARM_REPEAT_MS = 4000;
+
+const TITLE_FLASH_MS = 1000;
+
+export const SNOOZE_MINUTES = [5, 15, 30];
+
+// mudo/soneca valem por operador (mesmo navegador, vários plantonistas)
+function notifyPrefsKey() {
+  return `soucare_notify:${safeGetUser() || "operador"}`;
+}
+
+export function useNotifyPrefs() {
+  const [prefs, setPrefs] = useState(() => ({ muted: false, snoozeUntil: null, ...safeGetJson(notifyPrefsKey(), {}) }));
+
+  function update(patch) {
+    setPrefs((prev) => {
+      const next = { ...prev, ...patch };
+      safeSetJson(notifyPrefsKey(), next);
+      return next;
+    });
+  }
+
+  return [prefs, update];
+}
+
+export function isSilenced(prefs, now) {
+  return prefs.muted || (prefs.snoozeUntil != null && new Date(prefs.snoozeUntil).getTime() > now);
+}
+
+// bipe curto (WebAudio) — sem arquivo de áudio para carregar
+function playAlarmBeep(ctx) {
+  const t = ctx.currentTime;
+  [880, 660, 880].forEach((freq, i) => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = "square";
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0.15, t + i * 0.25);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + i * 0.25 + 0.22);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(t + i * 0.25);
+    osc.stop(t + i * 0.25 + 0.23);
+  });
+}
+
+// favicon com o número de críticos (null onde não há canvas)
+function faviconWithCount(count) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 32;
+  canvas.height = 32;
+  const ctx = canvas.getContext?.("2d");
+  if (!ctx) return null;
+  ctx.fillStyle = "#ef4444";
+  ctx.beginPath();
+  ctx.arc(16, 16, 16, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 20px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(count > 9 ? "9+" : String(count), 16, 17);
+  return canvas.toDataURL("image/png");
+}
+
+export function useCriticalAlerting(critical, silenced) {
+  const audioRef = useRef(null);
+  const notifiedRef = useRef(new Set());
+  const count = critical.length;
+
+  // o navegador só libera áudio depois de uma interação com a página
+  useEffect(() => {
+    const unlock = () => {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return;
+      if (!audioRef.current) audioRef.current = new AudioCtx();
+      audioRef.current.resume?.().catch(() => {
+        // segue mudo até o próximo clique
+      });
+    };
+    document.addEventListener("pointerdown", unlock);
+    document.addEventListener("keydown", unlock);
+    return () => {
+      document.removeEventListener("pointerdown", unlock);
+      document.removeEventListener("keydown", unlock);
+    };
+  }, []);
+
+  // repete até alguém reconhecer (ou silenciar)
+  const ringing = count > 0 && !silenced;
+  useEffect(() => {
+    if (!ringing) return;
+    const ring = () => {
+      const ctx = audioRef.current;
+      if (ctx?.state === "running") playAlarmBeep(ctx);
+    };
+    ring();
+    const t = setInterval(ring, ALARM_REPEAT_MS);
+    return () => clearInterval(t);
+  }, [ringing]);
+
+  // popup do sistema: uma vez por alerta, só com a aba em segundo plano.
+  // Só conta como avisado depois de criar o popup: alerta que chegou com a aba
+  // aberta (ou em silêncio) ainda avisa quando o operador sair da aba.
+  useEffect(() => {
+    const notifyPending = () => {
+      if (silenced || !document.hidden) return;
+      if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+      for (const a of critical) {
+        if (notifiedRef.current.has(a.id)) continue;
+        const n = new Notification(`${APP_NAME}: ${a.type}`, {
+          body: `${a.patient} • ${formatDateTime(a.eventTime)}`,
+          tag: String(a.id),
+          requireInteraction: true,
+        });
+        notifiedRef.current.add(a.id);
+        n.onclick = () => {
+          window.focus();
+          n.close();
+        };
+      }
+    };
+    notifyPending();
+    document.addEventListener("visibilitychange", notifyPending);
+    return () => document.removeEventListener("visibilitychange", notifyPending);
+  }, [critical, silenced]);
+
+  // título e favicon piscando com a contagem (visual: não respeita mudo)
+  useEffect(() => {
+    if (!count) return;
+    const baseTitle = document.title;
+    const link = document.querySelector("link[rel~='icon']");
+    const baseIcon = link?.getAttribute("href");
+    const badge = faviconWithCount(count);
+    let on = false;
+    const t = setInterval(() => {
+      on = !on;
+      document.title = on ? `(${count}) Crítico — ${APP_NAME}` : baseTitle;
+      if (link && badge) link.setAttribute("href", on ? badge : baseIcon);
+    }, TITLE_FLASH_MS);
+    return () => {
+      clearInterval(t);
+      document.title = baseTitle;
+      if (link && baseIcon) link.setAttribute("href", baseIcon);
+    };
+  }, [count]);
+}
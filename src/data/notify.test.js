@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import { useCriticalAlerting } from "./notify.js";
+
+function setHidden(hidden) {
+  Object.defineProperty(document, "hidden", { configurable: true, get: () => hidden });
+}
+
+describe("useCriticalAlerting", () => {
+  it("alerta visto com a aba aberta ainda vira popup quando a aba vai para segundo plano", () => {
+    const created = [];
+    class FakeNotification {
+      static permission = "granted";
+      constructor(title, opts) {
+        created.push(opts.tag);
+      }
+      close() {}
+    }
+    vi.stubGlobal("Notification", FakeNotification);
+    setHidden(false);
+
+    const critical = [{ id: 7, type: "SOS", patient: "Maria", eventTime: "2026-03-01T12:00:00Z" }];
+    const { rerender } = renderHook(({ silenced }) => useCriticalAlerting(critical, silenced), {
+      initialProps: { silenced: false },
+    });
+    expect(created).toEqual([]);
+
+    act(() => {
+      setHidden(true);
+      document.dispatchEvent(new Event("visibilitychange"));
+    });
+    expect(created).toEqual(["7"]);
+
+    // uma vez por alerta
+    rerender({ silenced: false });
+    act(() => document.dispatchEvent(new Event("visibilitychange")));
+    expect(created).toEqual(["7"]);
+    delete document.hidden;
+  });
+});
@@ -0,0 +1,79 @@
+import { timeAgo } from "../lib/format.js";
+import { extractVitals } from "../lib/vitals.js";
+import { alertKind } from "./events.js";
+import { bestConnectivity } from "./connectivity.js";
+import { ALARM_RULE_KINDS, evaluatePatient } from "./rules.js";
+import { deviceLabel } from "./devices.js";
+
+// ----------------------
+// LINHAS DO PAINEL (paciente + dispositivos + última posição)
+// ----------------------
+/**
+ * Uma linha por paciente (dispositivo principal = o que reportou por último)
+ * + uma linha por dispositivo ainda sem paciente, para nada sumir da central.
+ */
+export function buildPatientRows(patients, devices, byDeviceId, ctx = {}) {
+  const devById = {};
+  for (const d of devices) devById[d.id] = d;
+
+  const lastTime = (d) => new Date(byDeviceId[d.id]?.deviceTime || 0).getTime() || 0;
+  const linked = new Set();
+  const rows = [];
+
+  for (const pt of patients) {
+    const devs = (pt.deviceIds || []).map((id) => devById[id]).filter(Boolean);
+    devs.forEach((d) => linked.add(d.id));
+    const primary = devs.reduce((best, d) => (!best || lastTime(d) > lastTime(best) ? d : best), null);
+    rows.push(patientRow(pt, primary, primary ? byDeviceId[primary.id] : null, ctx));
+  }
+
+  for (const d of devices) {
+    if (!linked.has(d.id)) rows.push(patientRow(null, d, byDeviceId[d.id], ctx));
+  }
+
+  // IMEIs entram na busca da TopBar
+  for (const r of rows) r.uniqueIds = r.deviceIds.map((id) => devById[id]?.uniqueId).filter(Boolean);
+
+  return rows;
+}
+
+function patientRow(pt, d, p, { fences = [], events = [], acks = {}, connectivity = {}, now } = {}) {
+  const vitals = p ? extractVitals(p.attributes, d?.model) : {};
+  const deviceIds = pt ? pt.deviceIds || [] : [d.id];
+  // paciente segue monitorado enquanto qualquer um dos dispositivos estiver comunicando
+  const conn = bestConnectivity(deviceIds.map((id) => connectivity[id]).filter(Boolean));
+  const { status, reasons } = evaluatePatient({
+    thresholds: pt?.thresholds,
+    position: p,
+    connectivity: conn,
+    now,
+    vitals,
+    homeFences: fences.filter((g) => deviceIds.includes(g.attributes?.deviceId)),
+    openAlarms: events.filter(
+      (e) => deviceIds.includes(e.deviceId) && ALARM_RULE_KINDS.includes(alertKind(e)) && !acks[e.id]
+    ),
+  });
+  return {
+    key: pt ? `p${pt.id}` : `d${d.id}`,
+    patientId: pt?.id ?? null,
+    status,
+    reasons,
+    patient: pt ? pt.name : deviceLabel(d),
+    place: pt?.address || "--",
+    team: pt?.team || "",
+    risk: pt?.risk || "",
+    lastSeen: p?.deviceTime ? timeAgo(p.deviceTime) : "--",
+    fc: vitals.heartRate != null ? `${vitals.heartRate} bpm` : "--",
+    spo2: vitals.spo2 != null ? `${vitals.spo2}%` : "--",
+    vitals,
+    battery: p?.attributes?.batteryLevel != null ? `${p.attributes.batteryLevel}%` : "--",
+    connectivity: conn?.state || "offline",
+    deviceId: d?.id ?? null,
+    deviceIds,
+    lat: p?.latitude,
+    lng: p?.longitude,
+    course: p?.course,
+    speed: p?.speed,
+    accuracy: p?.accuracy,
+  };
+}
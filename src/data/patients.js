@@ -0,0 +1,123 @@
+import { useEffect, useMemo, useState } from "react";
+import { backendFor } from "../api/backend.js";
+
+// ----------------------
+// PACIENTES (cadastro próprio; cada paciente tem 1..N dispositivos Traccar)
+// ----------------------
+export const RISK_LEVELS = [
+  { id: "low", label: "Baixo" },
+  { id: "medium", label: "Médio" },
+  { id: "high", label: "Alto" },
+];
+
+export function riskLabel(id) {
+  return RISK_LEVELS.find((r) => r.id === id)?.label || "--";
+}
+
+export function ageFrom(birthDate) {
+  const b = new Date(birthDate);
+  if (!birthDate || !Number.isFinite(b.getTime())) return null;
+  const now = new Date();
+  let age = now.getFullYear() - b.getFullYear();
+  if (now.getMonth() < b.getMonth() || (now.getMonth() === b.getMonth() && now.getDate() < b.getDate())) age--;
+  return age;
+}
+
+// backend sem cadastro (Traccar direto): a lista fica vazia e salvar/excluir avisa
+export const PATIENTS_UNAVAILABLE =
+  "O Traccar direto não tem cadastro de pacientes: cada dispositivo aparece sem cadastro. Use o backend SouCare (proxy) para cadastrar.";
+
+export function usePatients(token) {
+  const api = useMemo(() => backendFor(token).patients, [token]);
+  const [patients, setPatients] = useState([]);
+  const [error, setError] = useState("");
+
+  async function load() {
+    if (!api) return;
+    try {
+      const data = await api.list();
+      setPatients(Array.isArray(data) ? data : []);
+      setError("");
+    } catch (e) {
+      setError(e?.message || "Erro ao carregar pacientes");
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [api]);
+
+  // um dispositivo pertence a um único paciente: tira dos outros antes de salvar
+  async function save(pt) {
+    if (!api) throw new Error(PATIENTS_UNAVAILABLE);
+    const mine = new Set(pt.deviceIds || []);
+    for (const other of patients) {
+      if (other.id === pt.id) continue;
+      const kept = (other.deviceIds || []).filter((id) => !mine.has(id));
+      if (kept.length !== (other.deviceIds || []).length) await api.update({ ...other, deviceIds: kept });
+    }
+
+    const saved = pt.id ? await api.update(pt) : await api.create(pt);
+    await load();
+    return saved;
+  }
+
+  async function remove(id) {
+    if (!api) throw new Error(PATIENTS_UNAVAILABLE);
+    await api.remove(id);
+    await load();
+  }
+
+  async function linkDevice(deviceId, patientId) {
+    if (!api) throw new Error(PATIENTS_UNAVAILABLE);
+    const target = patients.find((pt) => pt.id === patientId);
+    if (target) {
+      await save({ ...target, deviceIds: Array.from(new Set([...(target.deviceIds || []), deviceId])) });
+      return;
+    }
+    // "sem paciente": só desvincula
+    const owner = patients.find((pt) => (pt.deviceIds || []).includes(deviceId));
+    if (owner) {
+      await api.update({ ...owner, deviceIds: owner.deviceIds.filter((id) => id !== deviceId) });
+      await load();
+    }
+  }
+
+  return { patients, error, unavailable: !api, save, remove, linkDevice, reload: load };
+}
+
+export const PATIENT_TABS = [
+  { id: "summary", label: "Resumo" },
+  { id: "location", label: "Localização" },
+  { id: "vitals", label: "Vitais" },
+  { id: "alerts", label: "Alertas" },
+  { id: "routine", label: "Rotina" },
+];
+
+export const WEEKDAYS = ["Dom", "Seg", "Ter", "Qua", "Qui", "Sex", "Sáb"];
+
+export function patientPath(id, tab) {
+  return `/patients/${encodeURIComponent(id)}/${tab}`;
+}
+
+// "HH:MM" -> minutos do dia
+function minutesOfDay(hhmm) {
+  const [h, m] = String(hhmm || "")
+    .split(":")
+    .map(Number);
+  return Number.isFinite(h) && Number.isFinite(m) ? h * 60 + m : null;
+}
+
+export function isInRoutineWindow(w, date = new Date()) {
+  const days = w.days || [];
+  const now = date.getHours() * 60 + date.getMinutes();
+  const from = minutesOfDay(w.from);
+  const to = minutesOfDay(w.to);
+  if (from == null || to == null) return false;
+  if (from <= to) return days.includes(date.getDay()) && now >= from && now < to;
+  // janela que vira a noite (ex.: 20:00–08:00 de segunda): a madrugada é de terça,
+  // mas pertence à janela do dia anterior
+  if (now >= from) return days.includes(date.getDay());
+  return now < to && days.includes((date.getDay() + 6) % 7);
+}
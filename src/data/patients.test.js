@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+import { isInRoutineWindow } from "./patients.js";
+
+describe("isInRoutineWindow", () => {
+  // 2026-03-02 é segunda-feira (hora local)
+  const at = (day, hh, mm = 0) => new Date(2026, 2, day, hh, mm);
+
+  it("janela no mesmo dia", () => {
+    const w = { days: [1], from: "08:00", to: "12:00" };
+    expect(isInRoutineWindow(w, at(2, 9))).toBe(true);
+    expect(isInRoutineWindow(w, at(2, 12))).toBe(false);
+    expect(isInRoutineWindow(w, at(3, 9))).toBe(false);
+  });
+
+  it("janela que vira a noite pertence ao dia em que começa", () => {
+    const w = { days: [1], from: "20:00", to: "08:00" };
+    // segunda à noite e a madrugada de terça
+    expect(isInRoutineWindow(w, at(2, 21))).toBe(true);
+    expect(isInRoutineWindow(w, at(3, 2))).toBe(true);
+    // a madrugada de segunda é da janela de domingo, que não existe
+    expect(isInRoutineWindow(w, at(2, 2))).toBe(false);
+    expect(isInRoutineWindow(w, at(3, 8, 30))).toBe(false);
+    expect(isInRoutineWindow(w, at(3, 21))).toBe(false);
+  });
+});
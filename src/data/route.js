@@ -0,0 +1,164 @@
+import { useEffect, useState } from "react";
+import { backendFor } from "../api/backend.js";
+import { distanceMeters } from "../lib/geo.js";
+
+// ----------------------
+// HISTÓRICO DE ROTA (replay, paradas e deslocamentos)
+// ----------------------
+// Rota das últimas 24h do dispositivo principal do paciente
+export function useLastRoute(token, deviceId) {
+  const [route, setRoute] = useState([]);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (!deviceId) return;
+    let cancelled = false;
+
+    const to = new Date();
+    const from = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    backendFor(token)
+      .route(deviceId, from, to)
+      .then((data) => {
+        if (cancelled) return;
+        setRoute(Array.isArray(data) ? data : []);
+        setErr("");
+      })
+      .catch(() => {
+        if (!cancelled) setErr("Rota 24h indisponível.");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, deviceId]);
+
+  return { route, err };
+}
+
+export const PLAYBACK_TICK_MS = 200;
+
+// quantos ms de rota passam por ms real
+export const PLAYBACK_SPEEDS = [
+  { value: 60, label: "1 min/s" },
+  { value: 300, label: "5 min/s" },
+  { value: 900, label: "15 min/s" },
+  { value: 3600, label: "1 h/s" },
+];
+
+// parada = ficou num raio de STOP_RADIUS_M por pelo menos STOP_MIN_MS
+const STOP_RADIUS_M = 60;
+
+const STOP_MIN_MS = 5 * 60 * 1000;
+
+export function routeTime(p) {
+  return new Date(p.fixTime || p.deviceTime).getTime();
+}
+
+// <input type="datetime-local"> trabalha em hora local sem fuso
+export function toLocalInput(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+export function lastHoursRange(h) {
+  const to = new Date();
+  return { from: new Date(to.getTime() - h * 60 * 60 * 1000), to };
+}
+
+/**
+ * Separa a rota em paradas e deslocamentos.
+ * Parada: pontos seguidos a até STOP_RADIUS_M do primeiro, somando STOP_MIN_MS ou mais.
+ * Deslocamento: o trecho entre duas paradas (ou início/fim da rota).
+ */
+export function computeTripsAndStops(points) {
+  const stops = [];
+  let i = 0;
+  while (i < points.length) {
+    const a = points[i];
+    let j = i + 1;
+    while (
+      j < points.length &&
+      distanceMeters(a.latitude, a.longitude, points[j].latitude, points[j].longitude) <= STOP_RADIUS_M
+    ) {
+      j++;
+    }
+    const start = routeTime(a);
+    const end = routeTime(points[j - 1]);
+    if (end - start >= STOP_MIN_MS) {
+      const slice = points.slice(i, j);
+      stops.push({
+        start,
+        end,
+        from: i,
+        to: j - 1,
+        lat: slice.reduce((sum, p) => sum + p.latitude, 0) / slice.length,
+        lng: slice.reduce((sum, p) => sum + p.longitude, 0) / slice.length,
+        address: slice.find((p) => p.address)?.address || "",
+      });
+      i = j;
+    } else {
+      i++;
+    }
+  }
+
+  const trips = [];
+  let cursor = 0;
+  for (const st of [...stops, { from: points.length - 1, to: points.length - 1 }]) {
+    if (st.from > cursor) {
+      const seg = points.slice(cursor, st.from + 1);
+      let distance = 0;
+      for (let k = 1; k < seg.length; k++) {
+        distance += distanceMeters(seg[k - 1].latitude, seg[k - 1].longitude, seg[k].latitude, seg[k].longitude);
+      }
+      if (distance > STOP_RADIUS_M) {
+        trips.push({ start: routeTime(seg[0]), end: routeTime(seg[seg.length - 1]), distance });
+      }
+    }
+    cursor = st.to;
+  }
+
+  return { trips, stops };
+}
+
+// posição no instante t (interpolação linear entre os dois pontos vizinhos)
+export function interpolateRoute(points, t) {
+  let k = points.findIndex((p) => routeTime(p) >= t);
+  if (k <= 0) k = k === -1 ? points.length - 1 : 0;
+  const b = points[k];
+  const a = points[Math.max(0, k - 1)];
+  const ta = routeTime(a);
+  const tb = routeTime(b);
+  const f = tb > ta ? Math.min(1, Math.max(0, (t - ta) / (tb - ta))) : 1;
+  return [a.latitude + (b.latitude - a.latitude) * f, a.longitude + (b.longitude - a.longitude) * f];
+}
+
+// Traccar manda speed em nós
+export const SPEED_BUCKETS = [
+  { maxKmh: 1, color: "#34d399", label: "parado" },
+  { maxKmh: 7, color: "#60a5fa", label: "a pé" },
+  { maxKmh: 30, color: "#fbbf24", label: "veículo lento" },
+  { maxKmh: Infinity, color: "#ef4444", label: "veículo" },
+];
+
+function routeColor(p, mode) {
+  if (mode === "time") {
+    const h = new Date(routeTime(p)).getHours();
+    return `hsl(${Math.round((h / 24) * 300)}, 75%, 60%)`;
+  }
+  const kmh = (Number(p.speed) || 0) * 1.852;
+  return SPEED_BUCKETS.find((b) => kmh <= b.maxKmh).color;
+}
+
+// junta pontos seguidos da mesma cor num único polyline (rotas longas ficam leves)
+export function colorSegments(points, mode) {
+  const segs = [];
+  for (let k = 1; k < points.length; k++) {
+    const color = routeColor(points[k], mode);
+    const prev = [points[k - 1].latitude, points[k - 1].longitude];
+    const cur = [points[k].latitude, points[k].longitude];
+    const last = segs[segs.length - 1];
+    if (last && last.color === color) last.latlngs.push(cur);
+    else segs.push({ color, latlngs: [prev, cur] });
+  }
+  return segs;
+}
@@ -0,0 +1,193 @@
+import { useEffect, useState } from "react";
+import { safeGetJson, safeSetJson } from "../lib/storage.js";
+import { distanceFromFence, formatDistance, parseWkt } from "../lib/geo.js";
+import { timeAgo } from "../lib/format.js";
+import { cleanThresholds, DEFAULT_THRESHOLDS } from "./thresholds.js";
+import { ALERT_TYPES, alertKind } from "./events.js";
+import { connectivityLabel, deviceConnectivity } from "./connectivity.js";
+
+// ----------------------
+// REGRAS CLÍNICAS (semáforo): uma avaliação só alimenta tabela, mapa e alertas
+// ----------------------
+// alarmes do Traccar que deixam o paciente crítico até alguém resolver
+export const ALARM_RULE_KINDS = ["sos", "fallDown"];
+
+const STATUS_RANK = { red: 3, gray: 2, yellow: 1, green: 0 };
+
+/**
+ * Avalia um paciente contra os limiares dele. Retorna o status do semáforo
+ * e os motivos ({ code, sev, label, since }) que o levaram até ali.
+ * Dispositivo offline (ou sem sinal além do limite do paciente) => vitais/cerca
+ * não são avaliados (dado velho não vale).
+ */
+export function evaluatePatient({
+  thresholds,
+  position,
+  connectivity,
+  vitals = {},
+  homeFences = [],
+  openAlarms = [],
+  now = Date.now(),
+}) {
+  const th = { ...DEFAULT_THRESHOLDS, ...cleanThresholds(thresholds) };
+  const reasons = [];
+
+  for (const a of openAlarms) {
+    const kind = alertKind(a);
+    reasons.push({ code: kind, sev: "red", label: ALERT_TYPES[kind].label, since: a.eventTime });
+  }
+
+  const conn = connectivity || deviceConnectivity(null, position, now);
+  if (conn.state === "offline" || conn.state === "disabled") {
+    reasons.push({ code: "offline", sev: "gray", label: connectivityLabel(conn), since: conn.since });
+    return { status: statusFromReasons(reasons), reasons };
+  }
+
+  // limite do próprio paciente, mais curto que o heartbeat do aparelho
+  const last = new Date(conn.lastSeen).getTime();
+  if (th.noSignalMinutes > 0 && now - last > th.noSignalMinutes * 60000) {
+    reasons.push({
+      code: "noSignal",
+      sev: "gray",
+      label: `Sem sinal há ${timeAgo(conn.lastSeen, now)}`,
+      since: new Date(last + th.noSignalMinutes * 60000).toISOString(),
+    });
+    return { status: statusFromReasons(reasons), reasons };
+  }
+
+  if (conn.state === "delayed") {
+    reasons.push({ code: "delayed", sev: "yellow", label: connectivityLabel(conn), since: conn.since });
+  }
+
+  if (!position) {
+    reasons.push({ code: "noPosition", sev: "gray", label: "Sem posição" });
+    return { status: statusFromReasons(reasons), reasons };
+  }
+
+  const at = position.fixTime || position.deviceTime;
+
+  if (vitals.heartRate != null && (vitals.heartRate < th.hrMin || vitals.heartRate > th.hrMax)) {
+    reasons.push({
+      code: "heartRate",
+      sev: "red",
+      label: `FC ${vitals.heartRate} bpm (${th.hrMin}–${th.hrMax})`,
+      since: at,
+    });
+  }
+
+  if (vitals.spo2 != null && vitals.spo2 < th.spo2Min) {
+    reasons.push({ code: "spo2", sev: "red", label: `SpO₂ ${vitals.spo2}% (< ${th.spo2Min}%)`, since: at });
+  }
+
+  const battery = position.attributes?.batteryLevel;
+  if (battery != null && battery < th.batteryMin) {
+    reasons.push({ code: "battery", sev: "yellow", label: `Bateria ${battery}%`, since: at });
+  }
+
+  const shapes = homeFences.map((g) => parseWkt(g.area)).filter(Boolean);
+  if (shapes.length) {
+    const dist = Math.min(...shapes.map((sh) => distanceFromFence(position.latitude, position.longitude, sh)));
+    if (dist > 0) {
+      reasons.push({ code: "outsideHome", sev: "yellow", label: `Fora de casa (${formatDistance(dist)})`, since: at });
+    }
+  }
+
+  return { status: statusFromReasons(reasons), reasons };
+}
+
+export function reasonsText(reasons) {
+  return reasons?.length ? reasons.map((r) => r.label).join(" • ") : "--";
+}
+
+function statusFromReasons(reasons) {
+  return reasons.reduce((worst, r) => (STATUS_RANK[r.sev] > STATUS_RANK[worst] ? r.sev : worst), "green");
+}
+
+/**
+ * Episódios das regras: quando cada motivo começou (persistido), para virar alerta
+ * com id estável — resolver um episódio não some com o próximo.
+ */
+export function useRuleEpisodes(rows) {
+  const [state, setState] = useState(() => ({ rows: null, episodes: safeGetJson("soucare_rule_episodes", {}) }));
+
+  // ajuste de estado durante o render (padrão do React para derivar de props)
+  if (state.rows !== rows) {
+    setState({ rows, episodes: updateEpisodes(state.episodes, rows) });
+  }
+
+  useEffect(() => {
+    safeSetJson("soucare_rule_episodes", state.episodes);
+  }, [state.episodes]);
+
+  return state.episodes;
+}
+
+function updateEpisodes(prev, rows, now = new Date().toISOString()) {
+  const next = { ...prev };
+  let changed = false;
+
+  for (const row of rows) {
+    const codes = new Set(row.reasons.map((r) => r.code));
+    for (const r of row.reasons) {
+      const k = `${row.key}|${r.code}`;
+      if (!next[k]) {
+        next[k] = { since: r.since || now };
+        changed = true;
+      }
+    }
+    for (const k of Object.keys(next)) {
+      if (k.startsWith(`${row.key}|`) && !codes.has(k.slice(row.key.length + 1))) {
+        delete next[k];
+        changed = true;
+      }
+    }
+  }
+
+  return changed ? next : prev;
+}
+
+/**
+ * O Traccar também gera geofenceExit para a saída que a regra outsideHome já acusa: true se o
+ * paciente do aparelho está num episódio outsideHome e não voltou (geofenceEnter) depois do evento.
+ */
+export function inOutsideHomeEpisode(rows, episodes, events, deviceId, time) {
+  const row = rows.find(
+    (r) =>
+      r.deviceIds.includes(deviceId) &&
+      r.reasons.some((x) => x.code === "outsideHome") &&
+      episodes[`${r.key}|outsideHome`]
+  );
+  if (!row) return false;
+  const t = new Date(time || 0).getTime();
+  return !events.some(
+    (e) =>
+      row.deviceIds.includes(e.deviceId) &&
+      e.type === "geofenceEnter" &&
+      new Date(e.eventTime || e.serverTime || 0).getTime() > t
+  );
+}
+
+// atraso/offline viram alerta pelo log de conectividade (com a duração do buraco)
+const NON_ALERT_REASONS = ["noPosition", "delayed", "offline"];
+
+// Motivos ativos viram alertas (alarmes SOS/queda já vêm como evento do Traccar)
+export function ruleAlerts(rows, episodes) {
+  const out = [];
+  for (const row of rows) {
+    for (const r of row.reasons) {
+      if (ALARM_RULE_KINDS.includes(r.code) || NON_ALERT_REASONS.includes(r.code)) continue;
+      const ep = episodes[`${row.key}|${r.code}`];
+      if (!ep) continue;
+      out.push({
+        id: `rule:${row.key}:${r.code}:${ep.since}`,
+        kind: r.code,
+        type: r.label,
+        sev: r.sev,
+        deviceId: row.deviceId,
+        patient: row.patient,
+        eventTime: ep.since,
+      });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { evaluatePatient } from "./rules.js";
+
+describe("evaluatePatient", () => {
+  const now = Date.parse("2026-03-01T12:00:00Z");
+  const position = {
+    deviceId: 1,
+    fixTime: "2026-03-01T11:50:00Z",
+    latitude: -23.55,
+    longitude: -46.63,
+    attributes: { batteryLevel: 80 },
+  };
+  const connectivity = { state: "online", since: position.fixTime, lastSeen: position.fixTime };
+
+  it("sem limite do paciente, vale o heartbeat do dispositivo", () => {
+    expect(evaluatePatient({ thresholds: {}, position, connectivity, now })).toEqual({ status: "green", reasons: [] });
+  });
+
+  it("noSignalMinutes do paciente marca sem sinal antes do heartbeat", () => {
+    const { status, reasons } = evaluatePatient({
+      thresholds: { noSignalMinutes: "5" },
+      position,
+      connectivity,
+      vitals: { heartRate: 200 },
+      now,
+    });
+    expect(status).toBe("gray");
+    // dado velho: vitais não entram
+    expect(reasons).toEqual([
+      {
+        code: "noSignal",
+        sev: "gray",
+        label: "Sem sinal há 10 min",
+        since: "2026-03-01T11:55:00.000Z",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,123 @@
+import { useEffect, useState } from "react";
+import { apiFetch, ENDPOINTS, isAuthError, onAuthError } from "../api/client.js";
+import { forgetBackend } from "../api/backend.js";
+import { tokenFromLogin } from "../api/traccar.js";
+import { safeClearToken, safeGetToken, safeSetToken } from "../lib/storage.js";
+
+// ----------------------
+// SESSÃO (JWT com expiração, refresh silencioso, cookie do Traccar)
+// ----------------------
+// renova este tanto antes de vencer
+const REFRESH_BEFORE_MS = 60 * 1000;
+
+// payload do JWT (sem validar assinatura — só para ler `exp`); null se não for JWT
+function decodeJwt(token) {
+  const part = String(token || "").split(".")[1];
+  if (!part) return null;
+  try {
+    const b64 = part
+      .replace(/-/g, "+")
+      .replace(/_/g, "/")
+      .padEnd(Math.ceil(part.length / 4) * 4, "=");
+    const bytes = Uint8Array.from(window.atob(b64), (c) => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+}
+
+// instante (ms) em que o token vence; null se não dá pra saber (token opaco, cookie, demo)
+function tokenExpiresAt(token) {
+  const exp = Number(decodeJwt(token)?.exp);
+  return Number.isFinite(exp) && exp > 0 ? exp * 1000 : null;
+}
+
+function isTokenExpired(token, now = Date.now()) {
+  const exp = tokenExpiresAt(token);
+  return exp != null && exp <= now;
+}
+
+/**
+ * Estado da sessão do app:
+ * - token vencido no localStorage => já começa pedindo login
+ * - JWT => tenta POST /api/auth/refresh um pouco antes de vencer; sem refresh, pede login ao vencer
+ * - cookie ("session") => valida com GET /api/session ao abrir
+ * - qualquer 401 autenticado => `expired` (a tela atual continua montada por baixo do login);
+ *   403 é só falta de permissão para aquela ação e não derruba a sessão
+ */
+export function useSession() {
+  const [token, setToken] = useState(() => safeGetToken());
+  const [expired, setExpired] = useState(() => isTokenExpired(safeGetToken()));
+  const [checking, setChecking] = useState(() => safeGetToken() === "session");
+
+  useEffect(() => onAuthError(() => setExpired(true)), []);
+
+  // cookie do Traccar: confere se a sessão ainda existe
+  useEffect(() => {
+    if (token !== "session") return;
+    let cancelled = false;
+
+    async function validate() {
+      try {
+        await apiFetch(ENDPOINTS.traccarSession, { token });
+      } catch (e) {
+        // Traccar responde 404 quando não há sessão
+        if (!cancelled && (isAuthError(e) || e?.status === 404)) setExpired(true);
+      } finally {
+        if (!cancelled) setChecking(false);
+      }
+    }
+
+    validate();
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  // JWT: refresh silencioso antes de vencer
+  useEffect(() => {
+    const exp = tokenExpiresAt(token);
+    if (!exp) return;
+    let cancelled = false;
+    let timer = null;
+
+    async function refresh() {
+      try {
+        const t = tokenFromLogin(await apiFetch(ENDPOINTS.refresh, { token, method: "POST" }));
+        if (cancelled) return;
+        if (t) {
+          safeSetToken(t);
+          setToken(t);
+          return;
+        }
+      } catch {
+        // backend sem refresh: segue até vencer
+      }
+      if (cancelled) return;
+      timer = setTimeout(() => setExpired(true), Math.max(0, exp - Date.now()));
+    }
+
+    // setTimeout estoura acima de ~24,8 dias
+    timer = setTimeout(refresh, Math.min(2 ** 31 - 1, Math.max(0, exp - Date.now() - REFRESH_BEFORE_MS)));
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [token]);
+
+  function login(t) {
+    safeSetToken(t);
+    setToken(t);
+    setExpired(false);
+    setChecking(false);
+  }
+
+  function logout() {
+    safeClearToken();
+    forgetBackend();
+    setToken("");
+    setExpired(false);
+  }
+
+  return { token, expired, checking, login, logout };
+}
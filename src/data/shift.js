@@ -0,0 +1,180 @@
+import { useState } from "react";
+import { APP_NAME } from "../config.js";
+import { apiFetch, DEMO_TOKEN, ENDPOINTS } from "../api/client.js";
+import { safeGetJson, safeGetUser, safeSetJson } from "../lib/storage.js";
+import { downloadCsv, escapeHtml, formatDateTime } from "../lib/format.js";
+import { reasonsText } from "./rules.js";
+import { alertStepLabel } from "./alerts.js";
+import { deviceLabel, patientByDeviceId } from "./devices.js";
+
+// ----------------------
+// PLANTÃO: início/fim do turno e relatório de passagem (foto do painel na hora do encerramento)
+// ----------------------
+const SHIFTS_KEY = "soucare_shifts";
+
+const SHIFT_REPORTS_MAX = 30;
+
+export function useShift(token) {
+  const [state, setState] = useState(() => ({ current: null, reports: [], ...safeGetJson(SHIFTS_KEY, {}) }));
+
+  function update(fn) {
+    setState((prev) => {
+      const next = fn(prev);
+      safeSetJson(SHIFTS_KEY, next);
+      return next;
+    });
+  }
+
+  function start() {
+    const startedAt = new Date().toISOString();
+    update((prev) => ({ ...prev, current: { id: startedAt, operator: safeGetUser() || "operador", startedAt } }));
+  }
+
+  function end(report) {
+    update((prev) => ({ current: null, reports: [report, ...prev.reports].slice(0, SHIFT_REPORTS_MAX) }));
+
+    if (token !== DEMO_TOKEN) {
+      apiFetch(ENDPOINTS.shifts, { token, method: "POST", body: report }).catch(() => {
+        // ignore — fica salvo localmente
+      });
+    }
+  }
+
+  function markRead(reportId) {
+    const read = { by: safeGetUser() || "operador", at: new Date().toISOString() };
+    update((prev) => ({
+      ...prev,
+      reports: prev.reports.map((r) => (r.id === reportId ? { ...r, readBy: [...r.readBy, read] } : r)),
+    }));
+  }
+
+  return { current: state.current, reports: state.reports, start, end, markRead };
+}
+
+export function buildShiftReport({ shift, endedAt, notes, alerts, rows, devices, patients, connectivity }) {
+  const from = new Date(shift.startedAt).getTime();
+  const to = new Date(endedAt).getTime();
+  const within = (iso) => {
+    const t = new Date(iso).getTime();
+    return t >= from && t <= to;
+  };
+  const owners = patientByDeviceId(patients);
+
+  return {
+    id: shift.id,
+    operator: shift.operator,
+    startedAt: shift.startedAt,
+    endedAt,
+    notes,
+    alertsRaised: alerts
+      .filter((a) => within(a.eventTime))
+      .map((a) => ({
+        id: a.id,
+        type: a.type,
+        patient: a.patient,
+        sev: a.sev,
+        eventTime: a.eventTime,
+        status: a.status,
+      })),
+    alertsResolved: alerts.flatMap((a) => {
+      const done = a.steps.find((st) => st.status === "resolved");
+      return done && within(done.at)
+        ? [{ id: a.id, type: a.type, patient: a.patient, by: done.by, at: done.at, note: done.note }]
+        : [];
+    }),
+    critical: rows
+      .filter((r) => r.status === "red")
+      .map((r) => ({ patient: r.patient, reasons: reasonsText(r.reasons) })),
+    offline: devices
+      .filter((d) => connectivity[d.id]?.state === "offline")
+      .map((d) => ({
+        device: deviceLabel(d),
+        patient: owners[d.id]?.name || "--",
+        lastSeen: connectivity[d.id].lastSeen,
+      })),
+    lowBattery: rows
+      .filter((r) => r.reasons.some((x) => x.code === "battery"))
+      .map((r) => ({ patient: r.patient, battery: r.battery })),
+    readBy: [],
+  };
+}
+
+export function exportShiftCsv(report) {
+  const lines = [
+    ...report.alertsRaised.map((a) => [
+      "Alerta registrado",
+      a.patient,
+      a.type,
+      formatDateTime(a.eventTime),
+      alertStepLabel(a.status),
+    ]),
+    ...report.alertsResolved.map((a) => [
+      "Alerta resolvido",
+      a.patient,
+      `${a.type} — ${a.note}`,
+      formatDateTime(a.at),
+      a.by,
+    ]),
+    ...report.critical.map((c) => ["Paciente crítico", c.patient, c.reasons, "", ""]),
+    ...report.offline.map((d) => [
+      "Dispositivo offline",
+      d.patient,
+      d.device,
+      d.lastSeen ? formatDateTime(d.lastSeen) : "nunca",
+      "",
+    ]),
+    ...report.lowBattery.map((b) => ["Bateria baixa", b.patient, b.battery, "", ""]),
+    ...(report.notes ? [["Observações", "", report.notes, "", ""]] : []),
+  ];
+  downloadCsv(
+    `plantao-${report.startedAt.slice(0, 10)}-${report.operator}.csv`,
+    ["Seção", "Paciente", "Detalhe", "Quando", "Situação / por"],
+    lines
+  );
+}
+
+// janela só com o relatório: imprimir ou "Salvar como PDF" do navegador
+export function printShiftReport(report) {
+  const section = (title, items) =>
+    `<h2>${escapeHtml(title)} (${items.length})</h2>` +
+    (items.length ? `<ul>${items.map((i) => `<li>${escapeHtml(i)}</li>`).join("")}</ul>` : "<p>Nenhum.</p>");
+  const w = window.open("", "_blank");
+  if (!w) return;
+  w.document.write(`<!doctype html><html lang="pt-BR"><head><meta charset="utf-8" />
+    <title>Plantão ${escapeHtml(report.operator)} — ${escapeHtml(formatDateTime(report.startedAt))}</title>
+    <style>body{font:14px sans-serif;margin:24px}h1{font-size:20px}h2{font-size:15px;margin-top:18px}</style>
+    </head><body>
+    <h1>${escapeHtml(APP_NAME)} — Passagem de plantão</h1>
+    <p>${escapeHtml(report.operator)} • ${escapeHtml(formatDateTime(report.startedAt))} até ${escapeHtml(
+    formatDateTime(report.endedAt)
+  )}</p>
+    ${section(
+      "Alertas registrados",
+      report.alertsRaised.map(
+        (a) => `${formatDateTime(a.eventTime)} • ${a.patient} • ${a.type} • ${alertStepLabel(a.status)}`
+      )
+    )}
+    ${section(
+      "Alertas resolvidos",
+      report.alertsResolved.map((a) => `${formatDateTime(a.at)} • ${a.patient} • ${a.type} • ${a.by}: ${a.note}`)
+    )}
+    ${section(
+      "Pacientes ainda críticos",
+      report.critical.map((c) => `${c.patient} • ${c.reasons}`)
+    )}
+    ${section(
+      "Dispositivos offline",
+      report.offline.map(
+        (d) => `${d.patient} • ${d.device} • visto ${d.lastSeen ? formatDateTime(d.lastSeen) : "nunca"}`
+      )
+    )}
+    ${section(
+      "Bateria baixa",
+      report.lowBattery.map((b) => `${b.patient} • ${b.battery}`)
+    )}
+    <h2>Observações</h2><p>${escapeHtml(report.notes || "—").replaceAll("\n", "<br />")}</p>
+    </body></html>`);
+  w.document.close();
+  w.focus();
+  w.print();
+}
@@ -0,0 +1,27 @@
+// ----------------------
+// LIMITES CLÍNICOS (padrão + ajuste por paciente)
+// ----------------------
+export const DEFAULT_THRESHOLDS = {
+  hrMin: 50,
+  hrMax: 110,
+  spo2Min: 92,
+  batteryMin: 20,
+};
+
+export const THRESHOLD_FIELDS = [
+  { key: "hrMin", label: "FC mínima (bpm)" },
+  { key: "hrMax", label: "FC máxima (bpm)" },
+  { key: "spo2Min", label: "SpO₂ mínima (%)" },
+  { key: "batteryMin", label: "Bateria mínima (%)" },
+  // sem padrão: vazio = heartbeat de cada dispositivo; preenchido, marca "sem sinal" antes disso
+  { key: "noSignalMinutes", label: "Sem sinal após (min)", placeholder: "heartbeat" },
+];
+
+// ignora campos vazios/inválidos do formulário (valem os padrões)
+export function cleanThresholds(th) {
+  const out = {};
+  for (const [k, v] of Object.entries(th || {})) {
+    if (v !== "" && v != null && Number.isFinite(Number(v))) out[k] = Number(v);
+  }
+  return out;
+}
@@ -0,0 +1,102 @@
+import { DEMO_TOKEN } from "../api/client.js";
+import { safeGetJson, safeSetJson } from "../lib/storage.js";
+import { mergeBy } from "../lib/collections.js";
+import { DEMO_DEVICES_KEY } from "./scenarios.js";
+import { createDemoGeofences, createDemoPatients, createDemoRoute, createDemoWorld } from "./world.js";
+
+// ----------------------
+// DEMO DATA (adaptador de backend sem API: cadastros no localStorage, resto gerado)
+// ----------------------
+// o ao vivo do DEMO não passa por aqui: useTraccarLive roda o mundo simulado direto
+export function demoBackend() {
+  return {
+    id: "demo",
+    label: "DEMO (local)",
+    login: async () => DEMO_TOKEN,
+    listDevices: async () => createDemoWorld().devices,
+    listPositions: async () => createDemoWorld().positions,
+    route: async (deviceId, from, to) => createDemoRoute(deviceId, from, to),
+    events: async (deviceIds) => createDemoWorld().events.filter((e) => deviceIds.includes(e.deviceId)),
+    address: async (lat, lng) => `Endereço aproximado (${lat.toFixed(4)}, ${lng.toFixed(4)})`,
+    devices: demoDeviceApi(),
+    geofences: demoGeofenceApi(),
+    patients: demoPatientApi(),
+    // sem servidor: o fluxo dos alertas fica no localStorage (useAlertWorkflow)
+    alertSteps: { list: async () => [], add: async () => {} },
+    sendCommand: async (device) => {
+      await new Promise((r) => setTimeout(r, 600));
+      return device.status === "offline" ? "queued" : "sent";
+    },
+    socketPaths: [],
+  };
+}
+
+function demoPatientApi() {
+  const key = "soucare_demo_patients";
+  const read = () => safeGetJson(key, null) || createDemoPatients();
+  const write = (list) => safeSetJson(key, list);
+
+  return {
+    list: async () => read(),
+    create: async (pt) => {
+      const list = read();
+      const created = { ...pt, id: list.reduce((m, x) => Math.max(m, x.id), 0) + 1 };
+      write([...list, created]);
+      return created;
+    },
+    update: async (pt) => {
+      write(read().map((x) => (x.id === pt.id ? pt : x)));
+      return pt;
+    },
+    remove: async (id) => {
+      write(read().filter((x) => x.id !== id));
+      return null;
+    },
+  };
+}
+
+// cadastrados/editados ficam no localStorage e entram no createDemoWorld
+function demoDeviceApi() {
+  const read = () => safeGetJson(DEMO_DEVICES_KEY, []);
+  const write = (list) => safeSetJson(DEMO_DEVICES_KEY, list);
+
+  return {
+    create: async (d) => {
+      const ids = [...createDemoWorld().devices, ...read()].map((x) => x.id);
+      const created = { ...d, id: Math.max(...ids) + 1, status: "unknown", lastUpdate: null };
+      write([...read(), created]);
+      return created;
+    },
+    update: async (d) => {
+      write(mergeBy(read(), [d], "id"));
+      return d;
+    },
+  };
+}
+
+function demoGeofenceApi() {
+  const key = "soucare_demo_geofences";
+  const read = () => safeGetJson(key, null) || createDemoGeofences();
+  const write = (list) => safeSetJson(key, list);
+
+  return {
+    list: async () => read(),
+    listForDevice: async (deviceId) => read().filter((g) => g.attributes?.deviceId === deviceId),
+    create: async (g) => {
+      const list = read();
+      const created = { ...g, id: list.reduce((m, x) => Math.max(m, x.id), 54) + 1 };
+      write([...list, created]);
+      return created;
+    },
+    update: async (g) => {
+      write(read().map((x) => (x.id === g.id ? g : x)));
+      return g;
+    },
+    remove: async (id) => {
+      write(read().filter((x) => x.id !== id));
+      return null;
+    },
+    link: async () => null,
+    unlink: async () => null,
+  };
+}
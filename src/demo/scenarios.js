@@ -0,0 +1,103 @@
+import { safeGetJson } from "../lib/storage.js";
+
+// ----------------------
+// DEMO DATA (igual ao painel de veículos: entra e já vê rodando)
+// ----------------------
+// Atualização ao vivo no DEMO: "socket" (simula o /api/socket), "socket-flaky" (cai a cada 45s
+// para exercitar a reconexão) ou "polling" (passo fixo de 5s, como antes)
+export const DEMO_LIVE_MODE = import.meta?.env?.VITE_DEMO_LIVE || "socket";
+
+export const DEMO_DEVICES_KEY = "soucare_demo_devices";
+
+// Casa de cada paciente do DEMO (centro da cerca "Casa"; SP)
+export const DEMO_HOMES = {
+  101: [-23.54952, -46.634308],
+  102: [-23.54852, -46.635308],
+  103: [-23.54752, -46.636308],
+};
+
+export const DEMO_HOME_RADIUS_M = 150;
+
+export const DEMO_TICK_MS = 5000;
+
+export const DEMO_SPEEDS = [1, 10, 60];
+
+export const DEMO_JITTER_DEG = 0.0004; // ~45 m: anda pela casa sem sair da cerca
+
+export const DEMO_WALK_DEG_PER_MIN = 0.0006; // ~4 km/h
+
+export const DEMO_BATTERY_DRAIN_PER_MIN = 0.1;
+
+export const DEMO_DESATURATION_SPO2 = 84;
+
+export const DEMO_SCENARIO_KEY = "soucare_demo_scenario";
+
+// Cenários de treino: incidentes numa linha do tempo (`at` = minuto do cenário; `minutes` = evolução)
+export const DEMO_SCENARIOS = [
+  {
+    id: "history",
+    label: "Padrão",
+    description: "Rotina com alguns alertas das últimas horas para explorar o painel.",
+    history: true,
+    incidents: [],
+  },
+  { id: "calm", label: "Plantão tranquilo", description: "Só a rotina: todos em casa e no verde.", incidents: [] },
+  {
+    id: "wandering",
+    label: "Evasão",
+    description: "João sai de casa andando no minuto 2 e não volta.",
+    incidents: [{ kind: "wander", deviceId: 101, at: 2, minutes: 25 }],
+  },
+  {
+    id: "fall",
+    label: "Queda",
+    description: "Ana cai em casa no minuto 3: alarme de queda e FC alta.",
+    incidents: [{ kind: "fall", deviceId: 103, at: 3, minutes: 15 }],
+  },
+  {
+    id: "desaturation",
+    label: "Dessaturação",
+    description: "SpO₂ da Maria cai até 84% em 20 min a partir do minuto 2.",
+    incidents: [{ kind: "desaturation", deviceId: 102, at: 2, minutes: 20 }],
+  },
+  {
+    id: "silent",
+    label: "Relógio mudo",
+    description: "O relógio da Ana para de reportar no minuto 2 (atrasado aos 10 min, offline aos 30).",
+    incidents: [{ kind: "silent", deviceId: 103, at: 2 }],
+  },
+  {
+    id: "battery",
+    label: "Bateria acabando",
+    description: "A bateria do João despenca a partir do minuto 1 até o relógio desligar.",
+    incidents: [{ kind: "batteryDrain", deviceId: 101, at: 1, minutes: 40 }],
+  },
+  {
+    id: "busy",
+    label: "Plantão agitado",
+    description: "Todos os incidentes, um depois do outro, ao longo de uma hora.",
+    incidents: [
+      { kind: "wander", deviceId: 101, at: 2, minutes: 25 },
+      { kind: "desaturation", deviceId: 102, at: 10, minutes: 20 },
+      { kind: "fall", deviceId: 103, at: 20, minutes: 15 },
+      { kind: "batteryDrain", deviceId: 102, at: 30, minutes: 30 },
+      { kind: "silent", deviceId: 103, at: 45 },
+    ],
+  },
+];
+
+export function readDemoScenario() {
+  return { id: DEMO_SCENARIOS[0].id, seed: 1, speed: 1, ...safeGetJson(DEMO_SCENARIO_KEY, {}) };
+}
+
+// mulberry32: sorteio reproduzível a partir da seed (Math.random não dá para repetir)
+export function seededRandom(seed) {
+  let a = Number(seed) >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
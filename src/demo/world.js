@@ -0,0 +1,410 @@
+import { safeGetJson } from "../lib/storage.js";
+import { distanceMeters, toWkt } from "../lib/geo.js";
+import { mergeBy } from "../lib/collections.js";
+import { heartbeatOf } from "../data/connectivity.js";
+import {
+  DEMO_BATTERY_DRAIN_PER_MIN,
+  DEMO_DESATURATION_SPO2,
+  DEMO_DEVICES_KEY,
+  DEMO_HOME_RADIUS_M,
+  DEMO_HOMES,
+  DEMO_JITTER_DEG,
+  DEMO_SCENARIOS,
+  DEMO_TICK_MS,
+  DEMO_WALK_DEG_PER_MIN,
+  readDemoScenario,
+  seededRandom,
+} from "./scenarios.js";
+
+// ----------------------
+// DEMO DATA (mundo simulado: posições, vitais, rotas e cercas)
+// ----------------------
+export function createDemoWorld(options = readDemoScenario()) {
+  const scenario = DEMO_SCENARIOS.find((sc) => sc.id === options.id) || DEMO_SCENARIOS[0];
+  const rng = seededRandom(options.seed);
+
+  const now = new Date();
+
+  // 102 é "GT09" de propósito: manda SpO₂ como `oxygen` (exercita o VITALS_ATTRIBUTE_MAP)
+  const baseDevices = [
+    { id: 101, name: "Paciente João (DEMO)", uniqueId: "HR-001", model: "SouWatch", phone: "+5511990000101" },
+    { id: 102, name: "Paciente Maria (DEMO)", uniqueId: "HR-002", model: "GT09", phone: "+5511990000102" },
+    { id: 103, name: "Paciente Ana (DEMO)", uniqueId: "HR-003", model: "SouWatch", phone: "+5511990000103" },
+  ].map((d) => ({ ...d, status: "online", lastUpdate: now.toISOString() }));
+  // cadastrados/editados na tela Dispositivos (demoDeviceApi)
+  const devices = mergeBy(baseDevices, safeGetJson(DEMO_DEVICES_KEY, []), "id");
+
+  const state = {};
+  const positions = baseDevices.map((d, idx) => {
+    state[d.id] = { vitals: { ...DEMO_VITALS[d.id] }, battery: 90 - idx * 7, steps: 144 * 40, fired: {} };
+    return {
+      id: 1000 + d.id,
+      deviceId: d.id,
+      latitude: DEMO_HOMES[d.id][0],
+      longitude: DEMO_HOMES[d.id][1],
+      deviceTime: now.toISOString(),
+      protocol: "watch",
+      attributes: {
+        batteryLevel: state[d.id].battery,
+        // passos acumulados das últimas 24h (continua a série do createDemoRoute)
+        ...demoVitalsAttributes(d, DEMO_VITALS[d.id], state[d.id].steps),
+      },
+    };
+  });
+
+  const minutesAgo = (m) => new Date(now.getTime() - m * 60000).toISOString();
+  const events = scenario.history
+    ? [
+        { id: 5001, type: "geofenceExit", deviceId: 102, eventTime: minutesAgo(12), attributes: {} },
+        { id: 5002, type: "deviceOffline", deviceId: 103, eventTime: minutesAgo(40), attributes: {} },
+        { id: 5003, type: "alarm", deviceId: 101, eventTime: minutesAgo(180), attributes: { alarm: "sos" } },
+      ]
+    : [];
+
+  return {
+    devices,
+    positions,
+    events,
+    nextEventId: 5004,
+    scenario,
+    // direção de cada evasão sorteada já na criação: mesma seed, mesmo caminho
+    headings: scenario.incidents.map(() => rng() * 2 * Math.PI),
+    rng,
+    speed: options.speed,
+    simMs: 0,
+    skipMs: 0,
+    state,
+  };
+}
+
+// Linha de base dos vitais de cada paciente do DEMO (Maria tem DPOC: SpO₂ mais baixa)
+const DEMO_VITALS = {
+  101: { heartRate: 78, spo2: 96, temperature: 36.6 },
+  102: { heartRate: 88, spo2: 92, temperature: 36.8 },
+  103: { heartRate: 70, spo2: 97, temperature: 36.4 },
+};
+
+function demoVitalsAttributes(device, v, steps) {
+  return {
+    heartRate: Math.round(v.heartRate),
+    [device.model === "GT09" ? "oxygen" : "spo2"]: Math.round(v.spo2),
+    temp1: Math.round(v.temperature * 10) / 10,
+    steps,
+  };
+}
+
+// Passeio aleatório em volta da linha de base (limitado para a rotina continuar no verde)
+function stepDemoVitals(deviceId, v, rng) {
+  const base = DEMO_VITALS[deviceId] || DEMO_VITALS[101];
+  const clamp = (x, lo, hi) => Math.min(hi, Math.max(lo, x));
+  return {
+    heartRate: clamp(v.heartRate + Math.round((rng() - 0.5) * 6), base.heartRate - 12, base.heartRate + 12),
+    spo2: clamp(v.spo2 + Math.round((rng() - 0.5) * 2), base.spo2 - 1, 99),
+    temperature: clamp(v.temperature + (rng() - 0.5) * 0.2, 35.8, 37.4),
+  };
+}
+
+// Cadastro inicial do DEMO (um paciente por dispositivo do mundo fake)
+export function createDemoPatients() {
+  return [
+    {
+      id: 1,
+      name: "João Pereira",
+      birthDate: "1941-03-12",
+      address: "Rua Augusta, 1200 — Consolação",
+      team: "Equipe A",
+      risk: "high",
+      emergencyContacts: [{ name: "Carla Pereira", phone: "(11) 99999-0001", relation: "Filha" }],
+      notes: "Alzheimer moderado. Risco de evasão.",
+      deviceIds: [101],
+      routine: [{ days: [0, 1, 2, 3, 4, 5, 6], from: "19:00", to: "08:00", label: "Noite em casa" }],
+    },
+    {
+      id: 2,
+      name: "Maria Souza",
+      birthDate: "1948-08-30",
+      address: "Rua da Consolação, 455 — Centro",
+      team: "Equipe A",
+      risk: "medium",
+      emergencyContacts: [{ name: "Paulo Souza", phone: "(11) 99999-0002", relation: "Filho" }],
+      notes: "DPOC. Acompanhar SpO₂.",
+      // DPOC: alvo de SpO₂ mais baixo que o padrão
+      thresholds: { spo2Min: 88 },
+      deviceIds: [102],
+      routine: [
+        { days: [1, 3, 5], from: "14:00", to: "16:00", label: "Fisioterapia domiciliar" },
+        { days: [0, 1, 2, 3, 4, 5, 6], from: "20:00", to: "07:00", label: "Noite em casa" },
+      ],
+    },
+    {
+      id: 3,
+      name: "Ana Lima",
+      birthDate: "1952-01-05",
+      address: "Av. São João, 900 — República",
+      team: "Equipe B",
+      risk: "low",
+      emergencyContacts: [],
+      notes: "",
+      deviceIds: [103],
+      routine: [],
+    },
+  ];
+}
+
+/**
+ * Rota do DEMO: passeio determinístico em volta da posição inicial (1 ponto a cada 10 min),
+ * no formato do /api/reports/route do Traccar.
+ */
+// Saídas diárias do DEMO (hora local): vai a pé, fica um tempo e volta pra casa
+const DEMO_OUTINGS = {
+  101: [{ leave: 9 * 60, stay: 60, dLat: 0.004, dLng: 0.003, address: "Praça do bairro" }],
+  102: [
+    { leave: 8 * 60 + 30, stay: 30, dLat: -0.003, dLng: 0.002, address: "Padaria da esquina" },
+    { leave: 15 * 60, stay: 90, dLat: 0.002, dLng: -0.005, address: "Posto de saúde" },
+  ],
+  103: [{ leave: 17 * 60, stay: 45, dLat: -0.005, dLng: -0.002, address: "Parque municipal" }],
+};
+
+const DEMO_WALK_MIN = 20;
+
+// onde o paciente está em `t`: fração do caminho casa→destino (0 = casa, 1 = destino)
+function demoOutingAt(deviceId, t) {
+  const d = new Date(t);
+  const minute = d.getHours() * 60 + d.getMinutes();
+  for (const o of DEMO_OUTINGS[deviceId] || []) {
+    const arrive = o.leave + DEMO_WALK_MIN;
+    const back = arrive + o.stay;
+    if (minute < o.leave || minute > back + DEMO_WALK_MIN) continue;
+    if (minute < arrive) return { outing: o, f: (minute - o.leave) / DEMO_WALK_MIN, moving: true };
+    if (minute <= back) return { outing: o, f: 1, moving: false };
+    return { outing: o, f: 1 - (minute - back) / DEMO_WALK_MIN, moving: true };
+  }
+  return null;
+}
+
+export function createDemoRoute(deviceId, from, to) {
+  const world = createDemoWorld();
+  const base = world.positions.find((p) => p.deviceId === Number(deviceId));
+  if (!base) return [];
+  const device = world.devices.find((d) => d.id === Number(deviceId));
+  const vit = DEMO_VITALS[device.id];
+  const home = createDemoPatients().find((pt) => pt.deviceIds.includes(device.id))?.address || "Casa";
+
+  const step = 5 * 60 * 1000;
+  const out = [];
+  let i = 0;
+  for (let t = from.getTime(); t <= to.getTime(); t += step, i++) {
+    const phase = i / 18 + Number(deviceId);
+    const at = demoOutingAt(device.id, t);
+    // jitter pequeno do GPS (bem dentro do raio de parada)
+    const jLat = 0.00012 * Math.sin(phase * 5);
+    const jLng = 0.00012 * Math.cos(phase * 4);
+    out.push({
+      id: Number(deviceId) * 100000 + i,
+      deviceId: Number(deviceId),
+      latitude: base.latitude + (at ? at.outing.dLat * at.f : 0) + jLat,
+      longitude: base.longitude + (at ? at.outing.dLng * at.f : 0) + jLng,
+      fixTime: new Date(t).toISOString(),
+      deviceTime: new Date(t).toISOString(),
+      speed: at?.moving ? 2.5 + 0.4 * Math.sin(phase * 7) : 0,
+      address: at && !at.moving ? at.outing.address : at ? "" : home,
+      attributes: {
+        batteryLevel: Math.max(5, 100 - Math.floor(i / 6)),
+        ...demoVitalsAttributes(
+          device,
+          {
+            heartRate: vit.heartRate + 8 * Math.sin(phase * 1.3) + (at?.moving ? 15 : 0),
+            spo2: vit.spo2 + Math.round(Math.sin(phase * 0.8)),
+            temperature: vit.temperature + 0.2 * Math.sin(phase * 0.5),
+          },
+          i * 20
+        ),
+      },
+    });
+  }
+  return out;
+}
+
+// Uma cerca circular (casa) por paciente do DEMO, em volta de DEMO_HOMES
+export function createDemoGeofences() {
+  const patients = createDemoPatients();
+  return Object.entries(DEMO_HOMES).map(([deviceId, center], idx) => ({
+    id: 55 + idx,
+    name: "Casa",
+    description: patients[idx]?.address || "",
+    area: toWkt({ type: "circle", center, radius: DEMO_HOME_RADIUS_M }),
+    attributes: { deviceId: Number(deviceId) },
+  }));
+}
+
+/**
+ * Um passo do mundo DEMO: o relógio do cenário anda DEMO_TICK_MS × velocidade (fixo, não o tempo
+ * real decorrido — mesma seed e velocidade, mesma sequência), e os incidentes ativos agem por cima
+ * da rotina. Datas saem no relógio real; as de um aparelho mudo são "envelhecidas" pelo tempo do
+ * cenário, para offline/atraso aparecerem também em avanço rápido.
+ */
+export function stepDemoWorld(world, now = new Date()) {
+  // avanço pedido (skipMs) entra inteiro neste passo: bateria/passos acompanham o salto
+  const dt = DEMO_TICK_MS * world.speed + world.skipMs;
+  world.skipMs = 0;
+  world.simMs += dt;
+  const minute = world.simMs / 60000;
+  const dtMin = dt / 60000;
+  const iso = now.toISOString();
+  const realAt = (simMs) => new Date(now.getTime() - (world.simMs - simMs)).toISOString();
+  const rng = world.rng;
+
+  const newEvents = [];
+  const emit = (deviceId, type, attributes = {}) =>
+    newEvents.push({ id: world.nextEventId++, type, deviceId, eventTime: iso, attributes });
+
+  const seen = [];
+  const moved = world.positions.map((p) => {
+    const st = world.state[p.deviceId];
+    const device = world.devices.find((d) => d.id === p.deviceId) || {};
+    const base = DEMO_VITALS[p.deviceId];
+
+    let offset = [0, 0];
+    let moving = false;
+    let course = p.course ?? 0;
+    let hrExtra = 0;
+    let spo2Cap = 100;
+    let drain = DEMO_BATTERY_DRAIN_PER_MIN;
+    let stepsFrozen = false;
+
+    world.scenario.incidents.forEach((inc, k) => {
+      if (inc.deviceId !== p.deviceId || minute < inc.at) return;
+      const elapsed = minute - inc.at;
+      const f = inc.minutes ? Math.min(1, elapsed / inc.minutes) : 1;
+
+      if (inc.kind === "wander") {
+        const dist = DEMO_WALK_DEG_PER_MIN * Math.min(elapsed, inc.minutes);
+        offset = [Math.cos(world.headings[k]) * dist, Math.sin(world.headings[k]) * dist];
+        moving = elapsed < inc.minutes;
+        course = Math.round((90 - (world.headings[k] * 180) / Math.PI + 360) % 360);
+        hrExtra += moving ? 15 : 5;
+      } else if (inc.kind === "fall") {
+        if (!st.fired[k]) emit(p.deviceId, "alarm", { alarm: "fallDown" });
+        hrExtra += 25 * (1 - f * 0.6);
+        stepsFrozen = true;
+      } else if (inc.kind === "desaturation") {
+        spo2Cap = Math.round(base.spo2 - (base.spo2 - DEMO_DESATURATION_SPO2) * f);
+        hrExtra += 15 * f;
+      } else if (inc.kind === "silent") {
+        if (st.silentSince == null) st.silentSince = inc.at * 60000;
+      } else if (inc.kind === "batteryDrain") {
+        drain = Math.max(drain, 100 / inc.minutes);
+      }
+      st.fired[k] = true;
+    });
+
+    // bateria acabou: o relógio desliga (mesmo caminho do aparelho mudo)
+    if (st.battery <= 0 && st.silentSince == null) st.silentSince = world.simMs;
+
+    if (st.silentSince != null) {
+      const silentMin = minute - st.silentSince / 60000;
+      const hb = heartbeatOf(device);
+      const offline = silentMin >= hb.heartbeatMinutes * hb.offlineFactor;
+      if (offline && !st.offline) {
+        st.offline = true;
+        emit(p.deviceId, "deviceOffline");
+      }
+      seen.push({ id: p.deviceId, lastUpdate: realAt(st.silentSince), status: offline ? "offline" : "online" });
+      return { ...p, deviceTime: realAt(st.silentSince), fixTime: realAt(st.silentSince) };
+    }
+
+    const beforeBattery = st.battery;
+    st.battery = Math.max(0, st.battery - drain * dtMin);
+    // bateria cruzou 20% => alarme lowBattery (como o Traccar emite)
+    if (beforeBattery >= 20 && st.battery < 20) emit(p.deviceId, "alarm", { alarm: "lowBattery" });
+
+    st.vitals = stepDemoVitals(p.deviceId, st.vitals, rng);
+    if (!stepsFrozen) st.steps += Math.floor(rng() * 12 * dtMin);
+
+    const home = DEMO_HOMES[p.deviceId] || [p.latitude, p.longitude];
+    const latitude = home[0] + offset[0] + (rng() - 0.5) * DEMO_JITTER_DEG;
+    const longitude = home[1] + offset[1] + (rng() - 0.5) * DEMO_JITTER_DEG;
+
+    // saiu da cerca de casa => geofenceExit (como o Traccar emite); volta => geofenceEnter
+    const outside = distanceMeters(latitude, longitude, home[0], home[1]) > DEMO_HOME_RADIUS_M;
+    if (outside !== Boolean(st.outside)) emit(p.deviceId, outside ? "geofenceExit" : "geofenceEnter");
+    st.outside = outside;
+
+    seen.push({ id: p.deviceId, lastUpdate: iso });
+    return {
+      ...p,
+      latitude,
+      longitude,
+      course,
+      speed: moving ? 1.9 : 0,
+      deviceTime: iso,
+      fixTime: iso,
+      attributes: {
+        ...(p.attributes || {}),
+        batteryLevel: Math.round(st.battery),
+        ...demoVitalsAttributes(
+          device,
+          {
+            heartRate: st.vitals.heartRate + hrExtra,
+            spo2: Math.min(st.vitals.spo2, spo2Cap),
+            temperature: st.vitals.temperature,
+          },
+          st.steps
+        ),
+      },
+    };
+  });
+
+  world.positions = moved;
+  world.events = newEvents.length ? [...world.events, ...newEvents] : world.events;
+  world.onStep?.(world);
+  // devices parciais (só o que mudou): o merge preserva o que foi editado no cadastro
+  return { devices: seen, positions: moved, events: world.events };
+}
+
+/**
+ * Socket simulado do DEMO: fala o mesmo protocolo do /api/socket do Traccar
+ * ({ devices } / { positions } / { events }), só com o que mudou a cada passo.
+ */
+export function createDemoSocket(world, { dropEveryMs = 0 } = {}) {
+  const timeouts = [];
+  let tick = null;
+  const sock = {
+    readyState: 0,
+    onopen: null,
+    onmessage: null,
+    onclose: null,
+    close() {
+      if (sock.readyState === 3) return;
+      timeouts.forEach(clearTimeout);
+      clearInterval(tick);
+      sock.readyState = 3;
+      sock.onclose?.({ code: 1000 });
+    },
+  };
+
+  const send = (msg) => sock.onmessage?.({ data: JSON.stringify(msg) });
+
+  timeouts.push(
+    setTimeout(() => {
+      sock.readyState = 1;
+      sock.onopen?.();
+      send({ devices: world.devices });
+    }, 300)
+  );
+
+  tick = setInterval(() => {
+    if (sock.readyState !== 1) return;
+    const before = world.events;
+    const next = stepDemoWorld(world);
+    send({ devices: next.devices, positions: next.positions });
+    const fresh = next.events.filter((e) => !before.includes(e));
+    if (fresh.length) send({ events: fresh });
+  }, DEMO_TICK_MS);
+
+  if (dropEveryMs > 0) {
+    timeouts.push(setTimeout(() => sock.close(), dropEveryMs));
+  }
+
+  return sock;
+}
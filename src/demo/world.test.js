@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { createDemoWorld, stepDemoWorld } from "./world.js";
+
+describe("mundo DEMO", () => {
+  it("cria um dispositivo e uma posição por paciente", () => {
+    const w = createDemoWorld({ id: "calm", seed: 1, speed: 1 });
+    expect(w.devices.map((d) => d.id)).toEqual([101, 102, 103]);
+    expect(w.positions).toHaveLength(w.devices.length);
+    expect(w.events).toEqual([]);
+  });
+
+  it("cenário padrão traz o histórico de alertas", () => {
+    const w = createDemoWorld({ id: "history", seed: 1, speed: 1 });
+    expect(w.events.map((e) => e.type)).toEqual(["geofenceExit", "deviceOffline", "alarm"]);
+  });
+
+  it("cada passo mantém coordenadas válidas e anda o relógio do cenário", () => {
+    const w = createDemoWorld({ id: "calm", seed: 1, speed: 10 });
+    const next = stepDemoWorld(w);
+    expect(w.simMs).toBe(50000);
+    for (const p of next.positions) {
+      expect(Number.isFinite(p.latitude)).toBe(true);
+      expect(Number.isFinite(p.longitude)).toBe(true);
+    }
+  });
+
+  it("mesma seed, mesma sequência", () => {
+    const run = () => {
+      const w = createDemoWorld({ id: "wandering", seed: 7, speed: 60 });
+      for (let i = 0; i < 5; i++) stepDemoWorld(w, new Date(0));
+      return w.positions.map((p) => [p.latitude, p.longitude]);
+    };
+    expect(run()).toEqual(run());
+  });
+
+  it("cenário de queda dispara o alarme no minuto do incidente", () => {
+    const w = createDemoWorld({ id: "fall", seed: 1, speed: 1 });
+    w.skipMs = 3 * 60000;
+    stepDemoWorld(w);
+    const fall = w.events.find((e) => e.deviceId === 103 && e.type === "alarm");
+    expect(fall?.attributes.alarm).toBe("fallDown");
+  });
+});
@@ -0,0 +1,221 @@
+import { Fragment, useMemo, useState } from "react";
+import { downloadCsv, formatDateTime, timeAgo } from "../../lib/format.js";
+import { ALERT_FILTERS, alertStepLabel, alertStepText, alertTimeline, nextAlertStep } from "../../data/alerts.js";
+import { Button, FilterButton, SectionHeader, StatusDot } from "../../ui/kit.jsx";
+
+export function Alerts({ alerts: all, settings, onAdvance, sync, status: filter, onStatus: setFilter }) {
+  // etapa sendo registrada: { id, status, note, err }
+  const [pending, setPending] = useState(null);
+  const [timelineId, setTimelineId] = useState(null);
+
+  const escalated = all.filter((r) => r.escalatedAt && r.status !== "resolved");
+  const rows = useMemo(
+    () =>
+      all.filter((r) =>
+        filter === "resolved"
+          ? r.status === "resolved"
+          : filter === "escalated"
+          ? r.escalatedAt && r.status !== "resolved"
+          : r.status !== "resolved"
+      ),
+    [all, filter]
+  );
+
+  function confirmStep(e) {
+    e.preventDefault();
+    const note = pending.note.trim();
+    if (!note) {
+      setPending((prev) => ({ ...prev, err: "A nota é obrigatória em cada etapa." }));
+      return;
+    }
+    onAdvance(pending.id, pending.status, note);
+    setPending(null);
+  }
+
+  function exportAudit() {
+    const lines = all.flatMap((a) =>
+      alertTimeline(a).map((t) => [
+        a.id,
+        a.type,
+        a.patient,
+        a.sev,
+        formatDateTime(a.eventTime),
+        alertStepLabel(t.status),
+        t.by,
+        t.at ? new Date(t.at).toLocaleString("pt-BR") : "",
+        t.note,
+      ])
+    );
+    downloadCsv(
+      `auditoria-alertas-${new Date().toISOString().slice(0, 10)}.csv`,
+      ["Alerta", "Tipo", "Paciente", "Sev", "Ocorrido", "Etapa", "Operador", "Data/hora", "Nota"],
+      lines
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <SectionHeader
+        title="Alertas"
+        right={
+          <div className="flex gap-2">
+            {ALERT_FILTERS.map((f) => (
+              <FilterButton key={f.id} active={filter === f.id} onClick={() => setFilter(f.id)}>
+                {f.label}
+                {f.id === "escalated" && escalated.length ? ` (${escalated.length})` : ""}
+              </FilterButton>
+            ))}
+            <Button onClick={exportAudit}>Exportar auditoria (CSV)</Button>
+          </div>
+        }
+      />
+
+      {!sync.shared ? (
+        <div className="rounded-2xl border border-amber-500/30 bg-amber-500/10 p-3 text-sm text-amber-200">
+          Este backend não guarda o fluxo dos alertas: as etapas ficam só neste navegador e o próximo plantão não as vê.
+        </div>
+      ) : sync.pending || sync.error ? (
+        <div className="flex items-center justify-between gap-3 rounded-2xl border border-amber-500/30 bg-amber-500/10 p-3 text-sm text-amber-200">
+          <span>
+            {sync.pending
+              ? `${sync.pending} etapa(s) ainda não enviada(s) ao servidor — os outros operadores não as veem.`
+              : "Não foi possível carregar as etapas dos outros operadores."}
+            {sync.error ? ` ${sync.error}` : ""}
+          </span>
+          {sync.pending ? <Button onClick={sync.retry}>Tentar de novo</Button> : null}
+        </div>
+      ) : null}
+
+      {escalated.length ? (
+        <div className="rounded-2xl border border-red-500/30 bg-red-500/10 p-3 text-sm text-red-200">
+          {escalated.length} alerta(s) crítico(s) sem reconhecimento há mais de {settings.escalationMinutes} min
+          {settings.role === "supervisor" ? " — escalados para você (supervisão)." : " — escalados para o supervisor."}
+        </div>
+      ) : null}
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-950/40 text-slate-300">
+              <tr>
+                <th className="px-3 py-2">Tipo</th>
+                <th className="px-3 py-2">Paciente</th>
+                <th className="px-3 py-2">Quando</th>
+                <th className="px-3 py-2">Sev</th>
+                <th className="px-3 py-2">Situação</th>
+                <th className="px-3 py-2">Ação</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => {
+                const next = nextAlertStep(r.status);
+                return (
+                  <Fragment key={r.id}>
+                    <tr className="border-t border-slate-800">
+                      <td className="px-3 py-2">{r.type}</td>
+                      <td className="px-3 py-2 font-medium">{r.patient}</td>
+                      <td className="px-3 py-2">
+                        {formatDateTime(r.eventTime)}
+                        <span className="ml-2 text-xs text-slate-500">{timeAgo(r.eventTime)}</span>
+                      </td>
+                      <td className="px-3 py-2">
+                        <StatusDot tone={r.sev} />
+                      </td>
+                      <td className="px-3 py-2 text-xs text-slate-400">
+                        {alertStepText(r.steps)}
+                        {r.escalatedAt && r.status !== "resolved" ? (
+                          <span className="ml-2 rounded-lg border border-red-500/30 bg-red-500/10 px-2 py-0.5 text-red-200">
+                            Escalado
+                          </span>
+                        ) : null}
+                      </td>
+                      <td className="px-3 py-2">
+                        <div className="flex flex-wrap gap-2">
+                          {next ? (
+                            <Button onClick={() => setPending({ id: r.id, status: next.id, note: "", err: "" })}>
+                              {next.action}
+                            </Button>
+                          ) : null}
+                          <FilterButton
+                            active={timelineId === r.id}
+                            onClick={() => setTimelineId((id) => (id === r.id ? null : r.id))}
+                          >
+                            Linha do tempo
+                          </FilterButton>
+                        </div>
+                      </td>
+                    </tr>
+
+                    {pending?.id === r.id ? (
+                      <tr className="border-t border-slate-800 bg-slate-950/30">
+                        <td colSpan={6} className="px-3 py-3">
+                          <form onSubmit={confirmStep} className="space-y-2">
+                            <label className="text-xs text-slate-400">
+                              Nota para “{alertStepLabel(pending.status)}” (obrigatória)
+                            </label>
+                            <textarea
+                              autoFocus
+                              rows={2}
+                              className="w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+                              value={pending.note}
+                              onChange={(e) => setPending((prev) => ({ ...prev, note: e.target.value, err: "" }))}
+                              placeholder="O que foi verificado / feito"
+                            />
+                            {pending.err ? <div className="text-xs text-red-300">{pending.err}</div> : null}
+                            <div className="flex gap-2">
+                              <Button
+                                type="submit"
+                                className="border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20"
+                              >
+                                Confirmar
+                              </Button>
+                              <Button type="button" onClick={() => setPending(null)}>
+                                Cancelar
+                              </Button>
+                            </div>
+                          </form>
+                        </td>
+                      </tr>
+                    ) : null}
+
+                    {timelineId === r.id ? (
+                      <tr className="border-t border-slate-800 bg-slate-950/30">
+                        <td colSpan={6} className="px-3 py-3">
+                          <ol className="space-y-2 border-l border-slate-700 pl-4 text-xs">
+                            {alertTimeline(r).map((t, i) => (
+                              <li key={i}>
+                                <div className="text-slate-200">
+                                  {alertStepLabel(t.status)}
+                                  <span className="ml-2 text-slate-500">
+                                    {formatDateTime(t.at)} • {t.by}
+                                    {t.pending ? " • não sincronizada" : ""}
+                                  </span>
+                                </div>
+                                {t.note ? <div className="text-slate-400">{t.note}</div> : null}
+                              </li>
+                            ))}
+                          </ol>
+                        </td>
+                      </tr>
+                    ) : null}
+                  </Fragment>
+                );
+              })}
+              {!rows.length ? (
+                <tr className="border-t border-slate-800">
+                  <td colSpan={6} className="px-3 py-6 text-center text-sm text-slate-500">
+                    {filter === "resolved"
+                      ? "Nenhum alerta resolvido."
+                      : filter === "escalated"
+                      ? "Nenhum alerta escalado."
+                      : "Nenhum alerta aberto nas últimas 24h."}
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
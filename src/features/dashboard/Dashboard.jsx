@@ -0,0 +1,79 @@
+import { useMemo } from "react";
+import { reasonsText } from "../../data/rules.js";
+import { Button, Legend, StatCard, StatusDot } from "../../ui/kit.jsx";
+
+export function Dashboard({ rows, onOpen }) {
+  const counts = useMemo(() => {
+    let red = 0,
+      yellow = 0,
+      gray = 0,
+      green = 0;
+    for (const r of rows) {
+      if (r.status === "red") red++;
+      else if (r.status === "yellow") yellow++;
+      else if (r.status === "gray") gray++;
+      else green++;
+    }
+    return { red, yellow, gray, green };
+  }, [rows]);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 gap-3 md:grid-cols-4">
+        <StatCard title="Críticos" value={String(counts.red)} tone="red" />
+        <StatCard title="Offline" value={String(counts.gray)} tone="gray" />
+        <StatCard title="Atenção" value={String(counts.yellow)} tone="yellow" />
+        <StatCard title="OK" value={String(counts.green)} tone="emerald" />
+      </div>
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="mb-3 flex items-center justify-between">
+          <div>
+            <div className="text-sm text-slate-300">Lista ao vivo</div>
+            <div className="text-lg font-semibold">Pacientes (semáforo)</div>
+          </div>
+          <Legend />
+        </div>
+
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-950/40 text-slate-300">
+              <tr>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2">Paciente</th>
+                <th className="px-3 py-2">Motivo</th>
+                <th className="px-3 py-2">Casa/Rua</th>
+                <th className="px-3 py-2">Último sinal</th>
+                <th className="px-3 py-2">FC</th>
+                <th className="px-3 py-2">SpO₂</th>
+                <th className="px-3 py-2">Bateria</th>
+                <th className="px-3 py-2">Ação</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.key} className="border-t border-slate-800">
+                  <td className="px-3 py-2">
+                    <StatusDot tone={r.status} />
+                  </td>
+                  <td className="px-3 py-2 font-medium">{r.patient}</td>
+                  <td className="px-3 py-2 text-xs text-slate-300">{reasonsText(r.reasons)}</td>
+                  <td className="px-3 py-2">{r.place}</td>
+                  <td className="px-3 py-2">{r.lastSeen}</td>
+                  <td className="px-3 py-2">{r.fc}</td>
+                  <td className="px-3 py-2">{r.spo2}</td>
+                  <td className="px-3 py-2">{r.battery}</td>
+                  <td className="px-3 py-2">
+                    <Button onClick={() => onOpen(r.patientId)} disabled={r.patientId == null}>
+                      Ver
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
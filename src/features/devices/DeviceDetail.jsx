@@ -0,0 +1,241 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { apiErrorMessage, DEMO_TOKEN } from "../../api/client.js";
+import { backendFor } from "../../api/backend.js";
+import { formatDateTime, timeAgo } from "../../lib/format.js";
+import { formatDistance } from "../../lib/geo.js";
+import { mergeBy } from "../../lib/collections.js";
+import { eventLabel } from "../../data/events.js";
+import {
+  COMMAND_STATES,
+  DEVICE_COMMANDS,
+  deviceLabel,
+  EVENTS_PAGE_SIZE,
+  withCommandResults,
+} from "../../data/devices.js";
+import { Button, InfoItem, StatusDot } from "../../ui/kit.jsx";
+
+// ----------------------
+// DETALHE DO DISPOSITIVO (posição crua, eventos, comandos)
+// ----------------------
+export function DeviceDetail({ device, position, owner, events, token, onClose }) {
+  const [older, setOlder] = useState([]);
+  const [page, setPage] = useState(0);
+  const [smsText, setSmsText] = useState("");
+  const [sent, setSent] = useState([]); // { id, label, at, state, error }
+  const sentSeq = useRef(0);
+
+  // 24h vêm do live; fora do demo, busca 7 dias deste aparelho
+  useEffect(() => {
+    if (token === DEMO_TOKEN) return;
+    let cancelled = false;
+    backendFor(token)
+      .events([device.id], new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), new Date())
+      .then((list) => {
+        if (!cancelled) setOlder(Array.isArray(list) ? list : []);
+      })
+      .catch(() => {
+        // fica só com as 24h
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, device.id]);
+
+  const log = useMemo(
+    () =>
+      mergeBy(older, events, "id")
+        .filter((e) => e.deviceId === device.id)
+        .sort(
+          (a, b) =>
+            new Date(b.eventTime || b.serverTime || 0).getTime() - new Date(a.eventTime || a.serverTime || 0).getTime()
+        ),
+    [older, events, device.id]
+  );
+  const commands = useMemo(() => withCommandResults(sent, log), [sent, log]);
+  const pages = Math.max(1, Math.ceil(log.length / EVENTS_PAGE_SIZE));
+  const pageRows = log.slice(page * EVENTS_PAGE_SIZE, (page + 1) * EVENTS_PAGE_SIZE);
+
+  async function run(cmd) {
+    const text = smsText.trim();
+    if (cmd.needsText && !text) return;
+    const id = ++sentSeq.current;
+    const label = cmd.needsText ? `${cmd.label}: "${text}"` : cmd.label;
+    const patch = (p) => setSent((prev) => prev.map((c) => (c.id === id ? { ...c, ...p } : c)));
+
+    setSent((prev) => [{ id, label, at: new Date().toISOString(), state: "sending" }, ...prev]);
+    try {
+      patch({ state: await backendFor(token).sendCommand(device, cmd.build(text)) });
+      if (cmd.needsText) setSmsText("");
+    } catch (e) {
+      patch({ state: "failed", error: apiErrorMessage(e, "Erro ao enviar comando") });
+    }
+  }
+
+  const attrs = Object.entries(position?.attributes || {}).sort(([a], [b]) => a.localeCompare(b));
+  const speedKmh = Number.isFinite(position?.speed) ? `${(position.speed * 1.852).toFixed(1)} km/h` : "";
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-sm text-slate-300">Detalhe do dispositivo</div>
+          <div className="text-lg font-semibold">{deviceLabel(device)}</div>
+        </div>
+        <Button onClick={onClose}>Fechar</Button>
+      </div>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-4">
+        <InfoItem label="TraccarID">{String(device.id)}</InfoItem>
+        <InfoItem label="IMEI / uniqueId">{device.uniqueId}</InfoItem>
+        <InfoItem label="Modelo">{device.model}</InfoItem>
+        <InfoItem label="Protocolo">{position?.protocol}</InfoItem>
+        <InfoItem label="Status">{device.status}</InfoItem>
+        <InfoItem label="Última comunicação">
+          {device.lastUpdate ? `${formatDateTime(device.lastUpdate)} (${timeAgo(device.lastUpdate)})` : ""}
+        </InfoItem>
+        <InfoItem label="Telefone (chip)">{device.phone}</InfoItem>
+        <InfoItem label="Paciente">{owner?.name}</InfoItem>
+      </div>
+
+      <div className="mt-5 grid gap-4 md:grid-cols-2">
+        <div>
+          <div className="text-sm font-medium text-slate-200">Última posição</div>
+          {position ? (
+            <>
+              <div className="mt-2 grid grid-cols-2 gap-3">
+                <InfoItem label="fixTime">{formatDateTime(position.fixTime || position.deviceTime)}</InfoItem>
+                <InfoItem label="serverTime">{position.serverTime ? formatDateTime(position.serverTime) : ""}</InfoItem>
+                <InfoItem label="Lat, Lng">
+                  {Number.isFinite(position.latitude)
+                    ? `${position.latitude.toFixed(6)}, ${position.longitude.toFixed(6)}`
+                    : ""}
+                </InfoItem>
+                <InfoItem label="Velocidade">{speedKmh}</InfoItem>
+                <InfoItem label="Curso">{position.course != null ? `${position.course}°` : ""}</InfoItem>
+                <InfoItem label="Precisão">{position.accuracy ? formatDistance(position.accuracy) : ""}</InfoItem>
+                <InfoItem label="Válida">{position.valid == null ? "" : position.valid ? "sim" : "não"}</InfoItem>
+                <InfoItem label="Endereço">{position.address}</InfoItem>
+              </div>
+
+              <div className="mt-3 overflow-x-auto rounded-xl border border-slate-800">
+                <table className="w-full text-left text-xs">
+                  <thead className="bg-slate-950/40 text-slate-300">
+                    <tr>
+                      <th className="px-3 py-2">Atributo</th>
+                      <th className="px-3 py-2">Valor</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {attrs.map(([k, v]) => (
+                      <tr key={k} className="border-t border-slate-800">
+                        <td className="px-3 py-1.5 font-mono text-slate-300">{k}</td>
+                        <td className="px-3 py-1.5 font-mono">
+                          {typeof v === "object" ? JSON.stringify(v) : String(v)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <details className="mt-3 text-xs text-slate-400">
+                <summary className="cursor-pointer">JSON bruto</summary>
+                <pre className="mt-2 max-h-64 overflow-auto rounded-xl border border-slate-800 bg-slate-950/40 p-3">
+                  {JSON.stringify(position, null, 2)}
+                </pre>
+              </details>
+            </>
+          ) : (
+            <div className="mt-2 text-sm text-slate-500">Sem posição recebida.</div>
+          )}
+        </div>
+
+        <div>
+          <div className="text-sm font-medium text-slate-200">Testar comunicação</div>
+          <div className="mt-2 flex flex-wrap gap-2">
+            {DEVICE_COMMANDS.filter((c) => !c.needsText).map((c) => (
+              <Button key={c.id} onClick={() => run(c)}>
+                {c.label}
+              </Button>
+            ))}
+          </div>
+          <div className="mt-2 flex gap-2">
+            <input
+              className="flex-1 rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+              value={smsText}
+              onChange={(e) => setSmsText(e.target.value)}
+              placeholder="Texto do SMS / comando"
+            />
+            {DEVICE_COMMANDS.filter((c) => c.needsText).map((c) => (
+              <Button key={c.id} disabled={!smsText.trim()} onClick={() => run(c)}>
+                {c.label}
+              </Button>
+            ))}
+          </div>
+
+          <div className="mt-3 space-y-2">
+            {commands.map((c) => (
+              <div key={c.id} className="rounded-xl border border-slate-800 bg-slate-950/30 p-3 text-xs">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-slate-200">{c.label}</span>
+                  <span className="inline-flex items-center gap-2">
+                    <StatusDot tone={COMMAND_STATES[c.state].tone} /> {COMMAND_STATES[c.state].label}
+                  </span>
+                </div>
+                <div className="mt-1 text-slate-500">
+                  {formatDateTime(c.at)}
+                  {c.error ? ` • ${c.error}` : ""}
+                  {c.result ? ` • ${c.result}` : ""}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-5">
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-medium text-slate-200">Eventos ({log.length})</div>
+          <div className="flex items-center gap-2 text-xs text-slate-400">
+            <Button disabled={page === 0} onClick={() => setPage((p) => p - 1)}>
+              ‹
+            </Button>
+            {page + 1} / {pages}
+            <Button disabled={page >= pages - 1} onClick={() => setPage((p) => p + 1)}>
+              ›
+            </Button>
+          </div>
+        </div>
+        <div className="mt-2 overflow-x-auto rounded-xl border border-slate-800">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-950/40 text-slate-300">
+              <tr>
+                <th className="px-3 py-2">Quando</th>
+                <th className="px-3 py-2">Evento</th>
+                <th className="px-3 py-2">Detalhe</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map((e) => (
+                <tr key={e.id} className="border-t border-slate-800">
+                  <td className="px-3 py-2">{formatDateTime(e.eventTime || e.serverTime)}</td>
+                  <td className="px-3 py-2">{eventLabel(e)}</td>
+                  <td className="px-3 py-2 text-xs text-slate-400">
+                    {e.attributes?.result || e.attributes?.alarm || (e.geofenceId ? `cerca ${e.geofenceId}` : "")}
+                  </td>
+                </tr>
+              ))}
+              {!log.length ? (
+                <tr className="border-t border-slate-800">
+                  <td colSpan={3} className="px-3 py-6 text-center text-sm text-slate-500">
+                    Nenhum evento no período.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import { useState } from "react";
+import { apiErrorMessage } from "../../api/client.js";
+import { VITALS_ATTRIBUTE_MAP } from "../../lib/vitals.js";
+import { cleanThresholds } from "../../data/thresholds.js";
+import { DEFAULT_HEARTBEAT, DELAYED_FACTOR } from "../../data/connectivity.js";
+import { DEVICE_CATEGORIES, deviceLabel, validateUniqueId } from "../../data/devices.js";
+import { Button } from "../../ui/kit.jsx";
+
+export function DeviceForm({ device, devices, patients, ownerId, onSave, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    name: "",
+    uniqueId: "",
+    category: "person",
+    ...(device || {}),
+    // Traccar manda null nos campos vazios
+    model: device?.model || "",
+    phone: device?.phone || "",
+  }));
+  const [patientId, setPatientId] = useState(ownerId == null ? "" : String(ownerId));
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState("");
+
+  const set = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  const setAttr = (field) => (e) =>
+    setForm((prev) => ({ ...prev, attributes: { ...(prev.attributes || {}), [field]: e.target.value } }));
+  // form.id: o dispositivo novo ganha id quando o Traccar aceita (mesmo se o vínculo falhar depois)
+  const uniqueIdErr = form.uniqueId ? validateUniqueId(form.uniqueId, devices, form.id) : "";
+  const models = Array.from(
+    new Set([...Object.keys(VITALS_ATTRIBUTE_MAP).filter((k) => k !== "default"), ...devices.map((d) => d.model)])
+  ).filter(Boolean);
+
+  async function submit(e) {
+    e.preventDefault();
+    setErr("");
+    if (!form.name.trim()) {
+      setErr("Informe o nome do dispositivo.");
+      return;
+    }
+    const idErr = validateUniqueId(form.uniqueId, devices, form.id);
+    if (idErr) {
+      setErr(idErr);
+      return;
+    }
+    const phone = form.phone.trim();
+    if (phone && !/^\+?\d{10,15}$/.test(phone.replace(/[\s()-]/g, ""))) {
+      setErr("Telefone do chip inválido (use DDI + DDD + número).");
+      return;
+    }
+    const { heartbeatMinutes, offlineFactor, ...otherAttrs } = form.attributes || {};
+    const heartbeat = cleanThresholds({ heartbeatMinutes, offlineFactor });
+    if (heartbeat.heartbeatMinutes != null && !(heartbeat.heartbeatMinutes > 0)) {
+      setErr("Intervalo de reporte deve ser maior que zero.");
+      return;
+    }
+    if (heartbeat.offlineFactor != null && !(heartbeat.offlineFactor > DELAYED_FACTOR)) {
+      setErr(`"Offline após" deve ser maior que ${DELAYED_FACTOR}× (antes disso já conta como atrasado).`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave(
+        {
+          ...form,
+          name: form.name.trim(),
+          uniqueId: form.uniqueId.trim(),
+          model: form.model.trim(),
+          phone: phone.replace(/[\s()-]/g, ""),
+          attributes: { ...otherAttrs, ...heartbeat },
+        },
+        Number(patientId) || null
+      );
+    } catch (e2) {
+      if (e2?.savedDevice) setForm((prev) => ({ ...prev, id: e2.savedDevice.id }));
+      // Traccar responde 400 com "Duplicate entry" quando o uniqueId já existe (ex.: outro usuário)
+      setErr(
+        /duplicate/i.test(e2?.message || "") ? "IMEI já cadastrado no Traccar." : apiErrorMessage(e2, "Erro ao salvar")
+      );
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const inputCls = "mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none";
+
+  return (
+    <form onSubmit={submit} className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="text-lg font-semibold">
+        {device ? `Editar dispositivo — ${deviceLabel(device)}` : "Novo dispositivo (Traccar)"}
+      </div>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-3">
+        <div>
+          <label className="text-xs text-slate-400">Nome</label>
+          <input className={inputCls} value={form.name} onChange={set("name")} placeholder="Relógio João" />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">IMEI / identificador</label>
+          <input className={inputCls} value={form.uniqueId} onChange={set("uniqueId")} placeholder="15 dígitos" />
+          {uniqueIdErr ? <div className="mt-1 text-xs text-red-300">{uniqueIdErr}</div> : null}
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Modelo</label>
+          <input className={inputCls} list="device-models" value={form.model} onChange={set("model")} />
+          <datalist id="device-models">
+            {models.map((m) => (
+              <option key={m} value={m} />
+            ))}
+          </datalist>
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Telefone (chip)</label>
+          <input className={inputCls} value={form.phone} onChange={set("phone")} placeholder="+5511999990000" />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Categoria</label>
+          <select className={inputCls} value={form.category} onChange={set("category")}>
+            {DEVICE_CATEGORIES.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Reporta a cada (min)</label>
+          <input
+            className={inputCls}
+            inputMode="numeric"
+            value={form.attributes?.heartbeatMinutes ?? ""}
+            onChange={setAttr("heartbeatMinutes")}
+            placeholder={String(DEFAULT_HEARTBEAT.heartbeatMinutes)}
+          />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Offline após (× intervalo)</label>
+          <input
+            className={inputCls}
+            inputMode="numeric"
+            value={form.attributes?.offlineFactor ?? ""}
+            onChange={setAttr("offlineFactor")}
+            placeholder={String(DEFAULT_HEARTBEAT.offlineFactor)}
+          />
+          <div className="mt-1 text-xs text-slate-500">Atrasado após {DELAYED_FACTOR}× o intervalo.</div>
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Paciente</label>
+          <select className={inputCls} value={patientId} onChange={(e) => setPatientId(e.target.value)}>
+            <option value="">(sem paciente)</option>
+            {patients.map((pt) => (
+              <option key={pt.id} value={pt.id}>
+                {pt.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {err ? (
+        <div className="mt-3 rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err}</div>
+      ) : null}
+
+      <div className="mt-4 flex gap-2">
+        <Button type="submit" disabled={saving}>
+          {saving ? "Salvando..." : "Salvar"}
+        </Button>
+        <Button type="button" onClick={onCancel}>
+          Cancelar
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,165 @@
+import { useMemo, useState } from "react";
+import { apiErrorMessage } from "../../api/client.js";
+import { backendFor } from "../../api/backend.js";
+import { formatDateTime, timeAgo } from "../../lib/format.js";
+import { CONNECTIVITY_STATES } from "../../data/connectivity.js";
+import { deviceLabel, patientByDeviceId } from "../../data/devices.js";
+import { Button, Placeholder, SectionHeader, StatusDot } from "../../ui/kit.jsx";
+import { DeviceForm } from "./DeviceForm.jsx";
+import { DeviceDetail } from "./DeviceDetail.jsx";
+
+export function Devices({
+  devices,
+  visibleIds,
+  byDeviceId,
+  patients,
+  events,
+  token,
+  onLink,
+  onDeviceSaved,
+  connectivity,
+  selectedId,
+  onSelect,
+}) {
+  const api = useMemo(() => backendFor(token).devices, [token]);
+  const [editing, setEditing] = useState(null); // null | "new" | device
+  const [err, setErr] = useState("");
+
+  const owners = useMemo(() => patientByDeviceId(patients), [patients]);
+  const selected = devices.find((d) => String(d.id) === String(selectedId));
+
+  const rows = useMemo(() => {
+    return devices
+      .filter((d) => visibleIds.has(d.id))
+      .map((d) => {
+        const conn = connectivity[d.id];
+        const last = conn?.lastSeen ? timeAgo(conn.lastSeen) : "--";
+        return { id: d.id, device: d, label: deviceLabel(d), patient: owners[d.id]?.name || "--", last, conn };
+      });
+  }, [devices, visibleIds, connectivity, owners]);
+
+  // cria/edita no Traccar e, no mesmo fluxo, acerta o vínculo com o paciente
+  async function save(device, patientId) {
+    const saved = (device.id ? await api.update(device) : await api.create(device)) || device;
+    onDeviceSaved(saved);
+    const current = owners[saved.id]?.id ?? null;
+    if ((patientId ?? null) !== current) {
+      try {
+        await onLink(saved.id, patientId);
+      } catch (e) {
+        // o dispositivo já está no Traccar: o formulário passa a editá-lo e salvar de novo só refaz o vínculo
+        throw Object.assign(
+          new Error(
+            `Dispositivo salvo no Traccar (id ${saved.id}), mas o vínculo com o paciente falhou (${apiErrorMessage(
+              e,
+              "erro desconhecido"
+            )}). Salve de novo para tentar só o vínculo.`
+          ),
+          { savedDevice: saved }
+        );
+      }
+    }
+    setEditing(null);
+  }
+
+  async function toggleDisabled(d) {
+    const verb = d.disabled ? "Reativar" : "Desativar";
+    if (!window.confirm(`${verb} o dispositivo "${deviceLabel(d)}"?`)) return;
+    setErr("");
+    try {
+      onDeviceSaved((await api.update({ ...d, disabled: !d.disabled })) || { ...d, disabled: !d.disabled });
+    } catch (e) {
+      setErr(apiErrorMessage(e, "Erro ao atualizar dispositivo"));
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <SectionHeader title="Dispositivos" right={<Button onClick={() => setEditing("new")}>+ Novo</Button>} />
+
+      {editing ? (
+        <DeviceForm
+          key={editing === "new" ? "new" : editing.id}
+          device={editing === "new" ? null : editing}
+          devices={devices}
+          patients={patients}
+          ownerId={editing === "new" ? null : owners[editing.id]?.id ?? null}
+          onSave={save}
+          onCancel={() => setEditing(null)}
+        />
+      ) : null}
+
+      {err ? (
+        <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err}</div>
+      ) : null}
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-950/40 text-slate-300">
+              <tr>
+                <th className="px-3 py-2">TraccarID</th>
+                <th className="px-3 py-2">Label</th>
+                <th className="px-3 py-2">Paciente</th>
+                <th className="px-3 py-2">Último</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2">Ação</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr
+                  key={r.id}
+                  className={
+                    "border-t border-slate-800 " + (String(r.id) === String(selectedId) ? "bg-emerald-500/5" : "")
+                  }
+                >
+                  <td className="px-3 py-2">{r.id}</td>
+                  <td className="px-3 py-2 font-medium">{r.label}</td>
+                  <td className="px-3 py-2">{r.patient}</td>
+                  <td className="px-3 py-2">{r.last}</td>
+                  <td className="px-3 py-2">
+                    <span className="inline-flex items-center gap-2">
+                      <StatusDot tone={CONNECTIVITY_STATES[r.conn?.state || "offline"].tone} />
+                      {CONNECTIVITY_STATES[r.conn?.state || "offline"].label}
+                      {(r.conn?.state === "delayed" || r.conn?.state === "offline") && r.conn.lastSeen ? (
+                        <span className="text-xs text-slate-500">
+                          desde {formatDateTime(r.conn.since || r.conn.lastSeen)}
+                        </span>
+                      ) : null}
+                    </span>
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex gap-2">
+                      <Button onClick={() => onSelect(r.id)}>Detalhe</Button>
+                      <Button onClick={() => setEditing(r.device)}>Editar</Button>
+                      <Button onClick={() => toggleDisabled(r.device)}>
+                        {r.device.disabled ? "Reativar" : "Desativar"}
+                      </Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {selected ? (
+        <DeviceDetail
+          key={selected.id}
+          device={selected}
+          position={byDeviceId[selected.id]}
+          owner={owners[selected.id]}
+          events={events}
+          token={token}
+          onClose={() => onSelect(null)}
+        />
+      ) : selectedId ? (
+        <Placeholder title="Dispositivo não encontrado" hint={`Nenhum dispositivo com id ${selectedId}.`} />
+      ) : (
+        <Placeholder title="Detalhe do dispositivo" hint="Posição, eventos, testar comunicação" />
+      )}
+    </div>
+  );
+}
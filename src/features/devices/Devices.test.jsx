@@ -0,0 +1,44 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import { Devices } from "./Devices.jsx";
+import { jsonResponse, stubFetch } from "../../test/fetch.js";
+
+describe("Devices", () => {
+  it("vínculo que falha depois de criar: avisa e o novo salvar só atualiza e vincula", async () => {
+    const fetchMock = stubFetch({
+      "POST /api/traccar/devices": (init) => jsonResponse({ ...JSON.parse(init.body), id: 900 }),
+      "PUT /api/traccar/devices/900": (init) => jsonResponse(JSON.parse(init.body)),
+    });
+    const onLink = vi.fn().mockRejectedValueOnce(new Error("patients fora do ar")).mockResolvedValueOnce(undefined);
+    render(
+      <Devices
+        devices={[]}
+        visibleIds={new Set()}
+        byDeviceId={{}}
+        patients={[{ id: 1, name: "Ana", deviceIds: [] }]}
+        events={[]}
+        token="jwt-1"
+        onLink={onLink}
+        onDeviceSaved={() => {}}
+        connectivity={{}}
+        onSelect={() => {}}
+      />
+    );
+
+    fireEvent.click(screen.getByRole("button", { name: "+ Novo" }));
+    fireEvent.change(screen.getByPlaceholderText("Relógio João"), { target: { value: "Relógio Ana" } });
+    fireEvent.change(screen.getByPlaceholderText("15 dígitos"), { target: { value: "490154203237518" } });
+    fireEvent.change(screen.getByDisplayValue("(sem paciente)"), { target: { value: "1" } });
+    fireEvent.click(screen.getByRole("button", { name: "Salvar" }));
+
+    expect(await screen.findByText(/Dispositivo salvo no Traccar \(id 900\), mas o vínculo/)).toBeTruthy();
+
+    fireEvent.click(screen.getByRole("button", { name: "Salvar" }));
+    await vi.waitFor(() => expect(onLink).toHaveBeenCalledTimes(2));
+    expect(onLink).toHaveBeenLastCalledWith(900, 1);
+    expect(fetchMock.mock.calls.map(([url, init]) => `${init.method} ${new URL(url).pathname}`)).toEqual([
+      "POST /api/traccar/devices",
+      "PUT /api/traccar/devices/900",
+    ]);
+  });
+});
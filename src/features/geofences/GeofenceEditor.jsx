@@ -0,0 +1,237 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { isShapeComplete, parseWkt, toWkt } from "../../lib/geo.js";
+import { deviceLabel, patientByDeviceId } from "../../data/devices.js";
+import { createBaseMap, useLeafletCdn } from "../../map/leaflet.js";
+import { Button, FilterButton } from "../../ui/kit.jsx";
+
+export function GeofenceEditor({ fence, devices, byDeviceId, patients, api, onCancel, onSaved }) {
+  const { ready, err: mapErr } = useLeafletCdn();
+  const mapDivRef = useRef(null);
+  const mapRef = useRef(null);
+  const layerRef = useRef(null);
+
+  const initial = useMemo(() => parseWkt(fence?.area), [fence]);
+  const owners = useMemo(() => patientByDeviceId(patients), [patients]);
+
+  const [name, setName] = useState(fence?.name || "Casa");
+  const [deviceId, setDeviceId] = useState(fence?.attributes?.deviceId || devices[0]?.id || "");
+  const [description, setDescription] = useState(fence?.description || owners[deviceId]?.address || "");
+  const [type, setType] = useState(initial?.type || "circle");
+  const [center, setCenter] = useState(initial?.type === "circle" ? initial.center : null);
+  const [radius, setRadius] = useState(initial?.type === "circle" ? initial.radius : 100);
+  const [points, setPoints] = useState(initial?.type === "polygon" ? initial.points : []);
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState("");
+
+  const shape = type === "circle" ? { type, center, radius } : { type, points };
+
+  // clique no mapa: centro do círculo ou novo vértice do polígono
+  const typeRef = useRef(type);
+  useEffect(() => {
+    typeRef.current = type;
+  }, [type]);
+
+  useEffect(() => {
+    if (!ready || !mapDivRef.current || !window.L) return;
+    if (mapRef.current) return;
+
+    const p = byDeviceId[deviceId];
+    const start =
+      initial?.type === "circle"
+        ? initial.center
+        : initial?.type === "polygon"
+        ? initial.points[0]
+        : p
+        ? [p.latitude, p.longitude]
+        : [-23.55052, -46.633308];
+
+    const map = createBaseMap(mapDivRef.current, start, 16);
+    map.on("click", (e) => {
+      const pt = [e.latlng.lat, e.latlng.lng];
+      if (typeRef.current === "circle") setCenter(pt);
+      else setPoints((prev) => [...prev, pt]);
+    });
+    mapRef.current = map;
+
+    return () => {
+      try {
+        map.remove();
+      } catch {
+        // ignore
+      }
+      mapRef.current = null;
+      layerRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ready]);
+
+  // redesenha a forma
+  useEffect(() => {
+    if (!ready || !mapRef.current || !window.L) return;
+    const L = window.L;
+
+    if (layerRef.current) {
+      try {
+        layerRef.current.remove();
+      } catch {
+        // ignore
+      }
+      layerRef.current = null;
+    }
+
+    const style = { color: "#34d399", weight: 2, fillOpacity: 0.15 };
+    if (type === "circle" && center) {
+      layerRef.current = L.circle(center, { ...style, radius }).addTo(mapRef.current);
+    } else if (type === "polygon" && points.length >= 2) {
+      layerRef.current = L.polygon(points, style).addTo(mapRef.current);
+    } else if (type === "polygon" && points.length === 1) {
+      layerRef.current = L.circleMarker(points[0], { ...style, radius: 4 }).addTo(mapRef.current);
+    }
+  }, [ready, type, center, radius, points]);
+
+  async function save() {
+    setErr("");
+    if (!isShapeComplete(shape)) {
+      setErr(type === "circle" ? "Clique no mapa para marcar o centro." : "O polígono precisa de ao menos 3 pontos.");
+      return;
+    }
+
+    const devId = Number(deviceId) || null;
+    const prevDevId = fence?.attributes?.deviceId || null;
+    const payload = {
+      ...(fence || {}),
+      name: name.trim() || "Casa",
+      description: description.trim(),
+      area: toWkt(shape),
+      attributes: { ...(fence?.attributes || {}), deviceId: devId },
+    };
+
+    setSaving(true);
+    try {
+      const saved = fence ? await api.update(payload) : await api.create(payload);
+      const geoId = saved?.id ?? fence?.id;
+
+      if (geoId != null && devId !== prevDevId) {
+        if (prevDevId) await api.unlink(prevDevId, geoId).catch(() => null);
+        if (devId) await api.link(devId, geoId);
+      }
+
+      await onSaved();
+    } catch (e) {
+      setErr(e?.message || "Erro ao salvar cerca");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="text-lg font-semibold">{fence ? `Editar cerca #${fence.id}` : "Nova cerca"}</div>
+      <div className="mt-1 text-sm text-slate-400">
+        {type === "circle"
+          ? "Clique no mapa para posicionar o centro e ajuste o raio."
+          : "Clique no mapa para adicionar os vértices do polígono."}
+      </div>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-4">
+        <div>
+          <label className="text-xs text-slate-400">Nome</label>
+          <input
+            className="mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+          />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Endereço</label>
+          <input
+            className="mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="Rua X, 123"
+          />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Paciente (dispositivo)</label>
+          <select
+            className="mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+            value={deviceId}
+            onChange={(e) => setDeviceId(Number(e.target.value) || "")}
+          >
+            <option value="">(sem vínculo)</option>
+            {devices.map((d) => (
+              <option key={d.id} value={d.id}>
+                {owners[d.id] ? `${owners[d.id].name} — ${deviceLabel(d)}` : deviceLabel(d)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Tipo</label>
+          <div className="mt-1 flex gap-2">
+            <FilterButton active={type === "circle"} onClick={() => setType("circle")}>
+              Círculo
+            </FilterButton>
+            <FilterButton active={type === "polygon"} onClick={() => setType("polygon")}>
+              Polígono
+            </FilterButton>
+          </div>
+        </div>
+      </div>
+
+      <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+        {type === "circle" ? (
+          <label className="flex items-center gap-3 text-slate-300">
+            Raio
+            <input
+              type="range"
+              min={20}
+              max={1000}
+              step={10}
+              value={radius}
+              onChange={(e) => setRadius(Number(e.target.value))}
+            />
+            <span className="w-16 text-slate-400">{radius} m</span>
+          </label>
+        ) : (
+          <>
+            <span className="text-slate-400">{points.length} ponto(s)</span>
+            <Button onClick={() => setPoints((prev) => prev.slice(0, -1))} disabled={!points.length}>
+              Desfazer ponto
+            </Button>
+            <Button onClick={() => setPoints([])} disabled={!points.length}>
+              Limpar
+            </Button>
+          </>
+        )}
+      </div>
+
+      {mapErr ? (
+        <div className="mt-3 rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{mapErr}</div>
+      ) : null}
+
+      <div className="mt-3 h-[420px] overflow-hidden rounded-2xl border border-slate-800">
+        <div ref={mapDivRef} style={{ height: "420px", width: "100%" }} />
+      </div>
+
+      <div className="mt-3 text-xs text-slate-500">
+        WKT: <span className="text-slate-400">{isShapeComplete(shape) ? toWkt(shape) : "--"}</span>
+      </div>
+
+      {err ? (
+        <div className="mt-3 rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err}</div>
+      ) : null}
+
+      <div className="mt-3 flex gap-2">
+        <Button
+          onClick={save}
+          disabled={saving}
+          className="border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20 disabled:opacity-60"
+        >
+          {saving ? "Salvando..." : "Salvar no Traccar"}
+        </Button>
+        <Button onClick={onCancel}>Cancelar</Button>
+      </div>
+    </div>
+  );
+}
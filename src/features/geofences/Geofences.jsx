@@ -0,0 +1,107 @@
+import { useMemo, useState } from "react";
+import { describeShape, parseWkt } from "../../lib/geo.js";
+import { deviceLabel, patientByDeviceId } from "../../data/devices.js";
+import { Button, SectionHeader } from "../../ui/kit.jsx";
+import { GeofenceEditor } from "./GeofenceEditor.jsx";
+
+export function Geofences({ devices, byDeviceId, patients, geofences, editingId, onEdit }) {
+  const { fences, loading, error, api, reload: load } = geofences;
+  const [err, setErr] = useState("");
+  // cerca em edição vem da URL (/geofences/:id ou /geofences/new)
+  const editing = editingId === "new" ? "new" : fences.find((g) => String(g.id) === String(editingId)) || null;
+  const setEditing = (g) => onEdit(g === "new" ? "new" : g?.id);
+
+  async function remove(g) {
+    if (!window.confirm(`Excluir a cerca "${g.name}"?`)) return;
+    setErr("");
+    try {
+      await api.remove(g.id);
+      if (editing?.id === g.id) setEditing(null);
+      await load();
+    } catch (e) {
+      setErr(e?.message || "Erro ao excluir cerca");
+    }
+  }
+
+  const rows = useMemo(() => {
+    const byId = {};
+    for (const d of devices) byId[d.id] = d;
+    const owners = patientByDeviceId(patients);
+    return fences.map((g) => {
+      const devId = g.attributes?.deviceId;
+      const d = byId[devId];
+      return {
+        geo: g,
+        patient: owners[devId]?.name || (d ? deviceLabel(d) : "--"),
+        address: g.description || owners[devId]?.address || "--",
+        type: describeShape(parseWkt(g.area)),
+        geoId: g.id,
+      };
+    });
+  }, [fences, devices, patients]);
+
+  return (
+    <div className="space-y-4">
+      <SectionHeader title="Cercas (Residência)" right={<Button onClick={() => setEditing("new")}>+ Nova</Button>} />
+
+      {err || error ? (
+        <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err || error}</div>
+      ) : null}
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-950/40 text-slate-300">
+              <tr>
+                <th className="px-3 py-2">Paciente</th>
+                <th className="px-3 py-2">Endereço</th>
+                <th className="px-3 py-2">Tipo</th>
+                <th className="px-3 py-2">Traccar GeoID</th>
+                <th className="px-3 py-2">Ação</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.geoId} className="border-t border-slate-800">
+                  <td className="px-3 py-2 font-medium">{r.patient}</td>
+                  <td className="px-3 py-2">{r.address}</td>
+                  <td className="px-3 py-2">{r.type}</td>
+                  <td className="px-3 py-2">{r.geoId}</td>
+                  <td className="px-3 py-2">
+                    <div className="flex gap-2">
+                      <Button onClick={() => setEditing(r.geo)}>Editar</Button>
+                      <Button onClick={() => remove(r.geo)}>Excluir</Button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+              {!rows.length ? (
+                <tr className="border-t border-slate-800">
+                  <td colSpan={5} className="px-3 py-6 text-center text-sm text-slate-500">
+                    {loading ? "Carregando cercas..." : "Nenhuma cerca cadastrada."}
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {editing ? (
+        <GeofenceEditor
+          key={editing === "new" ? "new" : editing.id}
+          fence={editing === "new" ? null : editing}
+          devices={devices}
+          byDeviceId={byDeviceId}
+          patients={patients}
+          api={api}
+          onCancel={() => setEditing(null)}
+          onSaved={async () => {
+            setEditing(null);
+            await load();
+          }}
+        />
+      ) : null}
+    </div>
+  );
+}
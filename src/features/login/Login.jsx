@@ -0,0 +1,169 @@
+import { useState } from "react";
+import { APP_NAME } from "../../config.js";
+import { apiErrorMessage, DEMO_TOKEN, isAuthError } from "../../api/client.js";
+import { BACKEND_ENV, detectBackend } from "../../api/backend.js";
+import { safeGetUser, safeSetJson, safeSetUser } from "../../lib/storage.js";
+import { DEMO_SCENARIO_KEY, DEMO_SCENARIOS, DEMO_SPEEDS, readDemoScenario } from "../../demo/scenarios.js";
+import { Button, FilterButton } from "../../ui/kit.jsx";
+
+export function Login({ onLogged, notice = "" }) {
+  const [email, setEmail] = useState(() => (notice && safeGetUser()) || "admin@soucorp.com");
+  const [password, setPassword] = useState("123456");
+  const [demoOptions, setDemoOptions] = useState(readDemoScenario);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function submit(e) {
+    e.preventDefault();
+    setErr("");
+    setLoading(true);
+
+    try {
+      // proxy (token bearer) e depois Traccar direto (cookie); o que aceitar vira o backend da sessão
+      const { token } = await detectBackend(email, password);
+      safeSetUser(email);
+      onLogged(token);
+    } catch (e2) {
+      setErr(isAuthError(e2) ? "E-mail ou senha inválidos." : apiErrorMessage(e2, "Erro no login"));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function enterDemo() {
+    // modo demo não usa API
+    safeSetJson(DEMO_SCENARIO_KEY, { ...demoOptions, seed: Math.floor(Number(demoOptions.seed)) || 1 });
+    safeSetUser("demo@soucorp.com");
+    onLogged(DEMO_TOKEN);
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-100">
+      <div className="mx-auto flex min-h-screen max-w-6xl items-center justify-center p-6">
+        <div className="grid w-full gap-6 md:grid-cols-2">
+          <div className="rounded-3xl border border-slate-800 bg-slate-900/40 p-6">
+            <div className="text-sm text-slate-300">SouCorp</div>
+            <div className="mt-1 text-3xl font-semibold">{APP_NAME}</div>
+            <div className="mt-2 text-sm text-slate-400">
+              Central de monitoramento HomeCare • localização (Traccar) • alertas • vitais
+            </div>
+
+            <div className="mt-6 rounded-2xl border border-slate-800 bg-slate-950/40 p-4 text-sm text-slate-300">
+              <div className="font-medium text-slate-200">Atalho rápido</div>
+              <div className="mt-2 text-sm text-slate-400">
+                Quer só testar a plataforma agora? Use o modo demo.
+              </div>
+              <div className="mt-3 flex flex-col gap-2">
+                <Button
+                  type="button"
+                  onClick={enterDemo}
+                  className="w-full border-sky-500/30 bg-sky-500/15 text-sky-100 hover:bg-sky-500/20"
+                >
+                  Entrar no modo DEMO
+                </Button>
+                <div className="text-xs text-slate-500">Demo gera pacientes/dispositivos e posições no mapa.</div>
+              </div>
+
+              <div className="mt-4 grid grid-cols-3 gap-2">
+                <div className="col-span-3">
+                  <label className="text-xs text-slate-400">Cenário</label>
+                  <select
+                    className="mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+                    value={demoOptions.id}
+                    onChange={(e) => setDemoOptions((prev) => ({ ...prev, id: e.target.value }))}
+                  >
+                    {DEMO_SCENARIOS.map((sc) => (
+                      <option key={sc.id} value={sc.id}>
+                        {sc.label}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="mt-1 text-xs text-slate-500">
+                    {DEMO_SCENARIOS.find((sc) => sc.id === demoOptions.id)?.description}
+                  </div>
+                </div>
+                <div>
+                  <label className="text-xs text-slate-400">Seed</label>
+                  <input
+                    className="mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+                    inputMode="numeric"
+                    value={demoOptions.seed}
+                    onChange={(e) => setDemoOptions((prev) => ({ ...prev, seed: e.target.value }))}
+                  />
+                </div>
+                <div className="col-span-2">
+                  <label className="text-xs text-slate-400">Velocidade</label>
+                  <div className="mt-1 flex gap-1">
+                    {DEMO_SPEEDS.map((sp) => (
+                      <FilterButton
+                        key={sp}
+                        type="button"
+                        active={demoOptions.speed === sp}
+                        onClick={() => setDemoOptions((prev) => ({ ...prev, speed: sp }))}
+                      >
+                        {sp}×
+                      </FilterButton>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div className="rounded-3xl border border-slate-800 bg-slate-900/40 p-6">
+            <div className="text-lg font-semibold">Login</div>
+            <div className="mt-1 text-sm text-slate-400">
+              Entre para acessar o painel real (API).
+              {BACKEND_ENV !== "auto" ? ` Backend fixo: ${BACKEND_ENV} (VITE_BACKEND).` : null}
+            </div>
+
+            {notice ? (
+              <div className="mt-3 rounded-xl border border-amber-500/30 bg-amber-500/10 p-3 text-xs text-amber-200">
+                {notice}
+              </div>
+            ) : null}
+
+            <form onSubmit={submit} className="mt-5 space-y-3">
+              <div>
+                <label className="text-xs text-slate-400">E-mail</label>
+                <input
+                  className="mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="seu@email.com"
+                />
+              </div>
+
+              <div>
+                <label className="text-xs text-slate-400">Senha</label>
+                <input
+                  type="password"
+                  className="mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="••••••••"
+                />
+              </div>
+
+              {err ? (
+                <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err}</div>
+              ) : null}
+
+              <Button
+                type="submit"
+                disabled={loading}
+                className="w-full border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20 disabled:opacity-60"
+              >
+                {loading ? "Entrando..." : "Entrar"}
+              </Button>
+
+              <div className="text-xs text-slate-500">
+                Dica: se seu login retornar outro campo, ajuste: <span className="text-slate-300">token/access_token/jwt</span>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
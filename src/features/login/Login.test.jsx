@@ -0,0 +1,60 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { Login } from "./Login.jsx";
+import { jsonResponse, stubFetch, textResponse } from "../../test/fetch.js";
+
+describe("Login", () => {
+  function fill(email, password) {
+    fireEvent.change(screen.getByPlaceholderText("seu@email.com"), { target: { value: email } });
+    fireEvent.change(screen.getByPlaceholderText("••••••••"), { target: { value: password } });
+    fireEvent.click(screen.getByRole("button", { name: "Entrar" }));
+  }
+
+  it("entra com o token do backend", async () => {
+    const fetchMock = stubFetch({ "POST /api/auth/login": () => jsonResponse({ access_token: "jwt-1" }) });
+    const onLogged = vi.fn();
+    render(<Login onLogged={onLogged} />);
+    fill("op@soucare.local", "segredo");
+
+    await waitFor(() => expect(onLogged).toHaveBeenCalledWith("jwt-1"));
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({ email: "op@soucare.local", password: "segredo" });
+    expect(localStorage.getItem("soucare_user")).toBe("op@soucare.local");
+  });
+
+  it("sem /api/auth/login, cai na sessão por cookie do Traccar (form-encoded)", async () => {
+    const fetchMock = stubFetch({ "POST /api/session": () => jsonResponse({ id: 1 }) });
+    const onLogged = vi.fn();
+    render(<Login onLogged={onLogged} />);
+    fill("op@soucare.local", "a&b");
+
+    await waitFor(() => expect(onLogged).toHaveBeenCalledWith("session"));
+    const [url, init] = fetchMock.mock.calls[1];
+    expect(url).toBe("https://api.test/api/session");
+    expect(init.headers["Content-Type"]).toBe("application/x-www-form-urlencoded");
+    expect(init.body).toBe("email=op%40soucare.local&password=a%26b");
+  });
+
+  it("mostra credenciais inválidas quando as duas tentativas dão 401", async () => {
+    stubFetch({
+      "POST /api/auth/login": () => textResponse("Unauthorized", 401),
+      "POST /api/session": () => textResponse("Unauthorized", 401),
+    });
+    const onLogged = vi.fn();
+    render(<Login onLogged={onLogged} />);
+    fill("op@soucare.local", "errada");
+
+    expect(await screen.findByText("E-mail ou senha inválidos.")).toBeTruthy();
+    expect(onLogged).not.toHaveBeenCalled();
+  });
+
+  it("modo DEMO entra sem API e guarda o cenário", () => {
+    const fetchMock = stubFetch({});
+    const onLogged = vi.fn();
+    render(<Login onLogged={onLogged} />);
+    fireEvent.click(screen.getByRole("button", { name: /Entrar no modo DEMO/ }));
+
+    expect(onLogged).toHaveBeenCalledWith("demo");
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(JSON.parse(localStorage.getItem("soucare_demo_scenario"))).toMatchObject({ seed: 1 });
+  });
+});
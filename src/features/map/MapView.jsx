@@ -0,0 +1,654 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { backendFor } from "../../api/backend.js";
+import { escapeHtml, formatDateTime, formatDuration } from "../../lib/format.js";
+import { describeShape, formatDistance, homeDistance, parseWkt, shapeCenter } from "../../lib/geo.js";
+import { mergeBy } from "../../lib/collections.js";
+import {
+  colorSegments,
+  computeTripsAndStops,
+  interpolateRoute,
+  lastHoursRange,
+  PLAYBACK_SPEEDS,
+  PLAYBACK_TICK_MS,
+  routeTime,
+} from "../../data/route.js";
+import { createBaseMap, useLeafletCdn, useMarkerClusterCdn } from "../../map/leaflet.js";
+import {
+  clusterIcon,
+  fitRows,
+  isMoving,
+  MAP_LAYERS,
+  markerIcon,
+  markerPopup,
+  STATUS_COLORS,
+} from "../../map/markers.js";
+import { Button, FilterButton, SectionHeader, StatusDot } from "../../ui/kit.jsx";
+import { RangePicker } from "../../ui/RangePicker.jsx";
+import { RouteLegend } from "../../ui/RouteLegend.jsx";
+
+// cercas no mapa: só as do paciente selecionado, todas ou nenhuma
+const FENCE_MODES = [
+  { id: "selected", label: "Do paciente" },
+  { id: "all", label: "Todas" },
+  { id: "off", label: "Ocultar" },
+];
+
+export function MapView({ rows, token, geofences, deviceId, onSelectDevice }) {
+  const { ready, err } = useLeafletCdn();
+  const mapDivRef = useRef(null);
+  const mapRef = useRef(null);
+  const markersRef = useRef(new Map()); // deviceId -> { marker, accuracy, status, iconKey }
+  const groupsRef = useRef(null); // status -> camada (cluster quando o plugin carregou)
+  const accuracyRef = useRef(null);
+  const fittedKeysRef = useRef("");
+  const routeRef = useRef(null);
+  const fittedRouteRef = useRef(null);
+  const clustered = useMarkerClusterCdn(ready);
+  const [hiddenLayers, setHiddenLayers] = useState([]);
+  const [showAccuracy, setShowAccuracy] = useState(false);
+  const [keepView, setKeepView] = useState(false);
+  const [fenceMode, setFenceMode] = useState("selected"); // "selected" | "all" | "off"
+  const [deviceFences, setDeviceFences] = useState({ deviceId: null, list: [] });
+  const fencesRef = useRef(null);
+
+  // device da URL (?device=) ou o primeiro da lista
+  const selectedDeviceId = deviceId || rows.find((r) => r.deviceId)?.deviceId || null;
+  const selectedRow = rows.find((r) => r.deviceIds.includes(selectedDeviceId));
+
+  // cercas do paciente selecionado: as vinculadas no Traccar (permissão) + as marcadas com attributes.deviceId
+  useEffect(() => {
+    if (!selectedDeviceId) return;
+    let cancelled = false;
+    geofences.api
+      .listForDevice(selectedDeviceId)
+      .then((list) => {
+        if (!cancelled) setDeviceFences({ deviceId: selectedDeviceId, list: Array.isArray(list) ? list : [] });
+      })
+      .catch(() => {
+        // fica só com attributes.deviceId
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [geofences.api, selectedDeviceId]);
+
+  const shownFences = useMemo(() => {
+    if (fenceMode === "off") return [];
+    if (fenceMode === "all") return geofences.fences;
+    const ids = selectedRow?.deviceIds || [];
+    const linked = deviceFences.deviceId === selectedDeviceId ? deviceFences.list : [];
+    return mergeBy(
+      geofences.fences.filter((g) => ids.includes(g.attributes?.deviceId)),
+      linked,
+      "id"
+    );
+  }, [fenceMode, geofences.fences, selectedRow, deviceFences, selectedDeviceId]);
+
+  // clique no marcador (handler do Leaflet) sempre chama a versão atual
+  const onSelectRef = useRef(onSelectDevice);
+  useEffect(() => {
+    onSelectRef.current = onSelectDevice;
+  });
+  const [routeErr, setRouteErr] = useState("");
+  const [range, setRange] = useState(() => lastHoursRange(24));
+  const [route, setRoute] = useState([]);
+  const [colorMode, setColorMode] = useState("speed");
+  const [playT, setPlayT] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(PLAYBACK_SPEEDS[1].value);
+  const playMarkerRef = useRef(null);
+
+  const { trips, stops } = useMemo(() => computeTripsAndStops(route), [route]);
+  const routeStart = route.length ? routeTime(route[0]) : 0;
+  const routeEnd = route.length ? routeTime(route[route.length - 1]) : 0;
+  const cursorT = playT ?? routeStart;
+  const atEnd = route.length > 0 && cursorT >= routeEnd;
+
+  const center = useMemo(() => {
+    const first = rows.find((r) => Number.isFinite(r.lat) && Number.isFinite(r.lng));
+    return first ? [first.lat, first.lng] : [-23.55052, -46.633308];
+  }, [rows]);
+
+  // cria o mapa uma vez
+  useEffect(() => {
+    if (!ready) return;
+    if (!mapDivRef.current) return;
+    if (!window.L) return;
+
+    // evita recriar
+    if (mapRef.current) return;
+
+    const map = createBaseMap(mapDivRef.current, center, 13);
+    mapRef.current = map;
+
+    // cleanup
+    return () => {
+      try {
+        map.remove();
+      } catch {
+        // ignore
+      }
+      mapRef.current = null;
+      markersRef.current = new Map();
+      groupsRef.current = null;
+      accuracyRef.current = null;
+      fencesRef.current = null;
+      fittedKeysRef.current = "";
+      routeRef.current = null;
+      playMarkerRef.current = null;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ready]);
+
+  // uma camada por status (agrupada quando o markercluster está disponível)
+  useEffect(() => {
+    if (!ready || !mapRef.current || !window.L) return;
+    const L = window.L;
+    const map = mapRef.current;
+
+    const groups = {};
+    for (const layer of MAP_LAYERS) {
+      groups[layer.id] = clustered
+        ? L.markerClusterGroup({
+            maxClusterRadius: 50,
+            showCoverageOnHover: false,
+            iconCreateFunction: (cluster) => clusterIcon(L, cluster.getChildCount(), STATUS_COLORS[layer.id]),
+          })
+        : L.layerGroup();
+    }
+    groupsRef.current = groups;
+    accuracyRef.current = L.layerGroup().addTo(map);
+    markersRef.current = new Map();
+
+    return () => {
+      for (const g of Object.values(groups)) g.remove();
+      accuracyRef.current?.remove();
+      groupsRef.current = null;
+      markersRef.current = new Map();
+    };
+  }, [ready, clustered]);
+
+  // liga/desliga camadas por status
+  useEffect(() => {
+    const groups = groupsRef.current;
+    if (!ready || !mapRef.current || !groups) return;
+    for (const layer of MAP_LAYERS) {
+      if (hiddenLayers.includes(layer.id)) groups[layer.id].remove();
+      else groups[layer.id].addTo(mapRef.current);
+    }
+  }, [ready, clustered, hiddenLayers]);
+
+  // marcadores atualizados no lugar (por deviceId): sem recriar, sem piscar
+  useEffect(() => {
+    const groups = groupsRef.current;
+    if (!ready || !mapRef.current || !window.L || !groups) return;
+    const L = window.L;
+
+    const valid = rows.filter((r) => r.deviceId && Number.isFinite(r.lat) && Number.isFinite(r.lng));
+    const seen = new Set();
+
+    for (const r of valid) {
+      seen.add(r.deviceId);
+      const color = STATUS_COLORS[r.status] || STATUS_COLORS.green;
+      const heading = isMoving(r) ? Math.round(r.course / 10) * 10 : null;
+      const iconKey = `${r.status}|${heading}`;
+      const home = homeDistance(
+        r.lat,
+        r.lng,
+        geofences.fences.filter((g) => r.deviceIds.includes(g.attributes?.deviceId))
+      );
+      const popup = markerPopup(r, color, home);
+      const accuracyOn = showAccuracy && !hiddenLayers.includes(r.status) && r.accuracy > 0;
+
+      let entry = markersRef.current.get(r.deviceId);
+      if (!entry) {
+        const marker = L.marker([r.lat, r.lng], { icon: markerIcon(L, color, heading) })
+          .bindPopup(popup)
+          .on("click", () => onSelectRef.current(r.deviceId));
+        entry = { marker, accuracy: null, status: r.status, iconKey };
+        groups[r.status].addLayer(marker);
+        markersRef.current.set(r.deviceId, entry);
+      } else {
+        entry.marker.setLatLng([r.lat, r.lng]);
+        entry.marker.setPopupContent(popup);
+        if (entry.iconKey !== iconKey) {
+          entry.marker.setIcon(markerIcon(L, color, heading));
+          entry.iconKey = iconKey;
+        }
+        if (entry.status !== r.status) {
+          groups[entry.status].removeLayer(entry.marker);
+          groups[r.status].addLayer(entry.marker);
+          entry.status = r.status;
+        }
+      }
+
+      // círculo de precisão do GPS (position.accuracy, em metros)
+      if (accuracyOn) {
+        if (!entry.accuracy) {
+          entry.accuracy = L.circle([r.lat, r.lng], {
+            radius: r.accuracy,
+            color,
+            weight: 1,
+            fillOpacity: 0.08,
+            interactive: false,
+          }).addTo(accuracyRef.current);
+        } else {
+          entry.accuracy.setLatLng([r.lat, r.lng]).setRadius(r.accuracy).setStyle({ color });
+        }
+      } else if (entry.accuracy) {
+        entry.accuracy.remove();
+        entry.accuracy = null;
+      }
+    }
+
+    for (const [id, entry] of markersRef.current) {
+      if (seen.has(id)) continue;
+      groups[entry.status].removeLayer(entry.marker);
+      entry.accuracy?.remove();
+      markersRef.current.delete(id);
+    }
+
+    // enquadra só quando o conjunto de pacientes muda (filtro, 1ª carga), nunca a cada posição
+    const keys = valid
+      .map((r) => r.deviceId)
+      .sort()
+      .join(",");
+    if (!keepView && keys && keys !== fittedKeysRef.current) {
+      fittedKeysRef.current = keys;
+      fitRows(mapRef.current, valid);
+    }
+  }, [ready, clustered, rows, hiddenLayers, showAccuracy, keepView, geofences.fences]);
+
+  // cercas (WKT `area` do Traccar) por cima dos marcadores, com a "casa" no centro
+  useEffect(() => {
+    if (!ready || !mapRef.current || !window.L) return;
+    const L = window.L;
+
+    fencesRef.current?.remove();
+    const group = L.layerGroup();
+    for (const g of shownFences) {
+      const shape = parseWkt(g.area);
+      if (!shape) continue;
+      const style = { color: "#38bdf8", weight: 2, dashArray: "6 4", fillOpacity: 0.06 };
+      const layer =
+        shape.type === "circle"
+          ? L.circle(shape.center, { ...style, radius: shape.radius })
+          : L.polygon(shape.points, style);
+      layer
+        .bindPopup(
+          `<div style="font-weight:700">${escapeHtml(g.name || "Cerca")}</div>
+           <div style="font-size:12px;opacity:.8">${escapeHtml(g.description || describeShape(shape))}</div>`
+        )
+        .addTo(group);
+      L.marker(shapeCenter(shape), {
+        icon: L.divIcon({
+          className: "",
+          iconSize: [18, 18],
+          html: '<div style="font-size:16px;line-height:18px">🏠</div>',
+        }),
+        interactive: false,
+      }).addTo(group);
+    }
+    group.addTo(mapRef.current);
+    fencesRef.current = group;
+  }, [ready, shownFences]);
+
+  function fitAll() {
+    const valid = rows.filter((r) => Number.isFinite(r.lat) && Number.isFinite(r.lng));
+    if (mapRef.current) fitRows(mapRef.current, valid);
+  }
+
+  function toggleLayer(id) {
+    setHiddenLayers((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }
+
+  const layerCounts = useMemo(() => {
+    const out = {};
+    for (const r of rows)
+      if (Number.isFinite(r.lat) && Number.isFinite(r.lng)) out[r.status] = (out[r.status] || 0) + 1;
+    return out;
+  }, [rows]);
+
+  // rota do período escolhido (padrão: últimas 24h) quando device/período mudam
+  useEffect(() => {
+    let cancelled = false;
+
+    async function loadRoute() {
+      setRouteErr("");
+      if (!selectedDeviceId) return;
+
+      try {
+        const data = await backendFor(token).route(selectedDeviceId, range.from, range.to);
+        if (cancelled) return;
+        setRoute(
+          (Array.isArray(data) ? data : []).filter(
+            (p) => Number.isFinite(p.latitude) && Number.isFinite(p.longitude) && Number.isFinite(routeTime(p))
+          )
+        );
+        setPlayT(null);
+        setPlaying(false);
+      } catch {
+        if (cancelled) return;
+        setRoute([]);
+        setRouteErr("Rota indisponível para o período (ok no MVP). Se quiser, crie o endpoint no backend.");
+      }
+    }
+
+    loadRoute();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedDeviceId, range, token]);
+
+  // desenha a rota (segmentos coloridos) + paradas
+  useEffect(() => {
+    if (!ready || !mapRef.current || !window.L) return;
+    const L = window.L;
+
+    if (routeRef.current) {
+      try {
+        routeRef.current.remove();
+      } catch {
+        // ignore
+      }
+      routeRef.current = null;
+    }
+    if (route.length < 2) return;
+
+    const group = L.layerGroup();
+    for (const seg of colorSegments(route, colorMode)) {
+      L.polyline(seg.latlngs, { color: seg.color, weight: 4, opacity: 0.85 }).addTo(group);
+    }
+    stops.forEach((st, idx) => {
+      L.circleMarker([st.lat, st.lng], { radius: 6, color: "#e2e8f0", fillColor: "#0f172a", fillOpacity: 1, weight: 2 })
+        .bindPopup(
+          `<div style="min-width:160px">
+             <div style="font-weight:700">Parada ${idx + 1}</div>
+             <div style="font-size:12px;opacity:.8">${escapeHtml(
+               formatDateTime(new Date(st.start).toISOString())
+             )} • ${escapeHtml(formatDuration(st.end - st.start))}</div>
+             <div style="font-size:12px;opacity:.8">${escapeHtml(st.address || "")}</div>
+           </div>`
+        )
+        .addTo(group);
+    });
+    group.addTo(mapRef.current);
+    routeRef.current = group;
+
+    // como os marcadores: enquadra só rota nova, e nunca com a visão fixada
+    if (keepView || fittedRouteRef.current === route) return;
+    fittedRouteRef.current = route;
+    try {
+      mapRef.current.fitBounds(L.latLngBounds(route.map((p) => [p.latitude, p.longitude])).pad(0.2));
+    } catch {
+      // ignore
+    }
+  }, [ready, route, colorMode, stops, keepView]);
+
+  // marcador do replay
+  useEffect(() => {
+    if (!ready || !mapRef.current || !window.L) return;
+    const L = window.L;
+
+    if (!route.length || playT == null) {
+      if (playMarkerRef.current) {
+        playMarkerRef.current.remove();
+        playMarkerRef.current = null;
+      }
+      return;
+    }
+
+    const pos = interpolateRoute(route, playT);
+    if (!playMarkerRef.current) {
+      playMarkerRef.current = L.circleMarker(pos, {
+        radius: 9,
+        color: "#f8fafc",
+        fillColor: "#60a5fa",
+        fillOpacity: 1,
+        weight: 3,
+      }).addTo(mapRef.current);
+    } else {
+      playMarkerRef.current.setLatLng(pos);
+    }
+  }, [ready, route, playT]);
+
+  // relógio do replay (tempo da rota avança `speed` x mais rápido)
+  useEffect(() => {
+    if (!playing || atEnd) return;
+    const t = setInterval(() => {
+      setPlayT((prev) => Math.min(routeEnd, (prev ?? routeStart) + PLAYBACK_TICK_MS * speed));
+    }, PLAYBACK_TICK_MS);
+    return () => clearInterval(t);
+  }, [playing, atEnd, speed, routeStart, routeEnd]);
+
+  function togglePlay() {
+    if (playing && !atEnd) {
+      setPlaying(false);
+      return;
+    }
+    if (atEnd || playT == null) setPlayT(routeStart);
+    setPlaying(true);
+  }
+
+  // endereços das paradas: o que vier na posição; senão geocode do Traccar (sob demanda)
+  const [stopAddresses, setStopAddresses] = useState({});
+  async function lookupAddress(st) {
+    try {
+      const addr = await backendFor(token).address(st.lat, st.lng);
+      setStopAddresses((prev) => ({ ...prev, [st.start]: addr || "Endereço não encontrado" }));
+    } catch {
+      setStopAddresses((prev) => ({ ...prev, [st.start]: "Geocode indisponível" }));
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <SectionHeader
+        title="Mapa (Monitoramento)"
+        right={
+          <div className="flex items-center gap-2">
+            <select
+              className="rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+              value={selectedDeviceId || ""}
+              onChange={(e) => onSelectDevice(Number(e.target.value) || null)}
+            >
+              {rows
+                .filter((r) => r.deviceId)
+                .map((r) => (
+                  <option key={r.key} value={r.deviceId}>
+                    {r.patient}
+                  </option>
+                ))}
+            </select>
+          </div>
+        }
+      />
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        {!ready ? (
+          <div className="rounded-2xl border border-slate-800 bg-slate-950/40 p-4 text-sm text-slate-300">
+            Carregando mapa...
+          </div>
+        ) : null}
+
+        {err ? (
+          <div className="mt-3 rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err}</div>
+        ) : null}
+
+        <div className="mb-3 flex flex-wrap items-center gap-2 text-xs text-slate-400">
+          <span>Camadas:</span>
+          {MAP_LAYERS.map((layer) => (
+            <FilterButton
+              key={layer.id}
+              active={!hiddenLayers.includes(layer.id)}
+              onClick={() => toggleLayer(layer.id)}
+            >
+              <span className="inline-flex items-center gap-2">
+                <StatusDot tone={layer.id} /> {layer.label} ({layerCounts[layer.id] || 0})
+              </span>
+            </FilterButton>
+          ))}
+          <span className="mx-1 h-4 w-px bg-slate-800" />
+          <FilterButton active={showAccuracy} onClick={() => setShowAccuracy((v) => !v)}>
+            Precisão GPS
+          </FilterButton>
+          <span className="mx-1 h-4 w-px bg-slate-800" />
+          <span>Cercas:</span>
+          {FENCE_MODES.map((m) => (
+            <FilterButton key={m.id} active={fenceMode === m.id} onClick={() => setFenceMode(m.id)}>
+              {m.label}
+            </FilterButton>
+          ))}
+          <span className="mx-1 h-4 w-px bg-slate-800" />
+          <FilterButton active={keepView} onClick={() => setKeepView((v) => !v)}>
+            Manter visão
+          </FilterButton>
+          <Button onClick={fitAll}>Enquadrar todos</Button>
+        </div>
+
+        <div className="h-[520px] overflow-hidden rounded-2xl border border-slate-800">
+          <div ref={mapDivRef} style={{ height: "520px", width: "100%" }} />
+        </div>
+
+        {routeErr ? (
+          <div className="mt-3 rounded-xl border border-slate-800 bg-slate-950/30 p-3 text-xs text-slate-400">
+            {routeErr}
+          </div>
+        ) : null}
+      </div>
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
+          <div>
+            <div className="text-sm text-slate-300">Histórico</div>
+            <div className="text-lg font-semibold">Replay da rota</div>
+          </div>
+          <RangePicker range={range} onChange={setRange} />
+        </div>
+
+        <div className="mt-4 flex flex-col gap-3 md:flex-row md:items-center">
+          <Button onClick={togglePlay} disabled={route.length < 2}>
+            {playing && !atEnd ? "❚❚ Pausar" : "▶ Reproduzir"}
+          </Button>
+          <select
+            className="rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+            value={speed}
+            onChange={(e) => setSpeed(Number(e.target.value))}
+          >
+            {PLAYBACK_SPEEDS.map((sp) => (
+              <option key={sp.value} value={sp.value}>
+                {sp.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="range"
+            className="flex-1"
+            min={routeStart}
+            max={routeEnd || 1}
+            step={1000}
+            value={cursorT}
+            disabled={route.length < 2}
+            onChange={(e) => setPlayT(Number(e.target.value))}
+          />
+          <div className="w-32 text-right text-sm text-slate-300">
+            {route.length ? formatDateTime(new Date(cursorT).toISOString()) : "--"}
+          </div>
+        </div>
+
+        <div className="mt-3 flex flex-wrap items-center gap-3 text-xs text-slate-400">
+          <span>Cor por:</span>
+          <FilterButton active={colorMode === "speed"} onClick={() => setColorMode("speed")}>
+            Velocidade
+          </FilterButton>
+          <FilterButton active={colorMode === "time"} onClick={() => setColorMode("time")}>
+            Hora do dia
+          </FilterButton>
+          <RouteLegend mode={colorMode} />
+        </div>
+
+        <div className="mt-4 grid gap-4 md:grid-cols-2">
+          <div className="overflow-x-auto rounded-xl border border-slate-800">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-slate-950/40 text-slate-300">
+                <tr>
+                  <th className="px-3 py-2">Parada</th>
+                  <th className="px-3 py-2">Início</th>
+                  <th className="px-3 py-2">Duração</th>
+                  <th className="px-3 py-2">Endereço</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stops.map((st, idx) => (
+                  <tr
+                    key={st.start}
+                    className="cursor-pointer border-t border-slate-800 hover:bg-slate-800/40"
+                    onClick={() => setPlayT(st.start)}
+                  >
+                    <td className="px-3 py-2">{idx + 1}</td>
+                    <td className="px-3 py-2">{formatDateTime(new Date(st.start).toISOString())}</td>
+                    <td className="px-3 py-2">{formatDuration(st.end - st.start)}</td>
+                    <td className="px-3 py-2">
+                      {st.address || stopAddresses[st.start] || (
+                        <Button
+                          className="px-2 py-1 text-xs"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            lookupAddress(st);
+                          }}
+                        >
+                          {st.lat.toFixed(5)}, {st.lng.toFixed(5)} • buscar
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+                {!stops.length ? (
+                  <tr className="border-t border-slate-800">
+                    <td colSpan={4} className="px-3 py-6 text-center text-sm text-slate-500">
+                      Nenhuma parada no período.
+                    </td>
+                  </tr>
+                ) : null}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="overflow-x-auto rounded-xl border border-slate-800">
+            <table className="w-full text-left text-sm">
+              <thead className="bg-slate-950/40 text-slate-300">
+                <tr>
+                  <th className="px-3 py-2">Deslocamento</th>
+                  <th className="px-3 py-2">Início</th>
+                  <th className="px-3 py-2">Duração</th>
+                  <th className="px-3 py-2">Distância</th>
+                </tr>
+              </thead>
+              <tbody>
+                {trips.map((tr, idx) => (
+                  <tr
+                    key={tr.start}
+                    className="cursor-pointer border-t border-slate-800 hover:bg-slate-800/40"
+                    onClick={() => setPlayT(tr.start)}
+                  >
+                    <td className="px-3 py-2">{idx + 1}</td>
+                    <td className="px-3 py-2">{formatDateTime(new Date(tr.start).toISOString())}</td>
+                    <td className="px-3 py-2">{formatDuration(tr.end - tr.start)}</td>
+                    <td className="px-3 py-2">{formatDistance(tr.distance)}</td>
+                  </tr>
+                ))}
+                {!trips.length ? (
+                  <tr className="border-t border-slate-800">
+                    <td colSpan={4} className="px-3 py-6 text-center text-sm text-slate-500">
+                      Nenhum deslocamento no período.
+                    </td>
+                  </tr>
+                ) : null}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { MapView } from "./MapView.jsx";
+
+// Leaflet falso: toda chamada vira uma camada encadeável (addTo/bindPopup/on... devolvem ela mesma)
+function stubLeaflet() {
+  const created = [];
+  const layer = (kind, args) => {
+    const target = { kind, args };
+    const proxy = new Proxy(target, {
+      get(t, key) {
+        if (key in t || typeof key === "symbol" || key === "then") return t[key];
+        t[key] = vi.fn(() => proxy);
+        return t[key];
+      },
+    });
+    created.push(proxy);
+    return proxy;
+  };
+  const factory = (kind) => vi.fn((...args) => layer(kind, args));
+  const L = {
+    created,
+    map: factory("map"),
+    tileLayer: factory("tileLayer"),
+    layerGroup: factory("layerGroup"),
+    marker: factory("marker"),
+    circle: factory("circle"),
+    circleMarker: factory("circleMarker"),
+    polygon: factory("polygon"),
+    polyline: factory("polyline"),
+    divIcon: factory("divIcon"),
+    latLngBounds: factory("latLngBounds"),
+    control: { layers: factory("control.layers") },
+  };
+  window.L = L;
+  return L;
+}
+
+function mapRow(overrides) {
+  return {
+    key: "p1",
+    patient: "João Pereira",
+    status: "green",
+    reasons: [],
+    lastSeen: "agora",
+    battery: "90%",
+    deviceId: 101,
+    deviceIds: [101],
+    lat: -23.54952,
+    lng: -46.634308,
+    ...overrides,
+  };
+}
+
+describe("MapView", () => {
+  const geofences = (fences = []) => ({ fences, api: { listForDevice: vi.fn(async () => []) } });
+
+  it("cria o mapa e um marcador por paciente com posição", async () => {
+    const L = stubLeaflet();
+    const rows = [
+      mapRow(),
+      mapRow({ key: "p2", patient: "<Maria>", status: "red", deviceId: 102, deviceIds: [102], lat: -23.5485 }),
+      mapRow({ key: "p3", patient: "Sem GPS", deviceId: 103, deviceIds: [103], lat: undefined, lng: undefined }),
+    ];
+    render(<MapView rows={rows} token="demo" geofences={geofences()} onSelectDevice={() => {}} />);
+
+    await waitFor(() => expect(L.map).toHaveBeenCalledTimes(1));
+    await waitFor(() => expect(L.marker).toHaveBeenCalledTimes(2));
+    expect(L.marker.mock.calls.map(([latlng]) => latlng)).toEqual([
+      [-23.54952, -46.634308],
+      [-23.5485, -46.634308],
+    ]);
+    // nome do paciente vai escapado no popup
+    const popups = L.created.filter((l) => l.kind === "marker").map((m) => m.bindPopup.mock.calls[0]?.[0] || "");
+    expect(popups.some((html) => html.includes("&lt;Maria&gt;"))).toBe(true);
+  });
+
+  it("clique no marcador seleciona o dispositivo", async () => {
+    const L = stubLeaflet();
+    const onSelectDevice = vi.fn();
+    render(<MapView rows={[mapRow()]} token="demo" geofences={geofences()} onSelectDevice={onSelectDevice} />);
+
+    await waitFor(() => expect(L.marker).toHaveBeenCalled());
+    const marker = L.created.find((l) => l.kind === "marker");
+    const [event, handler] = marker.on.mock.calls[0];
+    expect(event).toBe("click");
+    handler();
+    expect(onSelectDevice).toHaveBeenCalledWith(101);
+  });
+
+  it("desenha a cerca de casa do paciente selecionado", async () => {
+    const L = stubLeaflet();
+    const fence = { id: 55, name: "Casa", area: "CIRCLE (-23.549520 -46.634308, 150)", attributes: { deviceId: 101 } };
+    render(<MapView rows={[mapRow()]} token="demo" geofences={geofences([fence])} onSelectDevice={() => {}} />);
+
+    await waitFor(() => expect(L.circle).toHaveBeenCalled());
+    expect(L.circle.mock.calls[0][0]).toEqual([-23.54952, -46.634308]);
+    expect(L.circle.mock.calls[0][1]).toMatchObject({ radius: 150 });
+  });
+
+  it("com a visão fixada, trocar o período não reenquadra a rota", async () => {
+    const L = stubLeaflet();
+    render(<MapView rows={[mapRow()]} token="demo" geofences={geofences()} onSelectDevice={() => {}} />);
+
+    await waitFor(() => expect(L.polyline).toHaveBeenCalled());
+    const map = L.created.find((l) => l.kind === "map");
+    await waitFor(() => expect(map.fitBounds).toHaveBeenCalledTimes(1));
+
+    fireEvent.click(screen.getByRole("button", { name: "Manter visão" }));
+    const drawn = L.layerGroup.mock.calls.length;
+    fireEvent.click(screen.getByRole("button", { name: "7 dias" }));
+    await waitFor(() => expect(L.layerGroup.mock.calls.length).toBeGreaterThan(drawn));
+    expect(map.fitBounds).toHaveBeenCalledTimes(1);
+  });
+});
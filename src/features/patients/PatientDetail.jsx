@@ -0,0 +1,501 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { escapeHtml, formatDate, formatDateTime, timeAgo } from "../../lib/format.js";
+import { patientVitalsSeries } from "../../lib/vitals.js";
+import { ageFrom, isInRoutineWindow, PATIENT_TABS, riskLabel, WEEKDAYS } from "../../data/patients.js";
+import { cleanThresholds, DEFAULT_THRESHOLDS } from "../../data/thresholds.js";
+import { normalizeEvents } from "../../data/events.js";
+import { alertStepText } from "../../data/alerts.js";
+import { useLastRoute } from "../../data/route.js";
+import { deviceLabel } from "../../data/devices.js";
+import { createBaseMap, useLeafletCdn } from "../../map/leaflet.js";
+import { Button, FilterButton, InfoItem, SectionHeader, StatusDot } from "../../ui/kit.jsx";
+
+// ----------------------
+// DETALHE DO PACIENTE (abas + link compartilhável /patients/:id/:aba)
+// ----------------------
+export function PatientDetail({
+  patient,
+  row,
+  devices,
+  byDeviceId,
+  events,
+  history,
+  patients,
+  workflow,
+  token,
+  tab,
+  onTab,
+  onBack,
+  onSave,
+}) {
+  const [copied, setCopied] = useState(false);
+
+  if (!patient) {
+    return (
+      <div className="space-y-4">
+        <SectionHeader title="Paciente" right={<Button onClick={onBack}>‹ Voltar</Button>} />
+        <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-6 text-center text-sm text-slate-500">
+          Carregando paciente... (se não aparecer, o link pode estar desatualizado)
+        </div>
+      </div>
+    );
+  }
+
+  const myDevices = devices.filter((d) => (patient.deviceIds || []).includes(d.id));
+
+  async function copyLink() {
+    const url = window.location.href;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      window.prompt("Copie o link do paciente:", url);
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <SectionHeader
+        title={
+          <span className="inline-flex items-center gap-3">
+            <StatusDot tone={row?.status || "gray"} /> {patient.name}
+          </span>
+        }
+        right={
+          <>
+            <Button onClick={copyLink}>{copied ? "Link copiado!" : "Copiar link"}</Button>
+            <Button onClick={onBack}>‹ Voltar</Button>
+          </>
+        }
+      />
+
+      <div className="flex flex-wrap gap-2">
+        {PATIENT_TABS.map((t) => (
+          <FilterButton key={t.id} active={tab === t.id} onClick={() => onTab(t.id)}>
+            {t.label}
+          </FilterButton>
+        ))}
+      </div>
+
+      {tab === "summary" && <PatientSummary patient={patient} row={row} devices={myDevices} byDeviceId={byDeviceId} />}
+      {tab === "location" && <PatientLocation row={row} token={token} />}
+      {tab === "vitals" && (
+        <PatientVitals patient={patient} row={row} devices={devices} history={history} token={token} />
+      )}
+      {tab === "alerts" && (
+        <PatientAlerts patient={patient} events={events} devices={devices} patients={patients} workflow={workflow} />
+      )}
+      {tab === "routine" && <PatientRoutine patient={patient} onSave={onSave} />}
+    </div>
+  );
+}
+
+function PatientSummary({ patient, row, devices, byDeviceId }) {
+  const age = ageFrom(patient.birthDate);
+  const th = { ...DEFAULT_THRESHOLDS, ...cleanThresholds(patient.thresholds) };
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4 md:col-span-2">
+        <div className="text-lg font-semibold">Situação agora</div>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {(row?.reasons || []).map((r) => (
+            <span
+              key={r.code}
+              className="inline-flex items-center gap-2 rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-1 text-sm"
+            >
+              <StatusDot tone={r.sev} /> {r.label}
+            </span>
+          ))}
+          {!row?.reasons?.length ? (
+            <span className="inline-flex items-center gap-2 text-sm text-slate-300">
+              <StatusDot tone="green" /> Dentro dos limiares
+            </span>
+          ) : null}
+        </div>
+        <div className="mt-2 text-xs text-slate-500">
+          Limiares: FC {th.hrMin}–{th.hrMax} bpm • SpO₂ ≥ {th.spo2Min}% • bateria ≥ {th.batteryMin}% •{" "}
+          {th.noSignalMinutes > 0
+            ? `sem sinal após ${th.noSignalMinutes} min`
+            : "sinal conforme o heartbeat de cada dispositivo"}
+        </div>
+      </div>
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="text-lg font-semibold">Perfil</div>
+        <div className="mt-3 grid grid-cols-2 gap-3">
+          <InfoItem label="Nascimento">
+            {patient.birthDate ? `${formatDate(patient.birthDate)}${age != null ? ` (${age} anos)` : ""}` : ""}
+          </InfoItem>
+          <InfoItem label="Risco">{riskLabel(patient.risk)}</InfoItem>
+          <InfoItem label="Equipe">{patient.team}</InfoItem>
+          <InfoItem label="Endereço">{patient.address}</InfoItem>
+        </div>
+
+        <div className="mt-4 text-sm font-medium text-slate-200">Contatos de emergência</div>
+        {(patient.emergencyContacts || []).map((c, idx) => (
+          <div key={idx} className="mt-1 text-sm text-slate-300">
+            {c.name} {c.relation ? <span className="text-slate-500">({c.relation})</span> : null} — {c.phone || "--"}
+          </div>
+        ))}
+        {!(patient.emergencyContacts || []).length ? (
+          <div className="mt-1 text-xs text-slate-500">Nenhum contato cadastrado.</div>
+        ) : null}
+
+        <div className="mt-4 text-sm font-medium text-slate-200">Notas clínicas</div>
+        <div className="mt-1 whitespace-pre-wrap text-sm text-slate-300">{patient.notes || "--"}</div>
+      </div>
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="text-lg font-semibold">Dispositivos vinculados</div>
+        <div className="mt-3 overflow-x-auto rounded-xl border border-slate-800">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-950/40 text-slate-300">
+              <tr>
+                <th className="px-3 py-2">Dispositivo</th>
+                <th className="px-3 py-2">IMEI/ID</th>
+                <th className="px-3 py-2">Último</th>
+                <th className="px-3 py-2">Bateria</th>
+              </tr>
+            </thead>
+            <tbody>
+              {devices.map((d) => {
+                const p = byDeviceId[d.id];
+                return (
+                  <tr key={d.id} className="border-t border-slate-800">
+                    <td className="px-3 py-2 font-medium">{deviceLabel(d)}</td>
+                    <td className="px-3 py-2">{d.uniqueId || "--"}</td>
+                    <td className="px-3 py-2">{p?.deviceTime ? timeAgo(p.deviceTime) : "--"}</td>
+                    <td className="px-3 py-2">
+                      {p?.attributes?.batteryLevel != null ? `${p.attributes.batteryLevel}%` : "--"}
+                    </td>
+                  </tr>
+                );
+              })}
+              {!devices.length ? (
+                <tr className="border-t border-slate-800">
+                  <td colSpan={4} className="px-3 py-6 text-center text-sm text-slate-500">
+                    Nenhum dispositivo vinculado.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function PatientLocation({ row, token }) {
+  const { ready, err: mapErr } = useLeafletCdn();
+  const { route, err } = useLastRoute(token, row?.deviceId);
+  const mapDivRef = useRef(null);
+  const mapRef = useRef(null);
+  const layersRef = useRef([]);
+
+  useEffect(() => {
+    if (!ready || !mapDivRef.current || !window.L || mapRef.current) return;
+    const start = Number.isFinite(row?.lat) ? [row.lat, row.lng] : [-23.55052, -46.633308];
+    mapRef.current = createBaseMap(mapDivRef.current, start, 15);
+
+    return () => {
+      try {
+        mapRef.current.remove();
+      } catch {
+        // ignore
+      }
+      mapRef.current = null;
+      layersRef.current = [];
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [ready]);
+
+  useEffect(() => {
+    if (!ready || !mapRef.current || !window.L) return;
+    const L = window.L;
+
+    for (const l of layersRef.current) {
+      try {
+        l.remove();
+      } catch {
+        // ignore
+      }
+    }
+    layersRef.current = [];
+
+    const pts = route
+      .map((p) => [p.latitude, p.longitude])
+      .filter((a) => Number.isFinite(a[0]) && Number.isFinite(a[1]));
+    if (pts.length >= 2) {
+      layersRef.current.push(L.polyline(pts, { color: "#60a5fa", weight: 4, opacity: 0.8 }).addTo(mapRef.current));
+    }
+    if (Number.isFinite(row?.lat) && Number.isFinite(row?.lng)) {
+      layersRef.current.push(
+        L.circleMarker([row.lat, row.lng], { radius: 9, color: "#34d399", fillColor: "#34d399", fillOpacity: 0.7 })
+          .addTo(mapRef.current)
+          .bindPopup(`Último sinal: ${escapeHtml(row.lastSeen)}`)
+      );
+    }
+    // posição atual no mapa não deve mexer no zoom a cada atualização: só enquadra a rota
+    if (pts.length >= 2) {
+      try {
+        mapRef.current.fitBounds(L.latLngBounds(pts).pad(0.2));
+      } catch {
+        // ignore
+      }
+    }
+  }, [ready, route, row?.lat, row?.lng, row?.lastSeen]);
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="mb-3 flex items-center justify-between">
+        <div className="text-lg font-semibold">Localização</div>
+        <div className="text-sm text-slate-400">Último sinal: {row?.lastSeen || "--"}</div>
+      </div>
+      {mapErr ? (
+        <div className="mb-3 rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{mapErr}</div>
+      ) : null}
+      {!row?.deviceId ? <div className="mb-3 text-sm text-slate-500">Paciente sem dispositivo vinculado.</div> : null}
+      <div className="h-[360px] overflow-hidden rounded-2xl border border-slate-800">
+        <div ref={mapDivRef} style={{ height: "360px", width: "100%" }} />
+      </div>
+      {err ? <div className="mt-3 text-xs text-slate-400">{err}</div> : null}
+    </div>
+  );
+}
+
+const VITAL_SERIES = [
+  { key: "heartRate", label: "Frequência cardíaca", unit: "bpm", color: "#f87171" },
+  { key: "spo2", label: "SpO₂", unit: "%", color: "#60a5fa" },
+  { key: "temperature", label: "Temperatura", unit: "°C", color: "#fbbf24" },
+  { key: "steps", label: "Passos", unit: "", color: "#34d399" },
+];
+
+function PatientVitals({ patient, row, devices, history, token }) {
+  const { route, err } = useLastRoute(token, row?.deviceId);
+
+  const samples = useMemo(
+    () => patientVitalsSeries(patient.deviceIds, devices, history, route),
+    [patient.deviceIds, devices, history, route]
+  );
+
+  const series = useMemo(
+    () =>
+      VITAL_SERIES.map((v) => ({
+        ...v,
+        points: samples.filter((x) => x[v.key] != null).map((x) => ({ t: x.t, v: x[v.key] })),
+      })),
+    [samples]
+  );
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2">
+      {series.map((sr) => (
+        <div key={sr.key} className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+          <div className="text-sm text-slate-300">{sr.label} (24h)</div>
+          <div className="mt-1 text-2xl font-semibold">
+            {sr.points.length ? `${sr.points[sr.points.length - 1].v} ${sr.unit}`.trim() : "--"}
+          </div>
+          <div className="mt-3">
+            {sr.points.length >= 2 ? (
+              <LineChart points={sr.points} color={sr.color} />
+            ) : (
+              <div className="rounded-xl border border-slate-800 bg-slate-950/30 p-6 text-center text-xs text-slate-500">
+                Sem dados nas últimas 24h
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+      {err ? <div className="text-xs text-slate-400 md:col-span-2">{err}</div> : null}
+    </div>
+  );
+}
+
+/**
+ * Gráfico de linha em SVG puro (sem lib de charts, mesmo motivo do Leaflet via CDN).
+ */
+function LineChart({ points, color, height = 120 }) {
+  const width = 300;
+  const ts = points.map((p) => p.t);
+  const vs = points.map((p) => p.v);
+  const tMin = Math.min(...ts);
+  const tMax = Math.max(...ts);
+  const vMin = Math.min(...vs);
+  const vMax = Math.max(...vs);
+  const x = (t) => (tMax === tMin ? 0 : ((t - tMin) / (tMax - tMin)) * width);
+  const y = (v) => (vMax === vMin ? height / 2 : height - 8 - ((v - vMin) / (vMax - vMin)) * (height - 16));
+  const d = points.map((p, i) => `${i ? "L" : "M"}${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(" ");
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="h-[120px] w-full" preserveAspectRatio="none">
+        <path d={d} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="mt-1 flex justify-between text-[10px] text-slate-500">
+        <span>{formatDateTime(new Date(tMin).toISOString())}</span>
+        <span>
+          min {vMin} • máx {vMax}
+        </span>
+        <span>{formatDateTime(new Date(tMax).toISOString())}</span>
+      </div>
+    </div>
+  );
+}
+
+function PatientAlerts({ patient, events, devices, patients, workflow }) {
+  const deviceIds = patient.deviceIds;
+  const rows = useMemo(
+    () => normalizeEvents(events, devices, patients).filter((r) => (deviceIds || []).includes(r.deviceId)),
+    [events, devices, patients, deviceIds]
+  );
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="mb-3 text-lg font-semibold">Histórico de alertas (24h)</div>
+      <div className="overflow-x-auto rounded-xl border border-slate-800">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-slate-950/40 text-slate-300">
+            <tr>
+              <th className="px-3 py-2">Tipo</th>
+              <th className="px-3 py-2">Quando</th>
+              <th className="px-3 py-2">Sev</th>
+              <th className="px-3 py-2">Situação</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r) => (
+              <tr key={r.id} className="border-t border-slate-800">
+                <td className="px-3 py-2">{r.type}</td>
+                <td className="px-3 py-2">
+                  {formatDateTime(r.eventTime)}
+                  <span className="ml-2 text-xs text-slate-500">{timeAgo(r.eventTime)}</span>
+                </td>
+                <td className="px-3 py-2">
+                  <StatusDot tone={r.sev} />
+                </td>
+                <td className="px-3 py-2 text-xs text-slate-400">{alertStepText(workflow[r.id])}</td>
+              </tr>
+            ))}
+            {!rows.length ? (
+              <tr className="border-t border-slate-800">
+                <td colSpan={4} className="px-3 py-6 text-center text-sm text-slate-500">
+                  Nenhum alerta nas últimas 24h.
+                </td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function PatientRoutine({ patient, onSave }) {
+  const [draft, setDraft] = useState({ days: [1, 2, 3, 4, 5], from: "19:00", to: "08:00", label: "Noite em casa" });
+  const [err, setErr] = useState("");
+  const windows = patient.routine || [];
+  const now = windows.filter((w) => isInRoutineWindow(w));
+
+  async function save(next) {
+    setErr("");
+    try {
+      await onSave({ ...patient, routine: next });
+    } catch (e) {
+      setErr(e?.message || "Erro ao salvar rotina");
+    }
+  }
+
+  function toggleDay(d) {
+    setDraft((prev) => ({
+      ...prev,
+      days: prev.days.includes(d) ? prev.days.filter((x) => x !== d) : [...prev.days, d].sort(),
+    }));
+  }
+
+  const inputCls = "rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none";
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="text-lg font-semibold">Rotina — janelas em que deve estar em casa</div>
+      <div className="mt-1 text-sm text-slate-400">
+        {now.length
+          ? `Agora: deveria estar em casa (${now.map((w) => w.label).join(", ")})`
+          : "Agora: fora das janelas de casa"}
+      </div>
+
+      <div className="mt-3 overflow-x-auto rounded-xl border border-slate-800">
+        <table className="w-full text-left text-sm">
+          <thead className="bg-slate-950/40 text-slate-300">
+            <tr>
+              <th className="px-3 py-2">Janela</th>
+              <th className="px-3 py-2">Dias</th>
+              <th className="px-3 py-2">Horário</th>
+              <th className="px-3 py-2">Ação</th>
+            </tr>
+          </thead>
+          <tbody>
+            {windows.map((w, idx) => (
+              <tr key={idx} className="border-t border-slate-800">
+                <td className="px-3 py-2 font-medium">
+                  {w.label || "--"}
+                  {isInRoutineWindow(w) ? <span className="ml-2 text-xs text-emerald-300">agora</span> : null}
+                </td>
+                <td className="px-3 py-2">{(w.days || []).map((d) => WEEKDAYS[d]).join(", ")}</td>
+                <td className="px-3 py-2">
+                  {w.from}–{w.to}
+                </td>
+                <td className="px-3 py-2">
+                  <Button onClick={() => save(windows.filter((_, i) => i !== idx))}>Remover</Button>
+                </td>
+              </tr>
+            ))}
+            {!windows.length ? (
+              <tr className="border-t border-slate-800">
+                <td colSpan={4} className="px-3 py-6 text-center text-sm text-slate-500">
+                  Nenhuma janela de rotina cadastrada.
+                </td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 flex flex-col gap-2 md:flex-row md:items-center">
+        <input
+          className={inputCls}
+          value={draft.label}
+          onChange={(e) => setDraft((prev) => ({ ...prev, label: e.target.value }))}
+          placeholder="Descrição"
+        />
+        <div className="flex gap-1">
+          {WEEKDAYS.map((name, d) => (
+            <FilterButton key={d} active={draft.days.includes(d)} className="px-2" onClick={() => toggleDay(d)}>
+              {name}
+            </FilterButton>
+          ))}
+        </div>
+        <input
+          type="time"
+          className={inputCls}
+          value={draft.from}
+          onChange={(e) => setDraft((prev) => ({ ...prev, from: e.target.value }))}
+        />
+        <input
+          type="time"
+          className={inputCls}
+          value={draft.to}
+          onChange={(e) => setDraft((prev) => ({ ...prev, to: e.target.value }))}
+        />
+        <Button onClick={() => save([...windows, draft])} disabled={!draft.days.length}>
+          + Janela
+        </Button>
+      </div>
+
+      {err ? (
+        <div className="mt-3 rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err}</div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,227 @@
+import { useMemo, useState } from "react";
+import { RISK_LEVELS } from "../../data/patients.js";
+import { cleanThresholds, DEFAULT_THRESHOLDS, THRESHOLD_FIELDS } from "../../data/thresholds.js";
+import { deviceLabel, patientByDeviceId } from "../../data/devices.js";
+import { Button } from "../../ui/kit.jsx";
+
+export function PatientForm({ patient, patients, devices, onSave, onCancel }) {
+  const [form, setForm] = useState(() => ({
+    name: "",
+    birthDate: "",
+    address: "",
+    team: "",
+    risk: "low",
+    notes: "",
+    ...(patient || {}),
+    emergencyContacts: patient?.emergencyContacts || [],
+    deviceIds: patient?.deviceIds || [],
+    thresholds: patient?.thresholds || {},
+  }));
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState("");
+
+  const owners = useMemo(() => patientByDeviceId(patients), [patients]);
+
+  const set = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  function setContact(idx, field, value) {
+    setForm((prev) => ({
+      ...prev,
+      emergencyContacts: prev.emergencyContacts.map((c, i) => (i === idx ? { ...c, [field]: value } : c)),
+    }));
+  }
+
+  function toggleDevice(id) {
+    setForm((prev) => ({
+      ...prev,
+      deviceIds: prev.deviceIds.includes(id) ? prev.deviceIds.filter((x) => x !== id) : [...prev.deviceIds, id],
+    }));
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    setErr("");
+    if (!form.name.trim()) {
+      setErr("Informe o nome do paciente.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSave({
+        ...form,
+        name: form.name.trim(),
+        address: form.address.trim(),
+        team: form.team.trim(),
+        emergencyContacts: form.emergencyContacts.filter((c) => c.name?.trim() || c.phone?.trim()),
+        thresholds: cleanThresholds(form.thresholds),
+      });
+    } catch (e2) {
+      setErr(e2?.message || "Erro ao salvar paciente");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const inputCls = "mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none";
+
+  return (
+    <form onSubmit={submit} className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="text-lg font-semibold">{patient ? `Editar paciente — ${patient.name}` : "Novo paciente"}</div>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-3">
+        <div className="md:col-span-2">
+          <label className="text-xs text-slate-400">Nome</label>
+          <input className={inputCls} value={form.name} onChange={set("name")} />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Data de nascimento</label>
+          <input type="date" className={inputCls} value={form.birthDate} onChange={set("birthDate")} />
+        </div>
+        <div className="md:col-span-3">
+          <label className="text-xs text-slate-400">Endereço (casa)</label>
+          <input
+            className={inputCls}
+            value={form.address}
+            onChange={set("address")}
+            placeholder="Rua X, 123 — Bairro"
+          />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Equipe</label>
+          <input className={inputCls} value={form.team} onChange={set("team")} placeholder="Equipe A" />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Risco</label>
+          <select className={inputCls} value={form.risk} onChange={set("risk")}>
+            {RISK_LEVELS.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <div className="flex items-center justify-between">
+          <div className="text-sm font-medium text-slate-200">Contatos de emergência</div>
+          <Button
+            type="button"
+            onClick={() =>
+              setForm((prev) => ({
+                ...prev,
+                emergencyContacts: [...prev.emergencyContacts, { name: "", phone: "", relation: "" }],
+              }))
+            }
+          >
+            + Contato
+          </Button>
+        </div>
+        {form.emergencyContacts.map((c, idx) => (
+          <div key={idx} className="mt-2 grid gap-2 md:grid-cols-[1fr_1fr_1fr_auto]">
+            <input
+              className={inputCls}
+              value={c.name}
+              onChange={(e) => setContact(idx, "name", e.target.value)}
+              placeholder="Nome"
+            />
+            <input
+              className={inputCls}
+              value={c.phone}
+              onChange={(e) => setContact(idx, "phone", e.target.value)}
+              placeholder="Telefone"
+            />
+            <input
+              className={inputCls}
+              value={c.relation}
+              onChange={(e) => setContact(idx, "relation", e.target.value)}
+              placeholder="Parentesco"
+            />
+            <Button
+              type="button"
+              className="mt-1"
+              onClick={() =>
+                setForm((prev) => ({
+                  ...prev,
+                  emergencyContacts: prev.emergencyContacts.filter((_, i) => i !== idx),
+                }))
+              }
+            >
+              Remover
+            </Button>
+          </div>
+        ))}
+        {!form.emergencyContacts.length ? (
+          <div className="mt-2 text-xs text-slate-500">Nenhum contato cadastrado.</div>
+        ) : null}
+      </div>
+
+      <div className="mt-4">
+        <div className="text-sm font-medium text-slate-200">Dispositivos (Traccar)</div>
+        <div className="mt-2 flex flex-wrap gap-2">
+          {devices.map((d) => {
+            const owner = owners[d.id];
+            const mine = form.deviceIds.includes(d.id);
+            return (
+              <label
+                key={d.id}
+                className="inline-flex items-center gap-2 rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm"
+              >
+                <input type="checkbox" checked={mine} onChange={() => toggleDevice(d.id)} />
+                {deviceLabel(d)}
+                {owner && owner.id !== patient?.id ? (
+                  <span className="text-xs text-slate-500">(de {owner.name})</span>
+                ) : null}
+              </label>
+            );
+          })}
+          {!devices.length ? <div className="text-xs text-slate-500">Nenhum dispositivo no Traccar.</div> : null}
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <div className="text-sm font-medium text-slate-200">Limiares clínicos</div>
+        <div className="mt-1 text-xs text-slate-500">Em branco = padrão da central.</div>
+        <div className="mt-2 grid gap-3 md:grid-cols-5">
+          {THRESHOLD_FIELDS.map((f) => (
+            <div key={f.key}>
+              <label className="text-xs text-slate-400">{f.label}</label>
+              <input
+                type="number"
+                className={inputCls}
+                value={form.thresholds[f.key] ?? ""}
+                placeholder={f.placeholder ?? String(DEFAULT_THRESHOLDS[f.key])}
+                onChange={(e) =>
+                  setForm((prev) => ({ ...prev, thresholds: { ...prev.thresholds, [f.key]: e.target.value } }))
+                }
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="mt-4">
+        <label className="text-xs text-slate-400">Notas clínicas</label>
+        <textarea className={`${inputCls} min-h-[80px]`} value={form.notes} onChange={set("notes")} />
+      </div>
+
+      {err ? (
+        <div className="mt-3 rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err}</div>
+      ) : null}
+
+      <div className="mt-4 flex gap-2">
+        <Button
+          type="submit"
+          disabled={saving}
+          className="border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20 disabled:opacity-60"
+        >
+          {saving ? "Salvando..." : "Salvar"}
+        </Button>
+        <Button type="button" onClick={onCancel}>
+          Cancelar
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,121 @@
+import { useState } from "react";
+import { apiErrorMessage } from "../../api/client.js";
+import { ageFrom, PATIENTS_UNAVAILABLE, riskLabel } from "../../data/patients.js";
+import { Button, SectionHeader, StatusDot } from "../../ui/kit.jsx";
+import { PatientForm } from "./PatientForm.jsx";
+
+export function Patients({ rows, onOpen, patients, devices, error, unavailable = false, onSave, onRemove }) {
+  const [editing, setEditing] = useState(null); // null | "new" | paciente
+  const [err, setErr] = useState("");
+
+  async function remove(pt) {
+    if (!window.confirm(`Excluir o paciente "${pt.name}"? Os dispositivos ficam sem vínculo.`)) return;
+    setErr("");
+    try {
+      await onRemove(pt.id);
+      if (editing?.id === pt.id) setEditing(null);
+    } catch (e) {
+      setErr(apiErrorMessage(e, "Erro ao excluir paciente"));
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <SectionHeader
+        title="Pacientes"
+        right={
+          <Button onClick={() => setEditing("new")} disabled={unavailable}>
+            + Novo
+          </Button>
+        }
+      />
+
+      {unavailable ? (
+        <div className="rounded-xl border border-amber-500/30 bg-amber-500/10 p-3 text-xs text-amber-200">
+          {PATIENTS_UNAVAILABLE}
+        </div>
+      ) : null}
+
+      {err ? (
+        <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">{err}</div>
+      ) : null}
+
+      {error ? (
+        <div className="rounded-xl border border-red-500/30 bg-red-500/10 p-3 text-xs text-red-200">
+          Cadastro de pacientes indisponível: {error}
+        </div>
+      ) : null}
+
+      {editing ? (
+        <PatientForm
+          key={editing === "new" ? "new" : editing.id}
+          patient={editing === "new" ? null : editing}
+          patients={patients}
+          devices={devices}
+          onCancel={() => setEditing(null)}
+          onSave={async (pt) => {
+            await onSave(pt);
+            setEditing(null);
+          }}
+        />
+      ) : null}
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="overflow-x-auto rounded-xl border border-slate-800">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-950/40 text-slate-300">
+              <tr>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2">Nome</th>
+                <th className="px-3 py-2">Casa/Rua</th>
+                <th className="px-3 py-2">Equipe</th>
+                <th className="px-3 py-2">Risco</th>
+                <th className="px-3 py-2">Último sinal</th>
+                <th className="px-3 py-2">Ações</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, 50).map((r) => {
+                const pt = patients.find((x) => x.id === r.patientId);
+                return (
+                  <tr key={r.key} className="border-t border-slate-800">
+                    <td className="px-3 py-2">
+                      <StatusDot tone={r.status} />
+                    </td>
+                    <td className="px-3 py-2 font-medium">
+                      {r.patient}
+                      {pt && ageFrom(pt.birthDate) != null ? (
+                        <span className="ml-2 text-xs text-slate-500">{ageFrom(pt.birthDate)} anos</span>
+                      ) : null}
+                      {!pt ? <span className="ml-2 text-xs text-slate-500">(sem cadastro)</span> : null}
+                    </td>
+                    <td className="px-3 py-2">{r.place}</td>
+                    <td className="px-3 py-2">{r.team || "--"}</td>
+                    <td className="px-3 py-2">{riskLabel(r.risk)}</td>
+                    <td className="px-3 py-2">{r.lastSeen}</td>
+                    <td className="px-3 py-2">
+                      <div className="flex gap-2">
+                        <Button onClick={() => onOpen(r.patientId)} disabled={!pt}>
+                          Ver
+                        </Button>
+                        <Button onClick={() => onOpen(r.patientId, "alerts")} disabled={!pt}>
+                          Alertas
+                        </Button>
+                        {pt ? (
+                          <>
+                            <Button onClick={() => setEditing(pt)}>Editar</Button>
+                            <Button onClick={() => remove(pt)}>Excluir</Button>
+                          </>
+                        ) : null}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { describe, expect, it, vi } from "vitest";
+import { fireEvent, render, screen } from "@testing-library/react";
+import { ApiError } from "../../api/client.js";
+import { Patients } from "./Patients.jsx";
+
+describe("Patients", () => {
+  const patient = { id: 1, name: "João Pereira", deviceIds: [] };
+  const row = { key: "p1", patientId: 1, patient: "João Pereira", status: "green", place: "--", lastSeen: "--" };
+
+  it("erro ao excluir aparece na tela", async () => {
+    vi.spyOn(window, "confirm").mockReturnValue(true);
+    const onRemove = vi.fn(async () => {
+      throw new ApiError("server", "500 Internal Server Error", { status: 500 });
+    });
+    render(<Patients rows={[row]} onOpen={() => {}} patients={[patient]} devices={[]} onRemove={onRemove} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Excluir" }));
+    expect(await screen.findByText("Erro no servidor (500). Tente de novo em instantes.")).toBeTruthy();
+    expect(onRemove).toHaveBeenCalledWith(1);
+  });
+
+  it("sem cadastro no backend, avisa e não deixa criar", () => {
+    render(<Patients rows={[]} onOpen={() => {}} patients={[]} devices={[]} unavailable />);
+    expect(screen.getByText(/O Traccar direto não tem cadastro de pacientes/)).toBeTruthy();
+    expect(screen.getByRole("button", { name: "+ Novo" }).disabled).toBe(true);
+  });
+});
@@ -0,0 +1,227 @@
+import { useState } from "react";
+import { safeSetJson } from "../../lib/storage.js";
+import { ALERT_SETTINGS_KEY, OPERATOR_ROLES } from "../../data/alerts.js";
+import {
+  DEFAULT_MAP_SETTINGS,
+  readMapSettings,
+  sampleTileUrl,
+  saveMapSettings,
+  TILE_PRESETS,
+  validateMapSettings,
+} from "../../map/leaflet.js";
+import { Button, FilterButton, SectionHeader } from "../../ui/kit.jsx";
+
+export function Settings({ alertSettings, onAlertSettings }) {
+  return (
+    <div className="space-y-4">
+      <SectionHeader title="Configurações" />
+      <AlertSettings settings={alertSettings} onSaved={onAlertSettings} />
+      <MapSettings />
+    </div>
+  );
+}
+
+function AlertSettings({ settings, onSaved }) {
+  const [form, setForm] = useState(settings);
+  const [msg, setMsg] = useState(null);
+
+  const inputCls = "mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none";
+
+  function save(e) {
+    e.preventDefault();
+    const escalationMinutes = Number(form.escalationMinutes);
+    if (!(escalationMinutes > 0)) {
+      setMsg({ tone: "red", text: "O prazo de escalonamento deve ser maior que zero." });
+      return;
+    }
+    const next = { ...form, escalationMinutes };
+    safeSetJson(ALERT_SETTINGS_KEY, next);
+    setForm(next);
+    onSaved(next);
+    setMsg({ tone: "green", text: "Salvo." });
+  }
+
+  return (
+    <form onSubmit={save} className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="text-lg font-semibold">Alertas</div>
+      <div className="mt-1 text-sm text-slate-400">
+        Crítico sem reconhecimento dentro do prazo é escalado para o supervisor.
+      </div>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-2">
+        <div>
+          <label className="text-xs text-slate-400">Perfil deste posto</label>
+          <select
+            className={inputCls}
+            value={form.role}
+            onChange={(e) => setForm((prev) => ({ ...prev, role: e.target.value }))}
+          >
+            {OPERATOR_ROLES.map((r) => (
+              <option key={r.id} value={r.id}>
+                {r.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Escalar críticos após (min)</label>
+          <input
+            className={inputCls}
+            inputMode="numeric"
+            value={form.escalationMinutes}
+            onChange={(e) => setForm((prev) => ({ ...prev, escalationMinutes: e.target.value }))}
+          />
+        </div>
+      </div>
+
+      {msg ? (
+        <div
+          className={`mt-4 rounded-xl border p-3 text-xs ${
+            msg.tone === "red"
+              ? "border-red-500/30 bg-red-500/10 text-red-200"
+              : "border-emerald-500/30 bg-emerald-500/10 text-emerald-200"
+          }`}
+        >
+          {msg.text}
+        </div>
+      ) : null}
+
+      <div className="mt-4">
+        <Button
+          type="submit"
+          className="border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20"
+        >
+          Salvar
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+function MapSettings() {
+  const [form, setForm] = useState(readMapSettings);
+  const [msg, setMsg] = useState(null);
+
+  const set = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }));
+  const inputCls = "mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none";
+
+  function save(e) {
+    e.preventDefault();
+    const next = {
+      ...form,
+      tileUrl: form.tileUrl.trim(),
+      satelliteUrl: form.satelliteUrl.trim(),
+      maxZoom: Number(form.maxZoom),
+      leafletUrl: form.leafletUrl.trim().replace(/\/$/, ""),
+      markerClusterUrl: form.markerClusterUrl.trim().replace(/\/$/, ""),
+    };
+    const err = validateMapSettings(next);
+    if (err) {
+      setMsg({ tone: "red", text: err });
+      return;
+    }
+    saveMapSettings(next);
+    setForm(next);
+    setMsg({
+      tone: "green",
+      text: "Salvo. Mapas usam os tiles novos ao reabrir; o Leaflet muda após recarregar a página.",
+    });
+  }
+
+  function reset() {
+    saveMapSettings(DEFAULT_MAP_SETTINGS);
+    setForm(DEFAULT_MAP_SETTINGS);
+    setMsg({ tone: "green", text: "Padrão do build restaurado." });
+  }
+
+  return (
+    <form onSubmit={save} className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="text-lg font-semibold">Mapa</div>
+      <div className="mt-1 text-sm text-slate-400">
+        Vale só neste navegador. Para a rede isolada, prefira as variáveis VITE_MAP_* e VITE_LEAFLET_URL no build.
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        {TILE_PRESETS.map((p) => (
+          <FilterButton
+            key={p.id}
+            type="button"
+            active={form.tileUrl === p.tileUrl}
+            onClick={() =>
+              setForm((prev) => ({ ...prev, tileUrl: p.tileUrl, attribution: p.attribution, maxZoom: p.maxZoom }))
+            }
+          >
+            {p.label}
+          </FilterButton>
+        ))}
+      </div>
+
+      <div className="mt-4 grid gap-3 md:grid-cols-2">
+        <div className="md:col-span-2">
+          <label className="text-xs text-slate-400">
+            URL dos tiles ({"{z}/{x}/{y}"}, opcional {"{s}"})
+          </label>
+          <input className={inputCls} value={form.tileUrl} onChange={set("tileUrl")} />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Atribuição (HTML)</label>
+          <input className={inputCls} value={form.attribution} onChange={set("attribution")} />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Zoom máximo</label>
+          <input className={inputCls} inputMode="numeric" value={form.maxZoom} onChange={set("maxZoom")} />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">URL do satélite (vazio = sem satélite)</label>
+          <input className={inputCls} value={form.satelliteUrl} onChange={set("satelliteUrl")} />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Atribuição do satélite</label>
+          <input className={inputCls} value={form.satelliteAttribution} onChange={set("satelliteAttribution")} />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Leaflet (pasta com leaflet.js e leaflet.css)</label>
+          <input className={inputCls} value={form.leafletUrl} onChange={set("leafletUrl")} />
+        </div>
+        <div>
+          <label className="text-xs text-slate-400">Leaflet.markercluster (pasta)</label>
+          <input className={inputCls} value={form.markerClusterUrl} onChange={set("markerClusterUrl")} />
+        </div>
+      </div>
+
+      <div className="mt-4 flex items-center gap-3 text-xs text-slate-400">
+        <img
+          key={form.tileUrl}
+          src={sampleTileUrl(form.tileUrl)}
+          alt="Tile de teste"
+          className="h-16 w-16 rounded-lg border border-slate-800 bg-slate-950/40"
+        />
+        <span>Tile de teste (zoom 0). Se não aparecer, o servidor de tiles não está acessível daqui.</span>
+      </div>
+
+      {msg ? (
+        <div
+          className={`mt-4 rounded-xl border p-3 text-xs ${
+            msg.tone === "red"
+              ? "border-red-500/30 bg-red-500/10 text-red-200"
+              : "border-emerald-500/30 bg-emerald-500/10 text-emerald-200"
+          }`}
+        >
+          {msg.text}
+        </div>
+      ) : null}
+
+      <div className="mt-4 flex gap-2">
+        <Button
+          type="submit"
+          className="border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20"
+        >
+          Salvar
+        </Button>
+        <Button type="button" onClick={reset}>
+          Restaurar padrão
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,64 @@
+import { formatDateTime } from "../../lib/format.js";
+import { alertStepLabel } from "../../data/alerts.js";
+import { exportShiftCsv, printShiftReport } from "../../data/shift.js";
+import { Button } from "../../ui/kit.jsx";
+
+export function ShiftReport({ report }) {
+  const block = (title, items, render) => (
+    <div>
+      <div className="text-sm font-semibold text-slate-200">
+        {title} ({items.length})
+      </div>
+      {items.length ? (
+        <ul className="mt-1 space-y-1 text-xs text-slate-400">
+          {items.map((it, i) => (
+            <li key={i}>{render(it)}</li>
+          ))}
+        </ul>
+      ) : (
+        <div className="mt-1 text-xs text-slate-500">Nenhum.</div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <div>
+          <div className="text-lg font-semibold">Plantão de {report.operator}</div>
+          <div className="text-xs text-slate-400">
+            {formatDateTime(report.startedAt)} até {formatDateTime(report.endedAt)}
+            {report.readBy.length ? ` • ciente: ${report.readBy.map((r) => r.by).join(", ")}` : ""}
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <Button onClick={() => printShiftReport(report)}>Imprimir / PDF</Button>
+          <Button onClick={() => exportShiftCsv(report)}>Exportar CSV</Button>
+        </div>
+      </div>
+
+      <div className="mt-4 grid gap-4 md:grid-cols-2">
+        {block(
+          "Alertas registrados",
+          report.alertsRaised,
+          (a) => `${formatDateTime(a.eventTime)} • ${a.patient} • ${a.type} • ${alertStepLabel(a.status)}`
+        )}
+        {block(
+          "Alertas resolvidos",
+          report.alertsResolved,
+          (a) => `${formatDateTime(a.at)} • ${a.patient} • ${a.type} • ${a.by}: ${a.note}`
+        )}
+        {block("Pacientes ainda críticos", report.critical, (c) => `${c.patient} • ${c.reasons}`)}
+        {block(
+          "Dispositivos offline",
+          report.offline,
+          (d) => `${d.patient} • ${d.device} • visto ${d.lastSeen ? formatDateTime(d.lastSeen) : "nunca"}`
+        )}
+        {block("Bateria baixa", report.lowBattery, (b) => `${b.patient} • ${b.battery}`)}
+      </div>
+
+      <div className="mt-4 text-sm font-semibold text-slate-200">Observações</div>
+      <div className="mt-1 whitespace-pre-wrap text-xs text-slate-400">{report.notes || "—"}</div>
+    </div>
+  );
+}
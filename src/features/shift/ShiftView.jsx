@@ -0,0 +1,113 @@
+import { useMemo, useState } from "react";
+import { formatDateTime } from "../../lib/format.js";
+import { buildShiftReport } from "../../data/shift.js";
+import { Button, FilterButton, SectionHeader } from "../../ui/kit.jsx";
+import { ShiftReport } from "./ShiftReport.jsx";
+
+export function ShiftView({ shift, alerts, rows, devices, patients, connectivity, now }) {
+  const [notes, setNotes] = useState("");
+  const [viewId, setViewId] = useState(null);
+  const current = shift.current;
+
+  // prévia ao vivo do que vai para o relatório
+  const preview = useMemo(
+    () =>
+      current
+        ? buildShiftReport({
+            shift: current,
+            endedAt: new Date(now).toISOString(),
+            notes,
+            alerts,
+            rows,
+            devices,
+            patients,
+            connectivity,
+          })
+        : null,
+    [current, now, notes, alerts, rows, devices, patients, connectivity]
+  );
+  const viewing = shift.reports.find((r) => r.id === viewId) || (!current ? shift.reports[0] : null);
+
+  function endShift() {
+    const report = buildShiftReport({
+      shift: current,
+      endedAt: new Date().toISOString(),
+      notes: notes.trim(),
+      alerts,
+      rows,
+      devices,
+      patients,
+      connectivity,
+    });
+    shift.end(report);
+    setNotes("");
+    setViewId(report.id);
+  }
+
+  return (
+    <div className="space-y-4">
+      <SectionHeader
+        title="Plantão"
+        right={
+          current ? null : (
+            <Button
+              className="border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20"
+              onClick={shift.start}
+            >
+              Iniciar plantão
+            </Button>
+          )
+        }
+      />
+
+      {current ? (
+        <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+          <div className="text-lg font-semibold">Plantão em andamento</div>
+          <div className="text-xs text-slate-400">
+            {current.operator} desde {formatDateTime(current.startedAt)}
+          </div>
+          <div className="mt-3 grid gap-3 text-xs text-slate-300 md:grid-cols-5">
+            <div>Alertas registrados: {preview.alertsRaised.length}</div>
+            <div>Resolvidos: {preview.alertsResolved.length}</div>
+            <div>Críticos agora: {preview.critical.length}</div>
+            <div>Offline: {preview.offline.length}</div>
+            <div>Bateria baixa: {preview.lowBattery.length}</div>
+          </div>
+          <label className="mt-4 block text-xs text-slate-400">Observações para quem assume</label>
+          <textarea
+            rows={4}
+            className="mt-1 w-full rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            placeholder="Pendências, pacientes para observar, contatos feitos..."
+          />
+          <div className="mt-3">
+            <Button
+              className="border-emerald-500/30 bg-emerald-500/15 text-emerald-100 hover:bg-emerald-500/20"
+              onClick={endShift}
+            >
+              Encerrar plantão e gerar relatório
+            </Button>
+          </div>
+        </div>
+      ) : null}
+
+      {viewing ? <ShiftReport report={viewing} /> : null}
+
+      <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+        <div className="mb-3 text-lg font-semibold">Plantões anteriores</div>
+        {shift.reports.length ? (
+          <div className="flex flex-wrap gap-2">
+            {shift.reports.map((r) => (
+              <FilterButton key={r.id} active={viewing?.id === r.id} onClick={() => setViewId(r.id)}>
+                {formatDateTime(r.startedAt)} • {r.operator}
+              </FilterButton>
+            ))}
+          </div>
+        ) : (
+          <div className="text-sm text-slate-500">Nenhum plantão encerrado ainda.</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,11 @@
+import { useEffect, useState } from "react";
+
+// relógio do app: status que dependem só do tempo (atraso/offline) mudam sem chegar dado novo
+export function useNow(everyMs) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), everyMs);
+    return () => clearInterval(t);
+  }, [everyMs]);
+  return now;
+}
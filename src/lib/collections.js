@@ -0,0 +1,8 @@
+// ----------------------
+// COLEÇÕES (junção de listas por chave)
+// ----------------------
+export function mergeBy(prev, incoming, key) {
+  const m = new Map(prev.map((x) => [x[key], x]));
+  for (const x of incoming) m.set(x[key], { ...(m.get(x[key]) || {}), ...x });
+  return Array.from(m.values());
+}
@@ -0,0 +1,61 @@
+// ----------------------
+// FORMATAÇÃO (datas, durações, HTML escapado e CSV)
+// ----------------------
+export function formatDuration(ms) {
+  const m = Math.round(ms / 60000);
+  if (m < 60) return `${m} min`;
+  const h = Math.floor(m / 60);
+  return `${h} h ${String(m % 60).padStart(2, "0")} min`;
+}
+
+function csvCell(v) {
+  const str = v == null ? "" : String(v);
+  return /[";\n]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+}
+
+// ";" + BOM: o Excel em pt-BR abre direto com acentos e colunas certas
+export function downloadCsv(filename, header, lines) {
+  const body = [header, ...lines].map((l) => l.map(csvCell).join(";")).join("\r\n");
+  const url = URL.createObjectURL(new Blob(["\ufeff" + body], { type: "text/csv;charset=utf-8" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function formatDateTime(iso) {
+  const t = new Date(iso);
+  if (!Number.isFinite(t.getTime())) return "--";
+  return t.toLocaleString("pt-BR", { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+}
+
+export function formatDate(iso) {
+  // "YYYY-MM-DD" sem fuso (evita virar o dia anterior em UTC-3)
+  const m = String(iso || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (m) return `${m[3]}/${m[2]}/${m[1]}`;
+  const t = new Date(iso);
+  return Number.isFinite(t.getTime()) ? t.toLocaleDateString("pt-BR") : "--";
+}
+
+export function timeAgo(iso, now = Date.now()) {
+  const t = new Date(iso).getTime();
+  if (!Number.isFinite(t)) return "--";
+  const diff = Math.max(0, now - t);
+  const m = Math.round(diff / 60000);
+  if (m < 1) return "agora";
+  if (m < 60) return `${m} min`;
+  const h = Math.round(m / 60);
+  if (h < 24) return `${h} h`;
+  const d = Math.round(h / 24);
+  return `${d} d`;
+}
+
+export function escapeHtml(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+}
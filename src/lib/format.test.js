@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { escapeHtml, timeAgo } from "./format.js";
+
+describe("timeAgo", () => {
+  it("devolve -- para data inválida", () => {
+    expect(timeAgo("x")).toBe("--");
+    expect(timeAgo(undefined)).toBe("--");
+  });
+
+  it("arredonda para agora / min / h / d", () => {
+    const ago = (ms) => new Date(Date.now() - ms).toISOString();
+    expect(timeAgo(ago(10 * 1000))).toBe("agora");
+    expect(timeAgo(ago(5 * 60000))).toBe("5 min");
+    expect(timeAgo(ago(3 * 3600000))).toBe("3 h");
+    expect(timeAgo(ago(2 * 86400000))).toBe("2 d");
+  });
+
+  it("data no futuro conta como agora", () => {
+    expect(timeAgo(new Date(Date.now() + 3600000).toISOString())).toBe("agora");
+  });
+});
+
+describe("escapeHtml", () => {
+  it("escapa os caracteres de HTML", () => {
+    expect(escapeHtml(`<b title="x">Ana & 'Zé'</b>`)).toBe(
+      "&lt;b title=&quot;x&quot;&gt;Ana &amp; &#39;Zé&#39;&lt;/b&gt;"
+    );
+  });
+
+  it("aceita não-string", () => {
+    expect(escapeHtml(42)).toBe("42");
+  });
+});
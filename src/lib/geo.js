@@ -0,0 +1,103 @@
+// ----------------------
+// GEOMETRIA (distâncias e formas das cercas em WKT)
+// ----------------------
+// Distância em metros (haversine)
+export function distanceMeters(lat1, lng1, lat2, lng2) {
+  const R = 6371000;
+  const toRad = (x) => (x * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Quanto o ponto está FORA da cerca, em metros (0 = dentro).
+ * Polígono: ray casting + distância à aresta mais próxima (projeção local, ok para cercas de casa).
+ */
+export function distanceFromFence(lat, lng, shape) {
+  if (shape.type === "circle") {
+    return Math.max(0, distanceMeters(lat, lng, shape.center[0], shape.center[1]) - shape.radius);
+  }
+
+  const pts = shape.points;
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const [yi, xi] = pts[i];
+    const [yj, xj] = pts[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  if (inside) return 0;
+
+  const mPerLat = 111320;
+  const mPerLng = 111320 * Math.cos((lat * Math.PI) / 180);
+  let best = Infinity;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const ax = (pts[j][1] - lng) * mPerLng;
+    const ay = (pts[j][0] - lat) * mPerLat;
+    const bx = (pts[i][1] - lng) * mPerLng;
+    const by = (pts[i][0] - lat) * mPerLat;
+    const len2 = (bx - ax) ** 2 + (by - ay) ** 2;
+    const k = len2 ? Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / len2)) : 0;
+    best = Math.min(best, Math.hypot(ax + k * (bx - ax), ay + k * (by - ay)));
+  }
+  return best;
+}
+
+export function formatDistance(m) {
+  return m >= 1000 ? `${(m / 1000).toFixed(1)} km` : `${Math.round(m)} m`;
+}
+
+export function shapeCenter(shape) {
+  if (shape.type === "circle") return shape.center;
+  const n = shape.points.length;
+  return [shape.points.reduce((s, p) => s + p[0], 0) / n, shape.points.reduce((s, p) => s + p[1], 0) / n];
+}
+
+// distância até o centro da casa mais próxima e quanto está fora da cerca; null sem cerca
+export function homeDistance(lat, lng, fences) {
+  const shapes = fences.map((g) => parseWkt(g.area)).filter(Boolean);
+  if (!shapes.length) return null;
+  return {
+    toCenter: Math.min(...shapes.map((sh) => distanceMeters(lat, lng, ...shapeCenter(sh)))),
+    outsideBy: Math.min(...shapes.map((sh) => distanceFromFence(lat, lng, sh))),
+  };
+}
+
+// Traccar usa "lat lon" (não "lon lat") no WKT
+export function toWkt(shape) {
+  const f = (n) => Number(n).toFixed(6);
+  if (shape.type === "circle") {
+    return `CIRCLE (${f(shape.center[0])} ${f(shape.center[1])}, ${Math.round(shape.radius)})`;
+  }
+  const ring = [...shape.points, shape.points[0]];
+  return `POLYGON((${ring.map((p) => `${f(p[0])} ${f(p[1])}`).join(", ")}))`;
+}
+
+export function parseWkt(area) {
+  const text = String(area || "").trim();
+
+  const c = text.match(/^CIRCLE\s*\(\s*(-?[\d.]+)\s+(-?[\d.]+)\s*,\s*([\d.]+)\s*\)$/i);
+  if (c) return { type: "circle", center: [Number(c[1]), Number(c[2])], radius: Number(c[3]) };
+
+  const p = text.match(/^POLYGON\s*\(\(\s*(.+?)\s*\)\)$/i);
+  if (p) {
+    const points = p[1].split(",").map((pair) => pair.trim().split(/\s+/).map(Number));
+    // remove o ponto de fechamento do anel
+    const last = points[points.length - 1];
+    if (points.length > 1 && last[0] === points[0][0] && last[1] === points[0][1]) points.pop();
+    return { type: "polygon", points };
+  }
+
+  return null;
+}
+
+export function describeShape(shape) {
+  if (!shape) return "--";
+  if (shape.type === "circle") return `Círculo ${Math.round(shape.radius)}m`;
+  return `Polígono (${shape.points.length} pts)`;
+}
+
+export function isShapeComplete(shape) {
+  return shape.type === "circle" ? Boolean(shape.center) : shape.points.length >= 3;
+}
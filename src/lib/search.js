@@ -0,0 +1,70 @@
+// ----------------------
+// BUSCA (filtro da TopBar por texto, equipe e risco; tolera acento e erro de digitação)
+// ----------------------
+// minúsculas e sem acento ("João" casa com "joao")
+function normalizeText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function isSubsequence(needle, hay) {
+  let i = 0;
+  for (const ch of hay) if (ch === needle[i]) i++;
+  return i === needle.length;
+}
+
+// distância de edição (Damerau: troca de letras vizinhas conta 1) limitada — só precisamos saber se é <= 1
+function withinOneEdit(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  let j = 0;
+  let edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+      continue;
+    }
+    if (++edits > 1) return false;
+    if (a.length === b.length && a[i] === b[j + 1] && a[i + 1] === b[j]) {
+      i += 2;
+      j += 2;
+    } else if (a.length > b.length) i++;
+    else if (a.length < b.length) j++;
+    else {
+      i++;
+      j++;
+    }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+/**
+ * Busca tolerante: cada termo precisa casar com o texto por substring,
+ * por subsequência dentro de uma palavra ("prra" → "pereira")
+ * ou com um erro de digitação no começo de uma palavra ("maira" → "maria").
+ */
+function fuzzyMatch(query, text) {
+  const hay = normalizeText(text);
+  const words = hay.split(/[^a-z0-9]+/).filter(Boolean);
+  return normalizeText(query)
+    .split(/\s+/)
+    .filter(Boolean)
+    .every(
+      (tok) =>
+        hay.includes(tok) ||
+        (tok.length >= 3 &&
+          words.some((w) => isSubsequence(tok, w) || (tok.length >= 4 && withinOneEdit(tok, w.slice(0, tok.length)))))
+    );
+}
+
+export function filterRows(rows, { q, team, risk }) {
+  return rows.filter(
+    (r) =>
+      (!team || r.team === team) &&
+      (!risk || r.risk === risk) &&
+      (!q || fuzzyMatch(q, [r.patient, r.place, ...(r.uniqueIds || [])].join(" ")))
+  );
+}
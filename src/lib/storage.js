@@ -0,0 +1,66 @@
+// ----------------------
+// STORAGE (localStorage sem quebrar em modo privado/SSR)
+// ----------------------
+export function safeGetToken() {
+  try {
+    if (typeof window === "undefined") return "";
+    return window.localStorage.getItem("soucare_token") || "";
+  } catch {
+    return "";
+  }
+}
+
+export function safeSetToken(t) {
+  try {
+    if (typeof window === "undefined") return;
+    window.localStorage.setItem("soucare_token", t);
+  } catch {
+    // ignore
+  }
+}
+
+export function safeClearToken() {
+  try {
+    if (typeof window === "undefined") return;
+    window.localStorage.removeItem("soucare_token");
+  } catch {
+    // ignore
+  }
+}
+
+export function safeGetUser() {
+  try {
+    if (typeof window === "undefined") return "";
+    return window.localStorage.getItem("soucare_user") || "";
+  } catch {
+    return "";
+  }
+}
+
+export function safeSetUser(u) {
+  try {
+    if (typeof window === "undefined") return;
+    window.localStorage.setItem("soucare_user", u);
+  } catch {
+    // ignore
+  }
+}
+
+export function safeGetJson(key, fallback) {
+  try {
+    if (typeof window === "undefined") return fallback;
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function safeSetJson(key, value) {
+  try {
+    if (typeof window === "undefined") return;
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,76 @@
+// ----------------------
+// VITAIS (nome do atributo por modelo de aparelho)
+// ----------------------
+// Vitais vêm em position.attributes, mas cada modelo de relógio/pulseira usa um nome.
+// Chave = device.model do Traccar ("default" vale para os demais); a 1ª chave presente ganha.
+// Para acrescentar/ajustar modelos sem rebuild de código:
+// VITE_VITALS_MAP='{"GT09":{"heartRate":["bpm"]}}'
+const vitalsMap = mergeVitalsMap(
+  {
+    default: {
+      heartRate: ["heartRate", "hr", "pulse"],
+      spo2: ["spo2", "oxygen", "bloodOxygen"],
+      temperature: ["temp1", "bodyTemperature", "temperature"],
+      steps: ["steps"],
+    },
+    GT09: {
+      heartRate: ["heartRate"],
+      spo2: ["oxygen"],
+      temperature: ["temp1"],
+      steps: ["steps"],
+    },
+  },
+  import.meta?.env?.VITE_VITALS_MAP
+);
+
+export const VITALS_ATTRIBUTE_MAP = vitalsMap.map;
+
+// env inválida: aparece no "Status API" da barra lateral
+export const VITALS_MAP_ERROR = vitalsMap.error;
+
+function mergeVitalsMap(base, json) {
+  if (!json) return { map: base, error: "" };
+  try {
+    const extra = JSON.parse(json);
+    const out = { ...base };
+    for (const [model, fields] of Object.entries(extra)) out[model] = { ...(out[model] || base.default), ...fields };
+    return { map: out, error: "" };
+  } catch {
+    return { map: base, error: "VITE_VITALS_MAP inválido (JSON) — usando o mapeamento padrão" };
+  }
+}
+
+/**
+ * Extrai vitais de position.attributes conforme o modelo do device (VITALS_ATTRIBUTE_MAP).
+ */
+export function extractVitals(attributes, model) {
+  const map = VITALS_ATTRIBUTE_MAP[model] || VITALS_ATTRIBUTE_MAP.default;
+  const out = {};
+  for (const [field, keys] of Object.entries(map)) {
+    for (const k of keys) {
+      const v = Number(attributes?.[k]);
+      if (attributes?.[k] != null && Number.isFinite(v)) {
+        out[field] = v;
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+// Série temporal do paciente: histórico do servidor (rota) + o que chegou ao vivo, de todos os devices dele
+export function patientVitalsSeries(deviceIds, devices, history, route = []) {
+  const models = {};
+  for (const d of devices) models[d.id] = d.model;
+
+  const byTime = new Map();
+  for (const p of route) {
+    const t = new Date(p.fixTime || p.deviceTime).getTime();
+    if (Number.isFinite(t)) byTime.set(t, { t, ...extractVitals(p.attributes, models[p.deviceId]) });
+  }
+  for (const id of deviceIds || []) {
+    for (const h of history[id] || []) byTime.set(h.t, { t: h.t, ...extractVitals(h.attributes, models[id]) });
+  }
+
+  return Array.from(byTime.values()).sort((a, b) => a.t - b.t);
+}
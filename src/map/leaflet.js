@@ -0,0 +1,188 @@
+import { useEffect, useState } from "react";
+import { safeGetJson, safeSetJson } from "../lib/storage.js";
+
+// ----------------------
+// MAPA BASE (Leaflet em runtime + fonte de tiles configurável)
+// ----------------------
+// Mapa: tiles, atribuição, zoom máximo e de onde vem o Leaflet. A env define o padrão do build;
+// a tela Configurações (/settings) sobrescreve só neste navegador (localStorage).
+// Rede isolada (sem unpkg/OSM):
+//   VITE_LEAFLET_URL=/vendor/leaflet          (npm run vendor:leaflet baixa para public/vendor)
+//   VITE_MARKERCLUSTER_URL=/vendor/markercluster
+//   VITE_MAP_TILE_URL=http://tiles.local:8081/{z}/{x}/{y}.png   (npm run tiles -- <pasta|arquivo.mbtiles>)
+//   VITE_MAP_SATELLITE_URL=                   (vazio = sem a opção Satélite)
+const OSM_TILE_URL = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>';
+
+const MAP_SETTINGS_KEY = "soucare_map_settings";
+
+export const DEFAULT_MAP_SETTINGS = {
+  tileUrl: import.meta?.env?.VITE_MAP_TILE_URL || OSM_TILE_URL,
+  // tile próprio sem atribuição na env: não herda a do OSM
+  attribution: import.meta?.env?.VITE_MAP_ATTRIBUTION ?? (import.meta?.env?.VITE_MAP_TILE_URL ? "" : OSM_ATTRIBUTION),
+  maxZoom: Number(import.meta?.env?.VITE_MAP_MAX_ZOOM) || 19,
+  satelliteUrl:
+    import.meta?.env?.VITE_MAP_SATELLITE_URL ??
+    "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+  satelliteAttribution:
+    import.meta?.env?.VITE_MAP_SATELLITE_ATTRIBUTION ?? "Imagens &copy; Esri, Maxar, Earthstar Geographics",
+  leafletUrl: (import.meta?.env?.VITE_LEAFLET_URL || "https://unpkg.com/leaflet@1.9.4/dist").replace(/\/$/, ""),
+  markerClusterUrl: (
+    import.meta?.env?.VITE_MARKERCLUSTER_URL || "https://unpkg.com/leaflet.markercluster@1.5.3/dist"
+  ).replace(/\/$/, ""),
+};
+
+export function readMapSettings() {
+  return { ...DEFAULT_MAP_SETTINGS, ...(safeGetJson(MAP_SETTINGS_KEY, null) || {}) };
+}
+
+// guarda só o que difere do padrão, para uma env nova no build continuar valendo
+export function saveMapSettings(settings) {
+  const changed = Object.fromEntries(Object.entries(settings).filter(([k, v]) => v !== DEFAULT_MAP_SETTINGS[k]));
+  safeSetJson(MAP_SETTINGS_KEY, changed);
+}
+
+/**
+ * Carrega Leaflet em runtime (CDN ou cópia local, ver leafletUrl) para evitar erro de build por dependências.
+ */
+export function useLeafletCdn() {
+  // já carregado (outra tela montou o mapa antes)
+  const [ready, setReady] = useState(() => typeof window !== "undefined" && Boolean(window.L));
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    if (typeof window === "undefined" || window.L) return;
+
+    const cssId = "leaflet-css";
+    const jsId = "leaflet-js";
+
+    const existingCss = document.getElementById(cssId);
+    const existingJs = document.getElementById(jsId);
+
+    const { leafletUrl } = readMapSettings();
+    if (!existingCss) {
+      const link = document.createElement("link");
+      link.id = cssId;
+      link.rel = "stylesheet";
+      link.href = `${leafletUrl}/leaflet.css`;
+      document.head.appendChild(link);
+    }
+
+    if (existingJs) {
+      // aguarda o load
+      const t = setInterval(() => {
+        if (window.L) {
+          clearInterval(t);
+          setReady(true);
+        }
+      }, 50);
+      return () => clearInterval(t);
+    }
+
+    const script = document.createElement("script");
+    script.id = jsId;
+    script.src = `${leafletUrl}/leaflet.js`;
+    script.async = true;
+    script.onload = () => setReady(true);
+    script.onerror = () =>
+      setErr(`Falha ao carregar o mapa (Leaflet em ${leafletUrl}). Verifique bloqueio de rede/CSP ou Configurações.`);
+    document.body.appendChild(script);
+  }, []);
+
+  return { ready, err };
+}
+
+/**
+ * Mapa base (tiles de readMapSettings, com troca para satélite) — compartilhado pelo monitoramento,
+ * pelo detalhe do paciente e pelo editor de cercas.
+ */
+export function createBaseMap(el, center, zoom) {
+  const L = window.L;
+  const { tileUrl, attribution, maxZoom, satelliteUrl, satelliteAttribution } = readMapSettings();
+  const map = L.map(el, { maxZoom }).setView(center, Math.min(zoom, maxZoom));
+
+  const streets = L.tileLayer(tileUrl, { attribution, maxZoom }).addTo(map);
+  if (satelliteUrl) {
+    const satellite = L.tileLayer(satelliteUrl, { attribution: satelliteAttribution, maxZoom });
+    L.control.layers({ Mapa: streets, Satélite: satellite }).addTo(map);
+  }
+
+  return map;
+}
+
+/**
+ * Leaflet.markercluster via CDN, depois do Leaflet (mesma ideia do useLeafletCdn).
+ * Se não carregar, o mapa segue igual — só não agrupa.
+ */
+export function useMarkerClusterCdn(leafletReady) {
+  const [loaded, setLoaded] = useState(false);
+
+  useEffect(() => {
+    if (!leafletReady || window.L?.markerClusterGroup) return;
+    const { markerClusterUrl } = readMapSettings();
+
+    for (const file of ["MarkerCluster.css", "MarkerCluster.Default.css"]) {
+      const id = `leaflet-${file.toLowerCase().replace(/\./g, "-")}`;
+      if (document.getElementById(id)) continue;
+      const link = document.createElement("link");
+      link.id = id;
+      link.rel = "stylesheet";
+      link.href = `${markerClusterUrl}/${file}`;
+      document.head.appendChild(link);
+    }
+
+    let script = document.getElementById("leaflet-markercluster-js");
+    if (!script) {
+      script = document.createElement("script");
+      script.id = "leaflet-markercluster-js";
+      script.src = `${markerClusterUrl}/leaflet.markercluster.js`;
+      script.async = true;
+      document.body.appendChild(script);
+    }
+    const onLoad = () => setLoaded(true);
+    script.addEventListener("load", onLoad);
+    return () => script.removeEventListener("load", onLoad);
+  }, [leafletReady]);
+
+  return leafletReady && (loaded || Boolean(window.L?.markerClusterGroup));
+}
+
+export const TILE_PRESETS = [
+  { id: "osm", label: "OpenStreetMap (internet)", tileUrl: OSM_TILE_URL, attribution: OSM_ATTRIBUTION, maxZoom: 19 },
+  {
+    id: "local",
+    label: "Servidor local (npm run tiles)",
+    tileUrl: "http://localhost:8081/{z}/{x}/{y}.png",
+    attribution: "",
+    maxZoom: 18,
+  },
+  {
+    id: "folder",
+    label: "Pasta no próprio site (public/tiles)",
+    tileUrl: "/tiles/{z}/{x}/{y}.png",
+    attribution: "",
+    maxZoom: 18,
+  },
+];
+
+export function validateMapSettings(s) {
+  for (const [field, label] of [
+    ["tileUrl", "URL dos tiles"],
+    ["satelliteUrl", "URL do satélite"],
+  ]) {
+    if (s[field] && !["{z}", "{x}", "{y}"].every((p) => s[field].includes(p))) {
+      return `${label} precisa ter {z}, {x} e {y}.`;
+    }
+  }
+  if (!s.tileUrl) return "Informe a URL dos tiles.";
+  if (!Number.isInteger(s.maxZoom) || s.maxZoom < 1 || s.maxZoom > 22)
+    return "Zoom máximo deve ser um inteiro entre 1 e 22.";
+  if (!s.leafletUrl) return "Informe de onde carregar o Leaflet.";
+  return "";
+}
+
+// tile z=0 da URL, só para o preview da tela
+export function sampleTileUrl(template) {
+  return template.replace("{s}", "a").replace("{z}", "0").replace("{x}", "0").replace("{y}", "0").replace("{r}", "");
+}
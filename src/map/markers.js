@@ -0,0 +1,73 @@
+import { escapeHtml } from "../lib/format.js";
+import { formatDistance } from "../lib/geo.js";
+import { reasonsText } from "../data/rules.js";
+
+// ----------------------
+// MARCADORES DO MONITORAMENTO (camadas por status, cluster, direção)
+// ----------------------
+export const STATUS_COLORS = { red: "#ef4444", yellow: "#f59e0b", gray: "#64748b", green: "#34d399" };
+
+export const MAP_LAYERS = [
+  { id: "red", label: "Crítico" },
+  { id: "yellow", label: "Atenção" },
+  { id: "green", label: "OK" },
+  { id: "gray", label: "Offline" },
+];
+
+// Traccar: speed em nós; abaixo de ~1 km/h o curso é ruído
+export function isMoving(r) {
+  return Number(r.speed) > 0.5 && Number.isFinite(r.course);
+}
+
+export function markerIcon(L, color, heading) {
+  const arrow =
+    heading == null
+      ? ""
+      : `<div style="position:absolute;left:50%;top:50%;width:0;height:0;transform:translate(-50%,-50%) rotate(${heading}deg) translateY(-15px);border-left:5px solid transparent;border-right:5px solid transparent;border-bottom:8px solid ${color}"></div>`;
+  return L.divIcon({
+    className: "",
+    iconSize: [22, 22],
+    iconAnchor: [11, 11],
+    popupAnchor: [0, -11],
+    html: `<div style="position:relative;width:22px;height:22px"><div style="width:22px;height:22px;box-sizing:border-box;border-radius:50%;background:${color}a6;border:2px solid ${color}"></div>${arrow}</div>`,
+  });
+}
+
+export function clusterIcon(L, count, color) {
+  const size = count < 10 ? 30 : count < 100 ? 36 : 44;
+  return L.divIcon({
+    className: "",
+    iconSize: [size, size],
+    html: `<div style="width:${size}px;height:${size}px;border-radius:50%;background:${color}cc;border:3px solid ${color}55;color:#0f172a;font-weight:700;font-size:12px;display:flex;align-items:center;justify-content:center;box-sizing:border-box">${count}</div>`,
+  });
+}
+
+export function markerPopup(r, color, home) {
+  const homeLine = !home
+    ? "Sem cerca de casa"
+    : home.outsideBy > 0
+    ? `Fora de casa: ${formatDistance(home.toCenter)} (${formatDistance(home.outsideBy)} além da cerca)`
+    : `Em casa (${formatDistance(home.toCenter)} do centro)`;
+  return `<div style="min-width:180px">
+     <div style="font-weight:700">${escapeHtml(r.patient)}</div>
+     <div style="font-size:12px;color:${color}">${escapeHtml(reasonsText(r.reasons))}</div>
+     <div style="font-size:12px;opacity:.8">Último: ${escapeHtml(r.lastSeen)}</div>
+     <div style="font-size:12px;opacity:.8">Bateria: ${escapeHtml(r.battery)}</div>
+     <div style="font-size:12px;opacity:.8">${escapeHtml(homeLine)}</div>
+     <div style="font-size:12px;opacity:.8">Lat/Lng: ${Number(r.lat).toFixed(5)}, ${Number(r.lng).toFixed(5)}</div>
+     ${
+       r.accuracy > 0
+         ? `<div style="font-size:12px;opacity:.8">Precisão: ±${escapeHtml(formatDistance(r.accuracy))}</div>`
+         : ""
+     }
+   </div>`;
+}
+
+export function fitRows(map, rows) {
+  try {
+    if (rows.length === 1) map.setView([rows[0].lat, rows[0].lng], 16);
+    else if (rows.length > 1) map.fitBounds(window.L.latLngBounds(rows.map((r) => [r.lat, r.lng])).pad(0.2));
+  } catch {
+    // ignore
+  }
+}
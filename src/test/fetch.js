@@ -0,0 +1,20 @@
+import { vi } from "vitest";
+
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+export function textResponse(body, status = 200) {
+  return new Response(body, { status, headers: { "Content-Type": "text/plain" } });
+}
+
+// fetch falso: { "POST /api/auth/login": (init) => Response }; o resto é 404
+export function stubFetch(routes) {
+  const fetchMock = vi.fn(async (url, init = {}) => {
+    const path = new URL(url).pathname;
+    const handler = routes[`${init.method || "GET"} ${path}`];
+    return handler ? handler(init, url) : textResponse("Not found", 404);
+  });
+  vi.stubGlobal("fetch", fetchMock);
+  return fetchMock;
+}
@@ -0,0 +1,14 @@
+import { afterEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+// jsdom sem o pacote `canvas`: o favicon com contador cai no "sem canvas" do app
+HTMLCanvasElement.prototype.getContext = () => null;
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+  window.history.replaceState(null, "", "/");
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  delete window.L;
+});
@@ -0,0 +1,30 @@
+import { useState } from "react";
+import { lastHoursRange, toLocalInput } from "../data/route.js";
+import { Button } from "./kit.jsx";
+
+export function RangePicker({ range, onChange }) {
+  const [from, setFrom] = useState(() => toLocalInput(range.from));
+  const [to, setTo] = useState(() => toLocalInput(range.to));
+
+  function apply(next) {
+    setFrom(toLocalInput(next.from));
+    setTo(toLocalInput(next.to));
+    onChange(next);
+  }
+
+  const inputCls = "rounded-xl border border-slate-800 bg-slate-950/40 px-3 py-2 text-sm outline-none";
+  const valid = from && to && new Date(from) < new Date(to);
+
+  return (
+    <div className="flex flex-col gap-2 md:flex-row md:items-center">
+      <input type="datetime-local" className={inputCls} value={from} onChange={(e) => setFrom(e.target.value)} />
+      <span className="text-xs text-slate-500">até</span>
+      <input type="datetime-local" className={inputCls} value={to} onChange={(e) => setTo(e.target.value)} />
+      <Button disabled={!valid} onClick={() => onChange({ from: new Date(from), to: new Date(to) })}>
+        Aplicar
+      </Button>
+      <Button onClick={() => apply(lastHoursRange(24))}>24h</Button>
+      <Button onClick={() => apply(lastHoursRange(24 * 7))}>7 dias</Button>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { SPEED_BUCKETS } from "../data/route.js";
+
+export function RouteLegend({ mode }) {
+  if (mode === "time") {
+    return (
+      <span className="inline-flex items-center gap-2">
+        {[0, 6, 12, 18].map((h) => (
+          <span key={h} className="inline-flex items-center gap-1">
+            <span
+              className="inline-block h-2 w-4 rounded"
+              style={{ background: `hsl(${Math.round((h / 24) * 300)}, 75%, 60%)` }}
+            />
+            {h}h
+          </span>
+        ))}
+      </span>
+    );
+  }
+  return (
+    <span className="inline-flex items-center gap-2">
+      {SPEED_BUCKETS.map((b) => (
+        <span key={b.label} className="inline-flex items-center gap-1">
+          <span className="inline-block h-2 w-4 rounded" style={{ background: b.color }} />
+          {b.label}
+        </span>
+      ))}
+    </span>
+  );
+}
@@ -0,0 +1,102 @@
+import { APP_NAME } from "../config.js";
+import { buttonBaseClass } from "./styles.js";
+
+export function InfoItem({ label, children }) {
+  return (
+    <div>
+      <div className="text-xs text-slate-400">{label}</div>
+      <div className="mt-0.5 text-sm">{children || "--"}</div>
+    </div>
+  );
+}
+
+export function SectionHeader({ title, right }) {
+  return (
+    <div className="flex flex-col gap-2 rounded-2xl border border-slate-800 bg-slate-900/40 p-4 md:flex-row md:items-center md:justify-between">
+      <div>
+        <div className="text-sm text-slate-300">SouCorp • {APP_NAME}</div>
+        <div className="text-xl font-semibold">{title}</div>
+      </div>
+      <div className="flex gap-2">{right}</div>
+    </div>
+  );
+}
+
+export function Placeholder({ title, hint }) {
+  return (
+    <div className="rounded-2xl border border-slate-800 bg-slate-900/40 p-4">
+      <div className="text-lg font-semibold">{title}</div>
+      <div className="mt-1 text-sm text-slate-400">{hint}</div>
+      <div className="mt-3 rounded-xl border border-slate-800 bg-slate-950/30 p-6 text-center text-sm text-slate-500">
+        Conteúdo entra aqui (MVP)
+      </div>
+    </div>
+  );
+}
+
+export function StatCard({ title, value, tone }) {
+  const toneCls =
+    tone === "red"
+      ? "border-red-500/30 bg-red-500/10 text-red-200"
+      : tone === "yellow"
+      ? "border-amber-500/30 bg-amber-500/10 text-amber-200"
+      : tone === "gray"
+      ? "border-slate-700 bg-slate-950/40 text-slate-200"
+      : "border-emerald-500/30 bg-emerald-500/10 text-emerald-200";
+
+  return (
+    <div className={`rounded-2xl border p-4 ${toneCls}`}>
+      <div className="text-sm opacity-90">{title}</div>
+      <div className="mt-1 text-3xl font-semibold">{value}</div>
+    </div>
+  );
+}
+
+export function Legend() {
+  return (
+    <div className="flex flex-wrap items-center gap-3 text-xs text-slate-400">
+      <span className="inline-flex items-center gap-2">
+        <StatusDot tone="green" /> OK
+      </span>
+      <span className="inline-flex items-center gap-2">
+        <StatusDot tone="yellow" /> Atenção
+      </span>
+      <span className="inline-flex items-center gap-2">
+        <StatusDot tone="red" /> Crítico
+      </span>
+      <span className="inline-flex items-center gap-2">
+        <StatusDot tone="gray" /> Offline
+      </span>
+    </div>
+  );
+}
+
+export function StatusDot({ tone }) {
+  const cls =
+    tone === "red"
+      ? "bg-red-500"
+      : tone === "yellow"
+      ? "bg-amber-400"
+      : tone === "gray"
+      ? "bg-slate-500"
+      : "bg-emerald-400";
+
+  return <span className={`inline-block h-3 w-3 rounded-full ${cls}`} />;
+}
+
+export function Button({ children, className = "", ...props }) {
+  return (
+    <button {...props} className={`${buttonBaseClass()} ${className}`.trim()}>
+      {children}
+    </button>
+  );
+}
+
+export function FilterButton({ active, className = "", ...props }) {
+  return (
+    <Button
+      {...props}
+      className={`${active ? "border-emerald-500/30 bg-emerald-500/15 text-emerald-100" : ""} ${className}`.trim()}
+    />
+  );
+}
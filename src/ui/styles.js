@@ -0,0 +1,3 @@
+export function buttonBaseClass() {
+  return "rounded-xl border border-slate-700 bg-slate-950/40 px-3 py-2 text-sm hover:bg-slate-800/60 disabled:opacity-50";
+}